@@ -32,6 +32,8 @@
  * @license MIT
  */
 
+/* global BigInt */
+
 "use strict";
 
 (function() {
@@ -63,6 +65,36 @@
 		LINEBREAK: 11,
 		// tries to detect reason for a leading dash
 		GOT_DASH: 12,
+		// reading items of a flow sequence
+		FLOW_SEQUENCE: 13,
+		// reading entries of a flow mapping
+		FLOW_MAPPING: 14,
+		// reading characters of quoted scalar in a flow collection searching
+		// for closing quote
+		FLOW_QUOTED: 15,
+		// reading single escaped characters in a quoted scalar of a flow
+		// collection
+		ESCAPED_FLOW_QUOTED: 16,
+		// reading characters in a comment inside of a flow collection
+		FLOW_COMMENT: 17,
+		// skipping any trailing space after marker of document's start or end
+		MARKER: 18,
+		// reading name of an anchor
+		ANCHOR: 19,
+		// reading name of an alias
+		ALIAS: 20,
+		// reading name of an anchor in a flow collection
+		FLOW_ANCHOR: 21,
+		// reading name of an alias in a flow collection
+		FLOW_ALIAS: 22,
+		// reading name of a tag
+		TAG: 23,
+		// reading name of a tag in a flow collection
+		FLOW_TAG: 24,
+		// reading continuation line of a multi-line plain scalar
+		PLAIN_CONTINUATION: 25,
+		// reading directive preceding marker of a document's start
+		DIRECTIVE: 26,
 	};
 
 	const Errors = {
@@ -77,37 +109,184 @@
 		folded: "invalid folded value",
 		quote: "missing closing quote",
 		eof: "unexpected end of file",
+		bracket: "missing closing bracket",
+		document: "unexpected start of another document",
+		alias: "undefined alias",
+		recursion: "alias refers to node containing it",
+		merge: "invalid merge of mappings",
+		escape: "invalid escape sequence",
+		tag: "unknown tag",
+		cast: "invalid value for tag",
+		limit: "exceeding limit of parser",
+		unsafe: "unsafe name of property",
+		directive: "invalid directive",
+		version: "unsupported version of YAML",
+	};
+
+	const UnsafeNames = [ "__proto__", "constructor", "prototype" ];
+
+	const DefaultLimits = {
+		maxLength: Infinity,
+		maxDepth: 100,
+		maxKeys: Infinity,
+		maxScalarLength: Infinity,
+	};
+
+	const UntrustedLimits = {
+		maxLength: 10 * 1024 * 1024,
+		maxDepth: 100,
+		maxKeys: 1000000,
+		maxScalarLength: 1024 * 1024,
 	};
 
 	const EmptyObject = {};
 	const EmptyArray = [];
+	const InvalidValue = {};
+
+	// maps instances of `Map` into names of their non-string keys as given in code
+	const SourceNames = typeof WeakMap === "function" ? new WeakMap() : null;
+
+	/**
+	 * Describes syntax error encountered while parsing YAML code.
+	 *
+	 * @param {string} code name of error in `Errors` describing cause
+	 * @param {int} line index of line of code error was encountered in
+	 * @param {int} column index of column of code error was encountered at
+	 * @param {{line: int, column: int}=} previous position of related code encountered before, e.g. a key's first definition
+	 * @constructor
+	 */
+	function YAMLSyntaxError( code, line, column, previous ) {
+		this.name = "YAMLSyntaxError";
+		this.message = Errors[code] + " in line " + line + ", column " + column +
+		               ( previous ? " (defined before in line " + previous.line + ", column " + previous.column + ")" : "" );
+		this.code = code;
+		this.line = line;
+		this.column = column;
+		this.previous = previous || null;
+		this.offset = null;
+		this.snippet = null;
+
+		if ( typeof Error.captureStackTrace === "function" ) {
+			Error.captureStackTrace( this, YAMLSyntaxError );
+		} else {
+			this.stack = new Error( this.message ).stack;
+		}
+	}
+
+	YAMLSyntaxError.prototype = Object.create( SyntaxError.prototype );
+	YAMLSyntaxError.prototype.constructor = YAMLSyntaxError;
 
 	/**
 	 * Throws error due to parsing issue.
 	 *
-	 * @param {string} type partial message describing cause
+	 * @param {string} code name of error in `Errors` describing cause
 	 * @param {int} line index of line of code error was encountered in
 	 * @param {int} column index of column of code error was encountered at
-	 * @throws Error
+	 * @throws YAMLSyntaxError
 	 * @returns {void}
 	 */
-	function ParserError( type, line, column ) {
-		throw new Error( type + " in line " + line + ", column " + column );
+	function ParserError( code, line, column ) {
+		throw new YAMLSyntaxError( code, line, column );
+	}
+
+	/**
+	 * Adds information on position of error in provided source code.
+	 *
+	 * Source code may be a fragment of some larger code. In this case, the
+	 * line and offset of fragment's first character in that code are given.
+	 *
+	 * @param {YAMLSyntaxError} error error to be enriched
+	 * @param {string} code source code error was encountered in
+	 * @param {{line: int, offset: int}=} origin position of code's first character
+	 * @returns {YAMLSyntaxError} enriched error
+	 */
+	function describeErrorSource( error, code, origin ) {
+		const _origin = origin || { line: 1, offset: 0 };
+		let start = 0;
+
+		for ( let i = _origin.line; i < error.line; i++ ) {
+			const next = code.indexOf( "\n", start );
+			if ( next < 0 ) {
+				break;
+			}
+
+			start = next + 1;
+		}
+
+		const end = code.indexOf( "\n", start );
+		const sourceLine = code.substring( start, end < 0 ? code.length : end ).replace( /\r$/, "" );
+
+		error.offset = _origin.offset + Math.min( start + error.column - 1, code.length );
+		error.snippet = sourceLine + "\n" + sourceLine.substr( 0, error.column - 1 ).replace( /[^\t]/g, " " ) +
+		                spaces( error.column - 1 - sourceLine.length ) + "^";
+
+		return error;
+	}
+
+	/**
+	 * Detects if code at given offset succeeding a backslash in a
+	 * double-quoted scalar is a valid escape sequence.
+	 *
+	 * @param {string} code source code
+	 * @param {int} offset index of character succeeding backslash
+	 * @returns {boolean} true if escape sequence is valid
+	 */
+	function isEscapeSequence( code, offset ) {
+		const ch = code[offset];
+
+		switch ( ch ) {
+			case "x" :
+				return /^[\da-fA-F]{2}$/.test( code.substr( offset + 1, 2 ) );
+
+			case "u" :
+				return /^[\da-fA-F]{4}$/.test( code.substr( offset + 1, 4 ) );
+
+			case "U" : {
+				const digits = code.substr( offset + 1, 8 );
+
+				return /^[\da-fA-F]{8}$/.test( digits ) && parseInt( digits, 16 ) <= 0x10ffff;
+			}
+
+			default :
+				return ch != null && '0abt\tnvfre "/\\N_LP\r\n'.indexOf( ch ) > -1;
+		}
 	}
 
 	/**
 	 * Replaces discovered escape sequence with character represented by sequence.
 	 *
-	 * @param {*} _ ignored (assumed full match in pattern matching)
 	 * @param {string} code code following backslash
 	 * @return {string} character represented by escape sequence
 	 */
-	function escapes( _, code ) {
-		switch ( code ) {
-			case "n" : return "\n";
+	function escapes( code ) {
+		switch ( code[0] ) {
+			case "0" : return "\0";
+			case "a" : return "\u0007";
+			case "b" : return "\b";
 			case "t" : return "\t";
-			case "f" : return "\f";
+			case "n" : return "\n";
 			case "v" : return "\v";
+			case "f" : return "\f";
+			case "r" : return "\r";
+			case "e" : return "\u001b";
+			case "N" : return "\u0085";
+			case "_" : return "\u00a0";
+			case "L" : return "\u2028";
+			case "P" : return "\u2029";
+
+			case "x" :
+			case "u" :
+			case "U" : {
+				const codePoint = parseInt( code.substr( 1 ), 16 );
+
+				if ( codePoint > 0xffff ) {
+					const offset = codePoint - 0x10000;
+
+					return String.fromCharCode( 0xd800 + ( offset >> 10 ), 0xdc00 + ( offset & 0x3ff ) );
+				}
+
+				return String.fromCharCode( codePoint );
+			}
 
 			default :
 				return code;
@@ -115,590 +294,4770 @@
 	}
 
 	/**
-	 * Implements very basic YAML parser not complying with any standard most
-	 * probably.
+	 * Extracts value of a quoted scalar from its raw content found between
+	 * opening and closing quotes.
+	 *
+	 * Line breaks are folded. In single-quoted scalars, doubled quotes
+	 * represent a single quote. In double-quoted scalars, escape sequences
+	 * are replaced.
+	 *
+	 * @param {string} raw raw content of quoted scalar excluding quotes
+	 * @param {string} quote quote character used to enclose scalar
+	 * @returns {string} value of quoted scalar
 	 */
-	module.exports.YAML = {
-		/**
-		 * Extracts data structure from provided string assumed to contain some YAML
-		 * code.
-		 *
-		 * @param {string} code string assumed to contain YAML code
-		 * @param {object[]} tokens array used to successively consume passed tokens
-		 * @returns {object} data structure described by YAML code
-		 */
-		parse: function( code, tokens ) {
-			const _tokens = tokens ? tokens : [];
+	function unquote( raw, quote ) {
+		if ( quote === "'" ) {
+			return foldLineBreaks( raw ).replace( /''/g, "'" );
+		}
 
-			if ( typeof code === "object" && code ) {
-				return code;
+		return raw.replace( /\\(x[\da-fA-F]{2}|u[\da-fA-F]{4}|U[\da-fA-F]{8}|(?:\r?\n[ \t]*)+|[\s\S])|[ \t]*(?:\r?\n[ \t]*)+/g, function( match, escaped ) {
+			if ( escaped == null ) {
+				return foldLineBreaks( match );
 			}
 
-			if ( typeof code !== "string" ) {
-				throw new TypeError( "invalid or missing code to be parsed" );
+			if ( /^[\r\n]/.test( escaped ) ) {
+				// escaped line break is dropped, but succeeding empty lines are kept
+				return escaped.replace( /[^\n]/g, "" ).substr( 1 );
 			}
 
-			const numCharacters = code.length;
-			const stack = [{
-				depth: 0,
-				selector: null,
-				ref: {},
-			}];
+			return escapes( escaped );
+		} );
+	}
 
-			let mode = ParserModes.LEADING_SPACE;
-			let node = null;
-			let line = 1;
-			let column = 1;
-			let startBlock = 0;
-			let startLine = 0;
-			let lineIndentation = 0;
+	/**
+	 * Converts digits of an integer into its value.
+	 *
+	 * Integers exceeding range of safe integers are kept as number, converted
+	 * to BigInt or kept as provided literal depending on selected mode.
+	 *
+	 * @param {string} sign sign of integer, either "-", "+" or empty
+	 * @param {string} digits digits of integer without prefix and underscores
+	 * @param {int} radix radix of digits, one out of 2, 8, 10 or 16
+	 * @param {string} literal original literal of integer
+	 * @param {string} integers mode of handling unsafe integers, one out of "number", "bigint" or "string"
+	 * @returns {number|BigInt|string} value of integer
+	 */
+	function parseInteger( sign, digits, radix, literal, integers ) {
+		const value = parseInt( digits, radix );
 
+		if ( value > 9007199254740991 ) {
+			switch ( integers ) {
+				case "bigint" : {
+					const big = BigInt( ( radix === 16 ? "0x" : radix === 8 ? "0o" : radix === 2 ? "0b" : "" ) + digits );
 
-			for ( let cursor = 0; cursor <= numCharacters; cursor++, column++ ) {
-				const ch = cursor < numCharacters ? code[cursor] : "\n";
+					return sign === "-" ? -big : big;
+				}
 
-				switch ( mode ) {
-					case ParserModes.LEADING_SPACE :
-						switch ( ch ) {
-							case " " :
-							case "\t" :
-								break;
+				case "string" :
+					return literal;
+			}
+		}
 
-							case "\r" :
-								mode = ParserModes.LF;
-								break;
+		return sign === "-" ? -value : value;
+	}
 
-							case "\n" :
-								startBlock = cursor + 1;
-								break;
+	/**
+	 * Detects integer described by unquoted scalar according to legacy rules
+	 * of this parser.
+	 *
+	 * @param {string} trimmedValue unquoted scalar with surrounding whitespace removed
+	 * @param {string} integers mode of handling unsafe integers, see parseInteger()
+	 * @returns {number|BigInt|string|undefined} value of integer, undefined if scalar isn't an integer
+	 */
+	function resolveInteger( trimmedValue, integers ) {
+		const integer = /^([-+]?)(?:0x([\da-fA-F][\da-fA-F_]*)|0o([0-7][0-7_]*)|0b([01][01_]*)|(\d[\d_]*))$/.exec( trimmedValue );
+		if ( !integer ) {
+			return undefined;
+		}
 
-							case "#" :
-								if ( !node || !node.folded ) {
-									mode = ParserModes.COMMENT;
-									break;
-								}
+		const radix = integer[2] ? 16 : integer[3] ? 8 : integer[4] ? 2 : 10;
+		const digits = integer[2] || integer[3] || integer[4] || integer[5];
 
-								// falls through
-							default : {
-								startLine = startBlock;
-								lineIndentation = cursor - startLine;
+		return parseInteger( integer[1], digits.replace( /_/g, "" ), radix, trimmedValue, integers );
+	}
 
-								if ( node ) {
-									if ( node.folded ) {
-										if ( lineIndentation > node.depth ) {
-											// line is folded continuation of previous line
-											if ( node.value == null ) { // eslint-disable-line max-depth
-												node.foldedIndentation = lineIndentation - node.depth;
-											}
+	/**
+	 * Detects type of value described by unquoted scalar according to legacy
+	 * rules of this parser.
+	 *
+	 * In addition to YAML 1.2 core schema, numbers may contain underscores and
+	 * binary integers are supported.
+	 *
+	 * @param {string} trimmedValue unquoted scalar with surrounding whitespace removed
+	 * @param {string} integers mode of handling unsafe integers, see parseInteger()
+	 * @returns {null|boolean|number|BigInt|string} value represented by scalar
+	 */
+	function resolveScalar( trimmedValue, integers ) {
+		if ( trimmedValue === "null" ) {
+			return null;
+		}
 
-											startBlock += node.depth;
+		if ( /^(?:y(?:es)?|true|on)$/i.test( trimmedValue ) ) {
+			return true;
+		}
 
-											mode = ParserModes.FOLDED_VALUE;
-											break;
-										}
+		if ( /^(?:no?|false|off)$/i.test( trimmedValue ) ) {
+			return false;
+		}
 
-										// previous folded node has actually ended
-										// at most recently passed line break
-										this.consume( node, stack, _tokens );
-										node = null;
-									}
-								}
+		const integer = resolveInteger( trimmedValue, integers );
+		if ( integer !== undefined ) {
+			return integer;
+		}
 
+		if ( /^[-+]?(?:\.\d[\d_]*|\d[\d_]*(?:\.[\d_]*)?)(?:[eE][-+]?\d+)?$/.test( trimmedValue ) ) {
+			return parseFloat( trimmedValue.replace( /_/g, "" ) );
+		}
 
-								node = {
-									depth: lineIndentation,
-									line: line,
-									column: column,
-								};
+		if ( /^[-+]?\.(?:inf|Inf|INF)$/.test( trimmedValue ) ) {
+			return trimmedValue[0] === "-" ? -Infinity : Infinity;
+		}
 
-								startBlock = cursor;
+		if ( /^\.(?:nan|NaN|NAN)$/.test( trimmedValue ) ) {
+			return NaN;
+		}
 
-								switch ( ch ) {
-									case "'" :
-									case '"' :
-										mode = ParserModes.QUOTED_NAME;
-										break;
+		return trimmedValue;
+	}
 
-									case "-" :
-										mode = ParserModes.GOT_DASH;
-										startBlock = cursor;
-										break;
+	/**
+	 * Detects type of value described by unquoted scalar according to YAML 1.2
+	 * core schema.
+	 *
+	 * @param {string} trimmedValue unquoted scalar with surrounding whitespace removed
+	 * @param {string} integers mode of handling unsafe integers, see parseInteger()
+	 * @returns {null|boolean|number|BigInt|string} value represented by scalar
+	 */
+	function resolveCoreScalar( trimmedValue, integers ) {
+		if ( /^(?:null|Null|NULL|~)?$/.test( trimmedValue ) ) {
+			return null;
+		}
 
-									default :
-										mode = ParserModes.NAME;
-										cursor--;
-										column--;
-								}
-							}
-						}
-						break;
+		if ( /^(?:true|True|TRUE)$/.test( trimmedValue ) ) {
+			return true;
+		}
 
-					case ParserModes.GOT_DASH :
-						if ( !/\s/.test( ch ) && ( node.isProperty || ( node.isArrayItem && /[\d.]/.test( ch ) ) ) ) {
-							mode = ParserModes.VALUE;
-						} else {
-							if ( node.isArrayItem || node.isProperty ) {
-								const passed = code.substring( startBlock, cursor );
+		if ( /^(?:false|False|FALSE)$/.test( trimmedValue ) ) {
+			return false;
+		}
 
-								node.value = node.isArrayItem ? EmptyArray : EmptyObject;
-								this.consume( node, stack, _tokens );
+		if ( /^[-+]?\d+$/.test( trimmedValue ) ) {
+			return parseInteger( trimmedValue.replace( /\d+$/, "" ), trimmedValue.replace( /^[-+]/, "" ), 10, trimmedValue, integers );
+		}
 
-								node = {
-									depth: node.depth + 1 + passed.match( /^\s*/ )[0].length,
-									isArrayItem: true,
-									line: line,
-									column: column,
-								};
-							} else {
-								node.isArrayItem = true;
-							}
+		if ( /^0o[0-7]+$/.test( trimmedValue ) ) {
+			return parseInteger( "", trimmedValue.substr( 2 ), 8, trimmedValue, integers );
+		}
 
-							switch ( ch ) {
-								case "\r" :
-									node.value = EmptyObject;
-									this.consume( node, stack, _tokens );
+		if ( /^0x[\da-fA-F]+$/.test( trimmedValue ) ) {
+			return parseInteger( "", trimmedValue.substr( 2 ), 16, trimmedValue, integers );
+		}
 
-									mode = ParserModes.LF;
-									break;
+		if ( /^[-+]?(?:\.\d+|\d+(?:\.\d*)?)(?:[eE][-+]?\d+)?$/.test( trimmedValue ) ) {
+			return parseFloat( trimmedValue );
+		}
 
-								case "\n" :
-									node.value = EmptyArray;
-									this.consume( node, stack, _tokens );
+		if ( /^[-+]?\.(?:inf|Inf|INF)$/.test( trimmedValue ) ) {
+			return trimmedValue[0] === "-" ? -Infinity : Infinity;
+		}
 
-									mode = ParserModes.LEADING_SPACE;
+		if ( /^\.(?:nan|NaN|NAN)$/.test( trimmedValue ) ) {
+			return NaN;
+		}
 
-									startBlock = cursor + 1;
-									break;
+		return trimmedValue;
+	}
 
-								case " " :
-								case "\t" :
-								default :
-									mode = ParserModes.VALUE;
-									startBlock = cursor;
-									break;
-							}
-						}
-						break;
+	/**
+	 * Detects type of value described by unquoted scalar according to YAML 1.2
+	 * JSON schema.
+	 *
+	 * In opposition to the specification, any scalar not matching JSON syntax
+	 * is kept as string instead of rejecting it.
+	 *
+	 * @param {string} trimmedValue unquoted scalar with surrounding whitespace removed
+	 * @param {string} integers mode of handling unsafe integers, see parseInteger()
+	 * @returns {null|boolean|number|BigInt|string} value represented by scalar
+	 */
+	function resolveJsonScalar( trimmedValue, integers ) {
+		switch ( trimmedValue ) {
+			case "null" : return null;
+			case "true" : return true;
+			case "false" : return false;
+		}
 
-					case ParserModes.LF :
-						// requiring LF (having read CR before)
-						if ( ch !== "\n" ) {
-							ParserError( Errors.linebreak, line, column );
-						}
+		if ( /^-?(?:0|[1-9]\d*)$/.test( trimmedValue ) ) {
+			return parseInteger( trimmedValue.replace( /\d+$/, "" ), trimmedValue.replace( /^-/, "" ), 10, trimmedValue, integers );
+		}
 
-						mode = ParserModes.LEADING_SPACE;
+		if ( /^-?(?:0|[1-9]\d*)(?:\.\d*)?(?:[eE][-+]?\d+)?$/.test( trimmedValue ) ) {
+			return parseFloat( trimmedValue );
+		}
 
-						startBlock = cursor + 1;
-						break;
+		return trimmedValue;
+	}
 
-					case ParserModes.NAME :
-						// passing regular content of a non-quoted property name
-						// while searching for colon marking end of name
-						switch ( ch ) {
-							case ":" :
-								node.isProperty = true;
-								node.propertyName = code.substring( startBlock, cursor ).trim();
+	/**
+	 * Keeps every unquoted scalar as string according to YAML 1.2 failsafe
+	 * schema.
+	 *
+	 * @param {string} trimmedValue unquoted scalar with surrounding whitespace removed
+	 * @returns {string} value represented by scalar
+	 */
+	function resolveFailsafeScalar( trimmedValue ) {
+		return trimmedValue;
+	}
 
-								mode = ParserModes.VALUE;
-								startBlock = cursor + 1;
-								break;
+	/**
+	 * Maps names of supported schemas into functions detecting type of value
+	 * described by unquoted scalar.
+	 */
+	const Schemas = {
+		legacy: resolveScalar,
+		core: resolveCoreScalar,
+		json: resolveJsonScalar,
+		failsafe: resolveFailsafeScalar,
+	};
 
-							case " " :
-							case "\t" : {
-								node.isProperty = true;
-								node.propertyName = code.substring( startBlock, cursor ).trim();
+	/**
+	 * Creates function detecting type of value described by unquoted scalar
+	 * according to selected schema and list of custom resolvers.
+	 *
+	 * Every custom resolver is an object with property `test` which is either
+	 * a regular expression or a function testing some unquoted scalar and
+	 * property `resolve` which is a function converting matching scalar into
+	 * its value. Custom resolvers are tested in order of list prior to the
+	 * schema.
+	 *
+	 * @param {string} schema name of schema
+	 * @param {object[]} resolvers list of custom resolvers
+	 * @param {string} integers mode of handling unsafe integers, see parseInteger()
+	 * @returns {function(string):*} function detecting value of unquoted scalar
+	 */
+	function createScalarResolver( schema, resolvers, integers ) {
+		if ( !Schemas.hasOwnProperty( schema ) ) {
+			throw new TypeError( "unknown schema: " + schema );
+		}
 
-								mode = ParserModes.COLON;
-								break;
-							}
+		if ( !Array.isArray( resolvers ) ) {
+			throw new TypeError( "invalid list of scalar resolvers" );
+		}
 
-							case "\r" :
-							case "\n" :
-								ParserError( Errors.linebreak, line, column );
-								break;
+		if ( !/^(?:number|bigint|string)$/.test( integers ) ) {
+			throw new TypeError( "invalid mode of handling unsafe integers: " + integers );
+		}
 
-							case "#" :
-								ParserError( Errors.comment, line, column );
-								break;
+		if ( integers === "bigint" && typeof BigInt !== "function" ) {
+			throw new TypeError( "BigInt is not supported by current runtime" );
+		}
 
-							default :
-								if ( /[:]/.test( ch ) ) {
-									ParserError( Errors.character, line, column );
-								}
-						}
-						break;
+		const numResolvers = resolvers.length;
 
-					case ParserModes.QUOTED_NAME :
-						// passing regular content of a quoted property name while
-						// searching for closing quotes
-						switch ( ch ) {
-							case "\\" :
-								mode = ParserModes.ESCAPED_QUOTED_NAME;
-								break;
+		for ( let i = 0; i < numResolvers; i++ ) {
+			const resolver = resolvers[i] || {};
+
+			if ( !( resolver.test instanceof RegExp || typeof resolver.test === "function" ) || typeof resolver.resolve !== "function" ) {
+				throw new TypeError( "invalid scalar resolver" );
+			}
+		}
+
+		const resolve = Schemas[schema];
+
+		return function( trimmedValue ) {
+			for ( let i = 0; i < numResolvers; i++ ) {
+				const test = resolvers[i].test;
+
+				if ( typeof test === "function" ? test( trimmedValue ) : test.test( trimmedValue ) ) {
+					return resolvers[i].resolve( trimmedValue );
+				}
+			}
+
+			return resolve( trimmedValue, integers );
+		};
+	}
+
+	/**
+	 * Decodes base64-encoded data ignoring any whitespace.
+	 *
+	 * @param {string} encoded base64-encoded data
+	 * @returns {Uint8Array|object} decoded data, InvalidValue if encoding is malformed
+	 */
+	function decodeBase64( encoded ) {
+		const code = encoded.replace( /\s+/g, "" );
+
+		if ( code.length % 4 || !/^[A-Za-z0-9+/]*={0,2}$/.test( code ) ) {
+			return InvalidValue;
+		}
+
+		const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+		const data = code.replace( /=+$/, "" );
+		const numCharacters = data.length;
+		const result = new Uint8Array( Math.floor( numCharacters * 3 / 4 ) );
+		let buffer = 0;
+		let bits = 0;
+		let index = 0;
+
+		for ( let i = 0; i < numCharacters; i++ ) {
+			buffer = ( ( buffer << 6 ) | alphabet.indexOf( data[i] ) ) & 0xffff;
+			bits += 6;
+
+			if ( bits >= 8 ) {
+				bits -= 8;
+				result[index++] = ( buffer >> bits ) & 0xff;
+			}
+		}
+
+		return result;
+	}
+
+	/**
+	 * Extracts scalar from value provided for constructing standard tag.
+	 *
+	 * A tag preceding an empty value is applied to an empty collection which
+	 * is considered empty scalar here.
+	 *
+	 * @param {*} value raw scalar or parsed collection
+	 * @returns {?string} scalar, null if value is a non-empty collection
+	 */
+	function scalarOf( value ) {
+		if ( typeof value === "string" ) {
+			return value;
+		}
+
+		if ( value && typeof value === "object" && !Array.isArray( value ) && !keysOf( value ).length ) {
+			return "";
+		}
+
+		return null;
+	}
+
+	/**
+	 * Maps URIs of tags defined by YAML 1.2 into functions constructing value
+	 * of tagged node from its raw scalar or parsed collection.
+	 *
+	 * Either function returns `InvalidValue` if provided value doesn't match
+	 * the tag.
+	 */
+	const StandardTags = {
+		"!": function( value ) {
+			return value;
+		},
+		"tag:yaml.org,2002:str": function( value ) {
+			const scalar = scalarOf( value );
+
+			return scalar == null ? InvalidValue : scalar;
+		},
+		"tag:yaml.org,2002:int": function( value, options ) {
+			const scalar = scalarOf( value );
+			const integer = scalar == null ? undefined : resolveInteger( scalar.trim(), options.unsafeIntegers );
+
+			return integer === undefined ? InvalidValue : integer;
+		},
+		"tag:yaml.org,2002:float": function( value ) {
+			const scalar = scalarOf( value );
+			const number = scalar == null ? undefined : resolveScalar( scalar.trim() );
+
+			return typeof number === "number" ? number : InvalidValue;
+		},
+		"tag:yaml.org,2002:bool": function( value ) {
+			const scalar = scalarOf( value );
+			const flag = scalar == null ? undefined : resolveScalar( scalar.trim() );
+
+			return typeof flag === "boolean" ? flag : InvalidValue;
+		},
+		"tag:yaml.org,2002:null": function( value ) {
+			const scalar = scalarOf( value );
+
+			return scalar != null && /^(?:null|Null|NULL|~)?$/.test( scalar.trim() ) ? null : InvalidValue;
+		},
+		"tag:yaml.org,2002:binary": function( value ) {
+			const scalar = scalarOf( value );
+
+			return scalar == null ? InvalidValue : decodeBase64( scalar );
+		},
+		"tag:yaml.org,2002:seq": function( value ) {
+			return Array.isArray( value ) ? value : InvalidValue;
+		},
+		"tag:yaml.org,2002:map": function( value ) {
+			return value && typeof value === "object" && !Array.isArray( value ) ? value : InvalidValue;
+		},
+	};
+
+	/**
+	 * Expands name of tag as given in code into its URI.
+	 *
+	 * Prefixes declared for handles in `%TAG` directives of a document take
+	 * precedence over the default handles `!` and `!!`.
+	 *
+	 * @param {string} name name of tag, e.g. `!!str` or `!custom`
+	 * @param {object=} handles maps declared handles into their prefixes
+	 * @returns {string} URI of tag, provided name for local tags
+	 */
+	function expandTag( name, handles ) {
+		const verbatim = /^!<(.+)>$/.exec( name );
+		if ( verbatim ) {
+			return verbatim[1];
+		}
+
+		const handle = /^!(?:[\w-]*!)?/.exec( name )[0];
+		const suffix = name.substr( handle.length );
+
+		if ( suffix && handles && handles[handle] != null ) {
+			return handles[handle] + suffix;
+		}
+
+		return handle === "!!" && suffix ? "tag:yaml.org,2002:" + suffix : name;
+	}
+
+	/**
+	 * Constructs value of node marked with provided tag.
+	 *
+	 * Custom constructors provided in option `tags` are preferred over
+	 * constructors of standard tags.
+	 *
+	 * @param {{name:string, uri:string, line:int, column:int}} tag description of tag
+	 * @param {*} value raw scalar or parsed collection of tagged node
+	 * @param {object} options normalized parser options
+	 * @returns {*} constructed value
+	 */
+	function constructTag( tag, value, options ) {
+		const uri = tag.uri;
+
+		if ( options.tags.hasOwnProperty( tag.name ) ) {
+			return options.tags[tag.name]( value, tag.name );
+		}
+
+		if ( options.tags.hasOwnProperty( uri ) ) {
+			return options.tags[uri]( value, tag.name );
+		}
+
+		if ( !StandardTags.hasOwnProperty( uri ) ) {
+			ParserError( "tag", tag.line, tag.column );
+		}
+
+		const result = StandardTags[uri]( value, options );
+		if ( result === InvalidValue ) {
+			ParserError( "cast", tag.line, tag.column );
+		}
+
+		return result;
+	}
+
+	/**
+	 * Removes frame of innermost collection from stack constructing value of
+	 * tagged collection.
+	 *
+	 * @param {object[]} contextStack LIFO queue of objects to consume data
+	 * @param {object} options normalized parser options
+	 * @returns {void}
+	 */
+	function closeFrame( contextStack, options ) {
+		const frame = contextStack.shift();
+
+		if ( options.events && !frame.complexKey && !frame.withinKey ) {
+			endFrameEvents( frame, ( contextStack[contextStack.length - 1] || frame ).end, options.events );
+		}
+
+		if ( frame.tag ) {
+			frame.ref = constructTag( frame.tag, frame.ref, options );
+
+			if ( contextStack.length && !frame.detached ) {
+				setProperty( contextStack[0].ref, frame.selector, frame.ref );
+			}
+		}
+
+		if ( options.reviver && contextStack.length && !frame.detached && !frame.withinKey ) {
+			const collection = contextStack[0].ref;
+
+			storeRevived( collection, frame.selector, options.reviver.call( collection, frame.selector, frame.ref, frame.pointer ) );
+		}
+
+		if ( isNaN( frame.depth ) && contextStack.length && contextStack[0].complexKey && !frame.tag && !keysOf( frame.ref ).length ) {
+			// explicit key has been followed by line break without providing any value
+			contextStack[0].ref[0] = null;
+		}
+
+		if ( frame.complexKey ) {
+			// explicit key is complete, value is expected next
+			const key = frame.ref.length ? frame.ref[0] : null;
+
+			contextStack[0].explicitKey = {
+				name: options.maps ? key : frame.keySource == null ? nameOfKey( key ) : frame.keySource,
+				source: frame.keySource,
+				range: frame.keyRange,
+			};
+		}
+	}
+
+	/**
+	 * Converts value of an explicit key into name of a property.
+	 *
+	 * Collections are converted into YAML code in flow style.
+	 *
+	 * @param {*} key value of explicit key
+	 * @returns {string} name of property
+	 */
+	function nameOfKey( key ) {
+		return key && typeof key === "object" ? serializeFlow( key, [] ) : String( key );
+	}
+
+	/**
+	 * Creates node describing null value of an explicit key lacking value.
+	 *
+	 * @param {object} frame frame of mapping with explicit key
+	 * @returns {object} node describing missing value
+	 */
+	function missingExplicitValue( frame ) {
+		const range = frame.explicitKey.range;
+
+		return {
+			depth: frame.depth,
+			line: range.line,
+			column: range.column,
+			isProperty: true,
+			explicitValue: true,
+			value: null,
+		};
+	}
+
+	/**
+	 * Stores value returned from reviver in given collection.
+	 *
+	 * Like `JSON.parse()`, properties are removed from a mapping if reviver
+	 * returns `undefined`.
+	 *
+	 * @param {object|Array} collection collection containing revived value
+	 * @param {string|int} selector name of property or index of item
+	 * @param {*} value value returned from reviver
+	 * @returns {void}
+	 */
+	function storeRevived( collection, selector, value ) {
+		if ( value === undefined && isMap( collection ) ) {
+			collection.delete( selector );
+		} else if ( value === undefined && !Array.isArray( collection ) ) {
+			delete collection[selector];
+		} else {
+			setProperty( collection, selector, value );
+		}
+	}
+
+	/**
+	 * Assigns value to named property of provided collection.
+	 *
+	 * Property `__proto__` is defined as own property of the collection
+	 * instead of replacing its prototype.
+	 *
+	 * @param {object|Array|Map} collection collection to be extended
+	 * @param {*} name name of property or index of item
+	 * @param {*} value value to be assigned
+	 * @returns {void}
+	 */
+	function setProperty( collection, name, value ) {
+		if ( isMap( collection ) ) {
+			collection.set( name, value );
+		} else if ( name === "__proto__" ) {
+			Object.defineProperty( collection, name, {
+				value: value,
+				writable: true,
+				enumerable: true,
+				configurable: true,
+			} );
+		} else {
+			collection[name] = value;
+		}
+	}
+
+	/**
+	 * Applies policy on duplicate keys to a property about to be added to a
+	 * mapping.
+	 *
+	 * @param {object} names maps names of mapping's properties into position of their definition
+	 * @param {*} name name of property to be added
+	 * @param {object} options normalized parser options
+	 * @param {int} line index of line property is defined in
+	 * @param {int} column index of column property is defined at
+	 * @returns {boolean} true if property is to be added, false if it is to be ignored
+	 */
+	function checkDuplicateKey( names, name, options, line, column ) {
+		// keys of a `Map` are distinguished by type, too
+		const id = options.maps ? typeof name + " " + nameOfKey( name ) : nameOfKey( name );
+		const previous = names[id];
+
+		if ( !previous ) {
+			names[id] = { line: line, column: column };
+			return true;
+		}
+
+		switch ( options.duplicateKeys ) {
+			case "error" :
+				throw new YAMLSyntaxError( "exists", line, column, previous );
+
+			case "warn" :
+				options.warnings.push( new YAMLSyntaxError( "exists", line, column, previous ) );
+				return true;
+
+			case "first" :
+				return false;
+
+			default :
+				return true;
+		}
+	}
+
+	/**
+	 * Fetches map of names of properties defined in mapping of provided frame.
+	 *
+	 * @param {object} frame frame of block mapping
+	 * @returns {object} maps names of mapping's properties into position of their definition
+	 */
+	function namesOf( frame ) {
+		if ( !frame.names ) {
+			frame.names = Object.create( null );
+		}
+
+		return frame.names;
+	}
+
+	/**
+	 * Creates empty mapping.
+	 *
+	 * @param {object} options normalized parser options
+	 * @returns {object|Map} empty mapping
+	 */
+	function createMapping( options ) {
+		if ( options.maps ) {
+			return new Map();
+		}
+
+		return options.nullPrototype ? Object.create( null ) : {};
+	}
+
+	/**
+	 * Records name of a non-string key of provided mapping as given in code.
+	 *
+	 * @param {object|Map} mapping mapping containing key
+	 * @param {*} key key of mapping
+	 * @param {?string} name name of key as given in code, null if unknown
+	 * @returns {void}
+	 */
+	function recordSourceName( mapping, key, name ) {
+		if ( SourceNames && name != null && typeof key !== "string" && isMap( mapping ) ) {
+			let names = SourceNames.get( mapping );
+
+			if ( !names ) {
+				names = new Map();
+				SourceNames.set( mapping, names );
+			}
+
+			names.set( key, name );
+		}
+	}
+
+	/**
+	 * Fetches name of provided mapping's key as given in code.
+	 *
+	 * @param {object|Map} mapping mapping containing key
+	 * @param {*} key key of mapping
+	 * @returns {?string} name of key as given in code, null if unknown
+	 */
+	function sourceNameOf( mapping, key ) {
+		const names = SourceNames && isMap( mapping ) ? SourceNames.get( mapping ) : null;
+
+		return names && names.has( key ) ? names.get( key ) : null;
+	}
+
+	/**
+	 * Detects if provided value is an instance of `Map`.
+	 *
+	 * @param {*} value value to be tested
+	 * @returns {boolean} true if value is a `Map`
+	 */
+	function isMap( value ) {
+		return typeof Map === "function" && value instanceof Map;
+	}
+
+	/**
+	 * Lists keys of provided collection.
+	 *
+	 * @param {object|Array|Map} collection collection to be inspected
+	 * @returns {Array} keys of collection's properties, indices of an array's items as strings
+	 */
+	function keysOf( collection ) {
+		if ( isMap( collection ) ) {
+			const keys = [];
+
+			collection.forEach( function( _, key ) { keys.push( key ); } );
+
+			return keys;
+		}
+
+		return Object.keys( collection );
+	}
+
+	/**
+	 * Fetches value of selected property of provided collection.
+	 *
+	 * @param {object|Array|Map} collection collection to be inspected
+	 * @param {*} key name of property or index of item
+	 * @returns {*} value of property
+	 */
+	function propertyOf( collection, key ) {
+		return isMap( collection ) ? collection.get( key ) : collection[key];
+	}
+
+	/**
+	 * Rejects unsafe name of property if requested.
+	 *
+	 * @param {*} name name of property
+	 * @param {object} options normalized parser options
+	 * @param {int} line index of line name was found in
+	 * @param {int} column index of column name was found at
+	 * @returns {void}
+	 */
+	function checkPropertyName( name, options, line, column ) {
+		if ( options.rejectUnsafeNames && UnsafeNames.indexOf( String( name ) ) > -1 ) {
+			ParserError( "unsafe", line, column );
+		}
+	}
+
+	/**
+	 * Passes items of a flow collection to reviver bottom-up.
+	 *
+	 * Items not found in provided positions of flow collection's items are
+	 * originating from aliases or merges. They have been revived before and
+	 * thus are skipped.
+	 *
+	 * @param {object|Array|Map} collection flow collection
+	 * @param {string} relative JSON pointer of collection relative to outermost flow collection
+	 * @param {string} pointer JSON pointer of collection
+	 * @param {object} nested maps JSON pointers relative to outermost flow collection into positions of its items
+	 * @param {function(this:object, (string|int), *, string):*} reviver callback transforming parsed values
+	 * @returns {void}
+	 */
+	function reviveFlowItems( collection, relative, pointer, nested, reviver ) {
+		const keys = keysOf( collection );
+		const numKeys = keys.length;
+		const isSequence = Array.isArray( collection );
+
+		for ( let i = 0; i < numKeys; i++ ) {
+			const key = isSequence ? Number( keys[i] ) : keys[i];
+			const segment = pointerSegment( key );
+			const value = propertyOf( collection, key );
+
+			if ( nested.hasOwnProperty( relative + segment ) ) {
+				if ( value && typeof value === "object" ) {
+					reviveFlowItems( value, relative + segment, pointer + segment, nested, reviver );
+				}
+
+				storeRevived( collection, key, reviver.call( collection, key, value, pointer + segment ) );
+			}
+		}
+	}
+
+	/**
+	 * Normalizes options customizing parser.
+	 *
+	 * For the sake of backwards compatibility, options might be given as array
+	 * to be used for collecting tokens.
+	 *
+	 * @param {object|object[]} options options provided by caller
+	 * @returns {object} normalized options
+	 */
+	function normalizeOptions( options ) {
+		const _options = Array.isArray( options ) ? { tokens: options } : options || {};
+		const schema = _options.schema == null ? "legacy" : _options.schema;
+		const resolvers = _options.resolvers == null ? [] : _options.resolvers;
+		const integers = _options.unsafeIntegers == null ? "number" : _options.unsafeIntegers;
+		const tags = _options.tags == null ? {} : _options.tags;
+		const events = _options.events == null ? null : _options.events;
+		const reviver = _options.reviver == null ? null : _options.reviver;
+		const duplicateKeys = _options.duplicateKeys == null ? "last" : _options.duplicateKeys;
+
+		if ( typeof tags !== "object" || Object.keys( tags ).some( function( name ) { return typeof tags[name] !== "function"; } ) ) {
+			throw new TypeError( "invalid map of tag constructors" );
+		}
+
+		if ( events && ( typeof events !== "object" || Object.keys( events ).some( function( name ) { return typeof events[name] !== "function"; } ) ) ) {
+			throw new TypeError( "invalid map of event handlers" );
+		}
+
+		if ( reviver && typeof reviver !== "function" ) {
+			throw new TypeError( "invalid reviver" );
+		}
+
+		if ( _options.positions != null && ( typeof _options.positions !== "object" || Array.isArray( _options.positions ) ) ) {
+			throw new TypeError( "invalid collector of positions" );
+		}
+
+		if ( [ "error", "warn", "last", "first" ].indexOf( duplicateKeys ) < 0 ) {
+			throw new TypeError( "invalid policy on duplicate keys" );
+		}
+
+		const limits = {};
+
+		Object.keys( DefaultLimits ).forEach( function( name ) {
+			let limit = _options[name];
+
+			if ( limit == null ) {
+				limit = ( _options.untrusted ? UntrustedLimits : DefaultLimits )[name];
+			}
+
+			if ( typeof limit !== "number" || !( limit >= 1 ) || ( isFinite( limit ) && Math.floor( limit ) !== limit ) ) {
+				throw new TypeError( "invalid limit " + name );
+			}
+
+			limits[name] = limit;
+		} );
+
+		const scalarResolver = createScalarResolver( schema, resolvers, integers );
+
+		return {
+			tokens: _options.tokens || [],
+			cloneAliases: Boolean( _options.cloneAliases ),
+			recover: Boolean( _options.recover ),
+			errors: _options.errors || [],
+			warnings: _options.warnings || [],
+			positions: _options.positions || null,
+			comments: _options.comments || null,
+			schema: schema,
+			resolvers: resolvers,
+			unsafeIntegers: integers,
+			resolveScalar: scalarResolver,
+			versionResolvers: _options.schema == null ? {
+				1.1: scalarResolver,
+				1.2: createScalarResolver( "core", resolvers, integers ),
+			} : null,
+			tags: tags,
+			events: events,
+			reviver: reviver,
+			nullPrototype: Boolean( _options.nullPrototype ),
+			maps: Boolean( _options.maps ),
+			rejectUnsafeNames: Boolean( _options.rejectUnsafeNames ),
+			duplicateKeys: duplicateKeys,
+			maxLength: limits.maxLength,
+			maxDepth: limits.maxDepth,
+			maxKeys: limits.maxKeys,
+			maxScalarLength: limits.maxScalarLength,
+		};
+	}
+
+	/**
+	 * Deeply clones provided data.
+	 *
+	 * @param {*} value data to be cloned
+	 * @returns {*} cloned data
+	 */
+	function cloneData( value ) {
+		if ( !value || typeof value !== "object" ) {
+			return value;
+		}
+
+		if ( Array.isArray( value ) ) {
+			return value.map( cloneData );
+		}
+
+		const copy = isMap( value ) ? new Map() : Object.getPrototypeOf( value ) === null ? Object.create( null ) : {};
+		const names = keysOf( value );
+		const numNames = names.length;
+
+		for ( let i = 0; i < numNames; i++ ) {
+			setProperty( copy, names[i], cloneData( propertyOf( value, names[i] ) ) );
+			recordSourceName( copy, names[i], sourceNameOf( value, names[i] ) );
+		}
+
+		return copy;
+	}
+
+	/**
+	 * Fetches data of node marked with anchor of given name.
+	 *
+	 * @param {object[]} contextStack LIFO queue of objects to consume data
+	 * @param {int} depth indentation of node containing the alias
+	 * @param {string} name name of anchor
+	 * @param {object} options normalized parser options
+	 * @param {int} line index of line alias was found in
+	 * @param {int} column index of column alias was found at
+	 * @returns {*} data of anchored node
+	 */
+	function resolveAlias( contextStack, depth, name, options, line, column ) {
+		const anchor = contextStack[contextStack.length - 1].anchors[name];
+
+		if ( !anchor ) {
+			ParserError( "alias", line, column );
+		}
+
+		const index = anchor.frame ? contextStack.indexOf( anchor.frame ) : -1;
+		if ( index > -1 ) {
+			// anchored collection is still in stack, make sure it doesn't
+			// contain the alias
+			const frameDepth = anchor.frame.depth;
+
+			if ( isNaN( frameDepth ) ? contextStack[index + 1].depth < depth : frameDepth <= depth ) {
+				ParserError( "recursion", line, column );
+			}
+		}
+
+		const value = anchor.frame ? anchor.frame.ref : anchor.value;
+		const root = contextStack[contextStack.length - 1];
+
+		// count nodes of aliased collection as if it was expanded
+		if ( isFinite( options.maxKeys ) ) {
+			root.numNodes += countNodes( value, options.maxKeys - root.numNodes );
+			if ( root.numNodes > options.maxKeys ) {
+				ParserError( "limit", line, column );
+			}
+		}
+
+		return options.cloneAliases ? cloneData( value ) : value;
+	}
+
+	/**
+	 * Counts keys and items of provided value and all collections nested in
+	 * it.
+	 *
+	 * @param {*} value value to be inspected
+	 * @param {number} limit maximum count of interest, counting stops when exceeded
+	 * @returns {int} number of keys and items in value, exceeding limit if counting stopped early
+	 */
+	function countNodes( value, limit ) {
+		if ( !value || typeof value !== "object" ) {
+			return 0;
+		}
+
+		const keys = keysOf( value );
+		const numKeys = keys.length;
+		let count = numKeys;
+
+		for ( let i = 0; i < numKeys && count <= limit; i++ ) {
+			count += countNodes( propertyOf( value, keys[i] ), limit - count );
+		}
+
+		return count;
+	}
+
+	/**
+	 * Detects if provided value is a string exceeding configured limit on
+	 * length of scalars.
+	 *
+	 * @param {*} value value to be tested
+	 * @param {object} options normalized parser options
+	 * @returns {boolean} true if value is a string exceeding limit
+	 */
+	function exceedsScalarLength( value, options ) {
+		return typeof value === "string" && value.length > options.maxScalarLength;
+	}
+
+	/**
+	 * Merges properties of provided mapping(s) into given collection unless
+	 * collection has property of same name already.
+	 *
+	 * @param {object} collection mapping to be extended
+	 * @param {object|object[]} source mapping or list of mappings to be merged
+	 * @param {int} line index of line merge key was found in
+	 * @param {int} column index of column merge key was found at
+	 * @returns {void}
+	 */
+	function mergeMappings( collection, source, line, column ) {
+		const sources = Array.isArray( source ) ? source : [source];
+		const numSources = sources.length;
+
+		for ( let i = 0; i < numSources; i++ ) {
+			const mapping = sources[i];
+
+			if ( !mapping || typeof mapping !== "object" || Array.isArray( mapping ) ) {
+				ParserError( "merge", line, column );
+			}
+
+			const names = keysOf( mapping );
+			const numNames = names.length;
+
+			for ( let j = 0; j < numNames; j++ ) {
+				if ( isMap( collection ) ? !collection.has( names[j] ) : !Object.prototype.hasOwnProperty.call( collection, names[j] ) ) {
+					setProperty( collection, names[j], propertyOf( mapping, names[j] ) );
+					recordSourceName( collection, names[j], sourceNameOf( mapping, names[j] ) );
+				}
+			}
+		}
+	}
+
+	/**
+	 * Detects if provided value is header of a block scalar consisting of
+	 * style indicator and optional chomping and indentation indicators.
+	 *
+	 * @param {*} value value to be tested
+	 * @returns {boolean} true if value is header of a block scalar
+	 */
+	function isBlockScalarHeader( value ) {
+		return typeof value === "string" && /^[|>](?:[1-9]?[+-]?|[+-][1-9])$/.test( value );
+	}
+
+	/**
+	 * Applies folding and chomping to collected content of a block scalar.
+	 *
+	 * On folding, line breaks between two lines of text are replaced with a
+	 * space unless separated by empty lines. Line breaks and empty lines
+	 * next to more-indented lines are kept.
+	 *
+	 * @param {string} text content lines of block scalar, each terminated by line break
+	 * @param {string} header header of block scalar, e.g. `|`, `>-` or `|2+`
+	 * @returns {string} value of block scalar
+	 */
+	function finishBlockScalar( text, header ) {
+		const trailing = /\n\s*$/.exec( text );
+		let content = trailing ? text.substr( 0, trailing.index ) : text;
+
+		if ( header[0] === ">" ) {
+			const lines = content.split( "\n" );
+			let previous = lines[0];
+			let empty = 0;
+
+			content = lines[0];
+
+			for ( let i = 1; i < lines.length; i++ ) {
+				const current = lines[i];
+
+				if ( current === "" ) {
+					empty++;
+					continue;
+				}
+
+				if ( previous === "" || /^[ \t]/.test( previous ) || /^[ \t]/.test( current ) ) {
+					content += spaces( empty + 1 ).replace( / /g, "\n" );
+				} else {
+					content += empty ? spaces( empty ).replace( / /g, "\n" ) : " ";
+				}
+
+				content += current;
+				previous = current;
+				empty = 0;
+			}
+		}
+
+		switch ( header.replace( /[^+-]/g, "" ) ) {
+			case "+" :
+				return content + ( trailing ? trailing[0] : "" );
+
+			case "-" :
+				return content;
+
+			default :
+				return content + ( trailing && content !== "" ? "\n" : "" );
+		}
+	}
+
+	/**
+	 * Folds line breaks of a multi-line scalar.
+	 *
+	 * Any whitespace surrounding line breaks is removed. A single line break
+	 * is replaced with a space. Otherwise every empty line is replaced with a
+	 * line break.
+	 *
+	 * @param {string} text text of scalar
+	 * @returns {string} folded text
+	 */
+	function foldLineBreaks( text ) {
+		return text.replace( /[ \t]*((?:\r?\n[ \t]*)+)/g, function( _, breaks ) {
+			const newlines = breaks.replace( /[^\n]/g, "" );
+
+			return newlines.length > 1 ? newlines.substr( 1 ) : " ";
+		} );
+	}
+
+	/**
+	 * Converts provided name or index into segment of a JSON pointer.
+	 *
+	 * @param {*} selector name of property or index of item
+	 * @returns {string} escaped segment of JSON pointer including leading slash
+	 */
+	function pointerSegment( selector ) {
+		return "/" + nameOfKey( selector ).replace( /~/g, "~0" ).replace( /\//g, "~1" );
+	}
+
+	/**
+	 * Extends range of code to end at given column of given line.
+	 *
+	 * A new range is created starting at given line and column unless some
+	 * existing range is provided.
+	 *
+	 * @param {?object} range existing range to be extended
+	 * @param {int} line index of line range is ending in
+	 * @param {int} column index of column range is starting at if created
+	 * @param {int} endColumn index of column right after range's last character
+	 * @returns {object} provided or created range
+	 */
+	function extendRange( range, line, column, endColumn ) {
+		if ( range ) {
+			range.endLine = line;
+			range.endColumn = endColumn;
+
+			return range;
+		}
+
+		return {
+			line: line,
+			column: column,
+			endLine: line,
+			endColumn: endColumn,
+		};
+	}
+
+	/**
+	 * Detects if provided value is a collection described item by item, i.e.
+	 * a sequence or a mapping.
+	 *
+	 * @param {*} value value to be tested
+	 * @returns {boolean} true if value is a sequence or a mapping
+	 */
+	function isCollectionValue( value ) {
+		return Array.isArray( value ) || isMap( value ) ||
+		       Boolean( value && typeof value === "object" && [ Object.prototype, null ].indexOf( Object.getPrototypeOf( value ) ) > -1 );
+	}
+
+	/**
+	 * Lists positions of all keys and items nested in value of an alias or
+	 * in a merged mapping.
+	 *
+	 * Nested items aren't found in code at the alias or merged value, thus
+	 * all of them are located at the range of that alias or merged value.
+	 *
+	 * @param {*} value value of alias or merged mapping
+	 * @param {object} range range of alias or merged value in code
+	 * @param {string=} pointer JSON pointer of value relative to alias or merged value
+	 * @param {object[]=} list list of positions to extend
+	 * @returns {Array<{pointer:string, position:object}>} positions of nested items with pointers relative to value
+	 */
+	function nestedPositionsOf( value, range, pointer, list ) {
+		const positions = list || [];
+
+		if ( isCollectionValue( value ) ) {
+			const isSequence = Array.isArray( value );
+			const keys = isSequence ? value.map( function( _, index ) { return index; } ) : keysOf( value );
+			const numKeys = keys.length;
+
+			for ( let i = 0; i < numKeys; i++ ) {
+				const itemPointer = ( pointer || "" ) + pointerSegment( keys[i] );
+				const position = extendRange( null, range.line, range.column, range.endColumn );
+
+				position.endLine = range.endLine;
+
+				if ( !isSequence ) {
+					position.key = extendRange( null, range.line, range.column, range.endColumn );
+					position.key.endLine = range.endLine;
+				}
+
+				positions.push( { pointer: itemPointer, position: position } );
+
+				nestedPositionsOf( propertyOf( value, keys[i] ), range, itemPointer, positions );
+			}
+		}
+
+		return positions;
+	}
+
+	/**
+	 * Lists positions of properties added to a mapping by merging and of all
+	 * keys and items nested in their values.
+	 *
+	 * @param {object} mapping mapping properties have been merged into
+	 * @param {Array} known names of mapping's properties prior to merging
+	 * @param {object} range range of merged value in code
+	 * @param {object} options normalized parser options
+	 * @returns {Array<{pointer:string, position:object}>} positions with pointers relative to mapping
+	 */
+	function mergedPositionsOf( mapping, known, range, options ) {
+		const added = createMapping( options );
+
+		keysOf( mapping ).forEach( function( name ) {
+			if ( known.indexOf( name ) < 0 ) {
+				setProperty( added, name, propertyOf( mapping, name ) );
+			}
+		} );
+
+		return nestedPositionsOf( added, range );
+	}
+
+	/**
+	 * Records ranges of code describing provided node's key and value as well
+	 * as ranges of all collections containing the node.
+	 *
+	 * @param {object[]} contextStack LIFO queue of objects to consume data
+	 * @param {object} node description of parsed node
+	 * @param {?(string|int)} selector name or index of node in its collection, null if node is merged into collection or describes document's root
+	 * @param {?object} frame frame of collection started by node, frame of document's root if node describes it
+	 * @param {object} positions maps JSON pointers into ranges of code
+	 * @returns {void}
+	 */
+	function recordPosition( contextStack, node, selector, frame, positions ) {
+		const keyRange = node.isProperty ? node.keyRange : null;
+		const end = node.valueRange || keyRange || extendRange( null, node.line, node.column, node.column + 1 );
+
+		if ( selector !== null || node.depth < 0 ) {
+			const pointer = contextStack[0].pointer + ( selector === null ? "" : pointerSegment( selector ) );
+			const position = node.valueRange || extendRange( null, end.endLine, end.endColumn, end.endColumn );
+
+			if ( keyRange ) {
+				position.key = keyRange;
+			}
+
+			positions[pointer] = position;
+
+			if ( frame ) {
+				frame.pointer = pointer;
+				frame.position = position;
+			}
+
+			const nested = node.alias == null ? flowPositionsOf( node.flowPositions ) : nestedPositionsOf( node.value, position );
+			const numNested = nested.length;
+
+			for ( let i = 0; i < numNested; i++ ) {
+				positions[pointer + nested[i].pointer] = nested[i].position;
+			}
+		}
+
+		// extend ranges of containing collections
+		const numFrames = contextStack.length;
+
+		for ( let i = 0; i < numFrames; i++ ) {
+			const context = contextStack[i];
+
+			if ( !context.position ) {
+				context.position = {};
+				positions[context.pointer] = context.position;
+			}
+
+			if ( !context.positioned ) {
+				context.position.line = node.line;
+				context.position.column = node.column;
+				context.positioned = true;
+			}
+
+			context.position.endLine = end.endLine;
+			context.position.endColumn = end.endColumn;
+		}
+	}
+
+	/**
+	 * Records position of item added to flow collection unless positions of
+	 * flow collection's items aren't tracked.
+	 *
+	 * Positions of items in item's value are referred to instead of copying
+	 * them. They are resolved by `flowPositionsOf()` eventually.
+	 *
+	 * @param {object} frame frame of flow collection
+	 * @param {string} pointer JSON pointer of item relative to its collection
+	 * @param {?object} range range of item's value in code
+	 * @param {?object} keyRange range of item's name in code
+	 * @param {object[]|null} nested positions of items in item's value relative to that value
+	 * @returns {void}
+	 */
+	function addFlowPosition( frame, pointer, range, keyRange, nested ) {
+		if ( !frame.positions ) {
+			return;
+		}
+
+		const position = range || extendRange( null, keyRange.endLine, keyRange.endColumn, keyRange.endColumn );
+
+		if ( keyRange ) {
+			position.key = keyRange;
+		}
+
+		frame.positions.push( { pointer: pointer, position: position, nested: nested } );
+	}
+
+	/**
+	 * Lists positions of all items of a flow collection with JSON pointers
+	 * relative to that collection.
+	 *
+	 * @param {?Array<{pointer:string, position:object, nested:?Array}>} positions positions tracked in frame of flow collection
+	 * @returns {Array<{pointer:string, position:object}>} positions of items and their nested items
+	 */
+	function flowPositionsOf( positions ) {
+		const list = [];
+		const pending = positions ? [{ positions: positions, prefix: "", index: 0 }] : [];
+
+		// walk nested positions without recursion for supporting deeply nested collections
+		while ( pending.length ) {
+			const level = pending[pending.length - 1];
+
+			if ( level.index >= level.positions.length ) {
+				pending.pop();
+			} else {
+				const item = level.positions[level.index++];
+				const pointer = level.prefix + item.pointer;
+
+				list.push( { pointer: pointer, position: item.position } );
+
+				if ( item.nested && item.nested.length ) {
+					pending.push( { positions: item.nested, prefix: pointer, index: 0 } );
+				}
+			}
+		}
+
+		return list;
+	}
+
+	/**
+	 * Invokes handler of named event if provided.
+	 *
+	 * @param {object} events maps names of events into handlers
+	 * @param {string} name name of event
+	 * @param {*} first first argument passed to handler
+	 * @param {*=} second second argument passed to handler
+	 * @returns {void}
+	 */
+	function emitEvent( events, name, first, second ) {
+		if ( events[name] ) {
+			events[name]( first, second );
+		}
+	}
+
+	/**
+	 * Copies range of code to be exposed in an event.
+	 *
+	 * @param {object} range range of code
+	 * @returns {{line: int, column: int, endLine: int, endColumn: int}} copy of range
+	 */
+	function eventRange( range ) {
+		return {
+			line: range.line,
+			column: range.column,
+			endLine: range.endLine,
+			endColumn: range.endColumn,
+		};
+	}
+
+	/**
+	 * Emits event on start of collection associated with provided frame
+	 * unless it has been emitted before.
+	 *
+	 * @param {object} frame frame of collection
+	 * @param {boolean} isSequence true if collection is a sequence
+	 * @param {int} line index of line collection starts in
+	 * @param {int} column index of column collection starts at
+	 * @param {object} events maps names of events into handlers
+	 * @returns {void}
+	 */
+	function startFrameEvents( frame, isSequence, line, column, events ) {
+		if ( !frame.started ) {
+			frame.started = true;
+
+			emitEvent( events, isSequence ? "onSequenceStart" : "onMappingStart", { line: line, column: column } );
+		}
+	}
+
+	/**
+	 * Emits event on end of collection associated with provided frame.
+	 *
+	 * @param {object} frame frame of collection
+	 * @param {{line: int, column: int}} end position of collection's end
+	 * @param {object} events maps names of events into handlers
+	 * @returns {void}
+	 */
+	function endFrameEvents( frame, end, events ) {
+		startFrameEvents( frame, Array.isArray( frame.ref ), end.line, end.column, events );
+
+		emitEvent( events, "onEnd", { line: end.line, column: end.column } );
+	}
+
+	/**
+	 * Emits events describing provided value of a node.
+	 *
+	 * Collections are described item by item. Positions of nested items are
+	 * looked up in provided list of positions with pointers relative to the
+	 * value. Range of whole value is used for items missing there.
+	 *
+	 * @param {*} value value to be described
+	 * @param {object} range range of value in code
+	 * @param {object} nested maps JSON pointers relative to value into positions of nested items
+	 * @param {string} pointer JSON pointer of value relative to node's value
+	 * @param {object} events maps names of events into handlers
+	 * @returns {void}
+	 */
+	function emitValueEvents( value, range, nested, pointer, events ) {
+		const isSequence = Array.isArray( value );
+
+		if ( !isCollectionValue( value ) ) {
+			emitEvent( events, "onScalar", value, eventRange( range ) );
+			return;
+		}
+
+		emitEvent( events, isSequence ? "onSequenceStart" : "onMappingStart", { line: range.line, column: range.column } );
+
+		const keys = isSequence ? value.map( function( _, index ) { return index; } ) : keysOf( value );
+		const numKeys = keys.length;
+
+		for ( let i = 0; i < numKeys; i++ ) {
+			const itemPointer = pointer + pointerSegment( keys[i] );
+			const itemRange = nested[itemPointer] || range;
+
+			if ( !isSequence ) {
+				emitEvent( events, "onKey", keys[i], eventRange( itemRange.key || itemRange ) );
+			}
+
+			emitValueEvents( propertyOf( value, keys[i] ), itemRange, nested, itemPointer, events );
+		}
+
+		emitEvent( events, "onEnd", { line: range.endLine, column: range.endColumn } );
+	}
+
+	/**
+	 * Emits events describing properties added to a mapping by merging.
+	 *
+	 * @param {object} mapping mapping properties have been merged into
+	 * @param {string[]} known names of mapping's properties prior to merging
+	 * @param {object} range range of merged value in code
+	 * @param {object} events maps names of events into handlers
+	 * @returns {void}
+	 */
+	function emitMergedEvents( mapping, known, range, events ) {
+		const names = keysOf( mapping );
+		const numNames = names.length;
+
+		for ( let i = 0; i < numNames; i++ ) {
+			if ( known.indexOf( names[i] ) < 0 ) {
+				emitEvent( events, "onKey", names[i], eventRange( range ) );
+				emitValueEvents( propertyOf( mapping, names[i] ), range, {}, "", events );
+			}
+		}
+	}
+
+	/**
+	 * Creates frame for tracking another level of flow collections.
+	 *
+	 * @param {boolean} isSequence true if frame is tracking a flow sequence
+	 * @param {object} options normalized parser options
+	 * @param {int} line index of line of opening bracket
+	 * @param {int} column index of column of opening bracket
+	 * @returns {object} created frame
+	 */
+	function createFlowFrame( isSequence, options, line, column ) {
+		return {
+			ref: isSequence ? [] : createMapping( options ),
+			start: { line: line, column: column },
+			text: "",
+			hasValue: false,
+			value: undefined,
+			hasKey: false,
+			key: undefined,
+			anchor: null,
+			tag: null,
+			range: null,
+			keyRange: null,
+			keySource: null,
+			sourceName: null,
+			nested: null,
+			positions: options.positions || options.events || options.reviver ? [] : null,
+			numNodes: 0,
+			names: Object.create( null ),
+		};
+	}
+
+	/**
+	 * Fetches current item of provided frame of flow collection resetting frame
+	 * for reading next item.
+	 *
+	 * @param {object} frame frame of flow collection
+	 * @param {boolean} asName true if item is used as name of a property
+	 * @param {object} root frame of document's root
+	 * @param {object} options normalized parser options
+	 * @returns {*} value of item, undefined if item is empty
+	 */
+	function takeFlowItem( frame, asName, root, options ) {
+		let value;
+
+		frame.sourceName = null;
+
+		if ( frame.hasValue ) {
+			value = frame.value;
+		} else {
+			const trimmed = foldLineBreaks( frame.text.trim() );
+
+			if ( frame.tag ) {
+				value = trimmed;
+			} else if ( trimmed !== "" ) {
+				value = asName && !options.maps ? trimmed : ( root.resolveScalar || options.resolveScalar )( trimmed );
+
+				if ( asName ) {
+					// keep name as given in code for converting typed keys back
+					frame.sourceName = trimmed;
+				}
+			}
+		}
+
+		if ( frame.tag ) {
+			value = constructTag( frame.tag, value, options );
+		}
+
+		if ( frame.anchor != null ) {
+			root.anchors[frame.anchor] = { value: value === undefined ? null : value };
+		}
+
+		frame.text = "";
+		frame.hasValue = false;
+		frame.value = undefined;
+		frame.anchor = null;
+		frame.tag = null;
+		frame.range = null;
+		frame.nested = null;
+
+		return value;
+	}
+
+	/**
+	 * Adds current item of flow collection to that collection.
+	 *
+	 * @param {object} frame frame of flow collection
+	 * @param {boolean} isClosing true if item is terminated by closing bracket
+	 * @param {object} root frame of document's root
+	 * @param {object} options normalized parser options
+	 * @param {int} line index of line of terminating character
+	 * @param {int} column index of column of terminating character
+	 * @returns {void}
+	 */
+	function addFlowItem( frame, isClosing, root, options, line, column ) {
+		const isSequence = Array.isArray( frame.ref );
+		const range = frame.range;
+		const nested = frame.nested;
+		const value = takeFlowItem( frame, !isSequence && !frame.hasKey, root, options );
+
+		if ( exceedsScalarLength( value, options ) || ( frame.hasKey && exceedsScalarLength( frame.key, options ) ) ) {
+			ParserError( "limit", line, column );
+		}
+
+		if ( frame.hasKey ) {
+			const key = frame.key;
+			const keyRange = frame.keyRange;
+			const keySource = frame.keySource;
+			const item = value === undefined ? null : value;
+
+			frame.hasKey = false;
+			frame.key = undefined;
+			frame.keyRange = null;
+			frame.keySource = null;
+
+			checkPropertyName( key, options, keyRange.line, keyRange.column );
+
+			if ( isSequence ) {
+				// got single-pair mapping in a flow sequence
+				const pair = createMapping( options );
+				setProperty( pair, key, item );
+				recordSourceName( pair, key, keySource );
+
+				if ( frame.positions ) {
+					const pointer = pointerSegment( frame.ref.length );
+					const end = range || keyRange;
+
+					frame.positions.push( { pointer: pointer, position: {
+						line: keyRange.line,
+						column: keyRange.column,
+						endLine: end.endLine,
+						endColumn: end.endColumn,
+					} } );
+					addFlowPosition( frame, pointer + pointerSegment( key ), range, keyRange, nested );
+				}
+
+				frame.numNodes += 2;
+				frame.ref.push( pair );
+			} else if ( key === "<<" && !frame.quotedKey ) {
+				const known = keysOf( frame.ref );
+
+				mergeMappings( frame.ref, item, line, column );
+
+				if ( options.positions && range ) {
+					mergedPositionsOf( frame.ref, known, range, options ).forEach( function( entry ) {
+						frame.positions.push( entry );
+					} );
+				}
+			} else if ( checkDuplicateKey( frame.names, key, options, keyRange.line, keyRange.column ) ) {
+				addFlowPosition( frame, pointerSegment( key ), range, keyRange, nested );
+
+				frame.numNodes++;
+				setProperty( frame.ref, key, item );
+				recordSourceName( frame.ref, key, keySource );
+			}
+		} else if ( value === undefined ) {
+			if ( !isClosing ) {
+				ParserError( "character", line, column );
+			}
+		} else if ( isSequence ) {
+			addFlowPosition( frame, pointerSegment( frame.ref.length ), range, null, nested );
+
+			frame.numNodes++;
+			frame.ref.push( value );
+		} else if ( typeof value === "object" && value ) {
+			ParserError( "character", line, column );
+		} else {
+			// got name of property without value
+			checkPropertyName( value, options, range.line, range.column );
+
+			const name = options.maps ? value : String( value );
+
+			if ( checkDuplicateKey( frame.names, name, options, range.line, range.column ) ) {
+				addFlowPosition( frame, pointerSegment( value ), null, range, null );
+
+				frame.numNodes++;
+				setProperty( frame.ref, name, null );
+				recordSourceName( frame.ref, name, frame.sourceName );
+			}
+		}
+	}
+
+	/**
+	 * Generates string consisting of provided number of spaces.
+	 *
+	 * @param {int} count number of spaces
+	 * @returns {string} generated string of spaces
+	 */
+	function spaces( count ) {
+		let padding = "";
+
+		for ( let n = 0; n < count; n++ ) {
+			padding += " ";
+		}
+
+		return padding;
+	}
+
+	/**
+	 * Renders provided string as double-quoted scalar.
+	 *
+	 * @param {string} value string to be quoted
+	 * @returns {string} quoted string
+	 */
+	function quoteString( value ) {
+		return '"' + value.replace( /[\\"]|[^ -\uffff]/g, function( ch ) {
+			switch ( ch ) {
+				case "\n" : return "\\n";
+				case "\t" : return "\\t";
+				case "\f" : return "\\f";
+				case "\v" : return "\\v";
+				case "\r" : return "\\r";
+				case "\\" : return "\\\\";
+				case '"' : return '\\"';
+
+				default :
+					return "\\x" + ( ch.charCodeAt( 0 ) < 16 ? "0" : "" ) + ch.charCodeAt( 0 ).toString( 16 );
+			}
+		} ) + '"';
+	}
+
+	/**
+	 * Renders provided string as name of a property.
+	 *
+	 * @param {string} name name of property
+	 * @returns {string} name to be used in YAML code
+	 */
+	function serializeName( name ) {
+		return /^[a-zA-Z0-9_$][a-zA-Z0-9_$./+-]*$/.test( name ) ? name : quoteString( name );
+	}
+
+	/**
+	 * Renders key of a mapping's property for use in YAML code.
+	 *
+	 * Keys of a `Map` are typed, thus strings are quoted if they would be
+	 * read as different type of value.
+	 *
+	 * @param {*} key key of property
+	 * @param {boolean} typed true if mapping is a `Map`
+	 * @returns {string} rendered key
+	 */
+	function serializeKey( key, typed ) {
+		if ( typed && typeof key === "string" && resolveScalar( key ) !== key ) {
+			return quoteString( key );
+		}
+
+		return serializeName( nameOfKey( key ) );
+	}
+
+	/**
+	 * Renders provided scalar value for use in YAML code appending resulting
+	 * lines to provided list.
+	 *
+	 * Multi-line strings are rendered as literal block scalar if possible.
+	 *
+	 * @param {null|boolean|number|string} value scalar value
+	 * @param {string} head code preceding value in first line, e.g. property name
+	 * @param {string} indentation indentation of block scalar's content lines
+	 * @param {string[]} lines collects lines of resulting code
+	 * @returns {void}
+	 */
+	function serializeScalar( value, head, indentation, lines ) {
+		const prefix = head === "" ? "" : head + " ";
+
+		switch ( typeof value ) {
+			case "boolean" :
+				lines.push( prefix + ( value ? "true" : "false" ) );
+				return;
+
+			case "bigint" :
+				lines.push( prefix + String( value ) );
+				return;
+
+			case "number" :
+				if ( isFinite( value ) ) {
+					lines.push( prefix + ( value === 0 && 1 / value < 0 ? "-0" : String( value ) ) );
+				} else {
+					lines.push( prefix + "null" );
+				}
+				return;
+
+			case "string" :
+				break;
+
+			default :
+				lines.push( prefix + "null" );
+				return;
+		}
+
+		if ( /\n/.test( value ) && /^\S/.test( value ) && !/[\r\0-\x08\x0b-\x1f]|(^|\n)[ \t]+(\n|$)/.test( value.replace( /\n+$/, "" ) ) ) { // eslint-disable-line no-control-regex
+			// render multi-line string as literal block
+			const trailing = /\n*$/.exec( value )[0].length;
+			const content = value.replace( /\n$/, "" ).split( "\n" );
+			const numLines = content.length;
+
+			lines.push( prefix + ( trailing > 1 ? "|+" : trailing ? "|" : "|-" ) );
+
+			for ( let i = 0; i < numLines; i++ ) {
+				lines.push( content[i] === "" ? "" : indentation + content[i] );
+			}
+			return;
+		}
+
+		if ( value === "" || value !== value.trim() || resolveScalar( value ) !== value ||
+		     /^[-'"|>[\]{}&*!%@`,?]|[:#\0-\x1f]/.test( value ) ) { // eslint-disable-line no-control-regex
+			lines.push( prefix + quoteString( value ) );
+		} else {
+			lines.push( prefix + value );
+		}
+	}
+
+	/**
+	 * Prepares provided value for serialization in the same way as
+	 * `JSON.stringify()` does.
+	 *
+	 * @param {*} value value to be serialized
+	 * @returns {*} value actually to be serialized
+	 */
+	function normalize( value ) {
+		if ( value && typeof value.toJSON === "function" ) {
+			return value.toJSON();
+		}
+
+		return value;
+	}
+
+	/**
+	 * Deeply replaces every instance of `Map` in provided data with a plain
+	 * object.
+	 *
+	 * @param {*} value data to be converted
+	 * @returns {*} converted data
+	 */
+	function mapsToObjects( value ) {
+		if ( Array.isArray( value ) ) {
+			return value.map( mapsToObjects );
+		}
+
+		if ( !value || typeof value !== "object" ) {
+			return value;
+		}
+
+		const prototype = Object.getPrototypeOf( value );
+
+		if ( !isMap( value ) && prototype !== Object.prototype && prototype !== null ) {
+			// keep instances of custom classes, e.g. constructed by tags
+			return value;
+		}
+
+		const copy = prototype === null ? Object.create( null ) : {};
+		const keys = keysOf( value );
+		const numKeys = keys.length;
+
+		for ( let i = 0; i < numKeys; i++ ) {
+			const name = sourceNameOf( value, keys[i] );
+
+			setProperty( copy, name == null ? nameOfKey( keys[i] ) : name, mapsToObjects( propertyOf( value, keys[i] ) ) );
+		}
+
+		return copy;
+	}
+
+	/**
+	 * Renders provided value as YAML code appending resulting lines to provided
+	 * list.
+	 *
+	 * @param {*} value value to be rendered
+	 * @param {string} indentation indentation of every rendered line
+	 * @param {object} options serialization options
+	 * @param {object[]} ancestors list of collections containing current value
+	 * @param {string[]} lines collects lines of resulting code
+	 * @returns {void}
+	 */
+	function serialize( value, indentation, options, ancestors, lines ) {
+		if ( !value || typeof value !== "object" ) {
+			serializeScalar( value, "", indentation + options.indent, lines );
+			return;
+		}
+
+		if ( ancestors.indexOf( value ) > -1 ) {
+			throw new TypeError( "converting circular structure to YAML" );
+		}
+
+		const nested = ancestors.concat( [value] );
+
+		if ( Array.isArray( value ) ) {
+			const numItems = value.length;
+			const step = Math.max( options.indent.length, 2 );
+			const itemIndentation = indentation + spaces( step );
+
+			for ( let i = 0; i < numItems; i++ ) {
+				let item = normalize( value[i] );
+
+				if ( item === undefined || typeof item === "function" ) {
+					item = null;
+				}
+
+				if ( !item || typeof item !== "object" ) {
+					serializeScalar( item, indentation + "-", itemIndentation, lines );
+				} else if ( Array.isArray( item ) ? !item.length : !keysOf( item ).length ) {
+					lines.push( indentation + ( Array.isArray( item ) ? "- []" : "- {}" ) );
+				} else {
+					// use compact notation for collections in a sequence
+					const first = lines.length;
+
+					serialize( item, itemIndentation, options, nested, lines );
+
+					lines[first] = indentation + "-" + spaces( step - 1 ) + lines[first].substr( itemIndentation.length );
+				}
+			}
+			return;
+		}
+
+		const names = keysOf( value );
+
+		if ( options.sortKeys ) {
+			names.sort( typeof options.sortKeys === "function" ? options.sortKeys : undefined );
+		}
+
+		const numNames = names.length;
+		const itemIndentation = indentation + options.indent;
+
+		for ( let i = 0; i < numNames; i++ ) {
+			const name = names[i];
+			const item = normalize( propertyOf( value, name ) );
+
+			if ( item !== undefined && typeof item !== "function" ) {
+				const head = indentation + serializeKey( name, isMap( value ) ) + ":";
+
+				if ( !item || typeof item !== "object" ) {
+					serializeScalar( item, head, itemIndentation, lines );
+				} else if ( Array.isArray( item ) ? !item.length : !keysOf( item ).length ) {
+					lines.push( head + ( Array.isArray( item ) ? " []" : " {}" ) );
+				} else {
+					lines.push( head );
+					serialize( item, itemIndentation, options, nested, lines );
+				}
+			}
+		}
+	}
+
+	/**
+	 * Creates stack of frames for collecting data of another document.
+	 *
+	 * @param {string} pointer JSON pointer addressing document's root
+	 * @param {object} options normalized parser options
+	 * @returns {object[]} stack consisting of single frame for document's root
+	 */
+	function createRootStack( pointer, options ) {
+		return [{
+			depth: 0,
+			selector: null,
+			ref: createMapping( options ),
+			anchors: Object.create( null ),
+			pointer: pointer,
+			numNodes: 0,
+		}];
+	}
+
+	/**
+	 * Extracts data structures of all documents in provided string assumed to
+	 * contain YAML code.
+	 *
+	 * @param {object} parser parser instance used to consume discovered nodes
+	 * @param {string} code string assumed to contain YAML code
+	 * @param {object} options normalized parser options
+	 * @param {boolean} single true if code must not contain multiple documents
+	 * @returns {object[]} data structures of documents described by YAML code
+	 */
+	function parseStream( parser, code, options, single ) {
+		const documents = [];
+		const scanner = createScanner( parser, options, single, {
+			document: function( data ) {
+				documents.push( data );
+			},
+		} );
+
+		scanner.write( code );
+		scanner.end();
+
+		return documents;
+	}
+
+	/**
+	 * Creates scanner incrementally extracting data structures of documents
+	 * from chunks of YAML code.
+	 *
+	 * Chunks are scanned line by line. Code of lines that have been scanned
+	 * and aren't required anymore is dropped.
+	 *
+	 * Provided handlers are invoked with data of every document in `document`
+	 * and with every completed entry of a document's root collection in
+	 * optional `entry`.
+	 *
+	 * @param {object} parser parser instance used to consume discovered nodes
+	 * @param {object} options normalized parser options
+	 * @param {boolean} single true if code must not contain multiple documents
+	 * @param {{document: function, entry: function}} handlers callbacks invoked on completed data
+	 * @returns {{write: function(string), end: function()}} scanner
+	 */
+	function createScanner( parser, options, single, handlers ) {
+		const origin = { line: 1, offset: 0 };
+
+		let code = "";
+		let numCharacters = 0;
+		let available = 0;
+		let numDocuments = 0;
+		let documentOffset = 0;
+		let numDescribedWarnings = options.warnings.length;
+		let rootKey;
+		let stack = createStack();
+		let inDocument = false;
+		let mode = ParserModes.LEADING_SPACE;
+		let node = null;
+		let line = 1;
+		let column = 1;
+		let startBlock = 0;
+		let startLine = 0;
+		let lineIndentation = 0;
+		let cursor = 0;
+		let continuedLine = -1;
+		let quoteStart = null;
+		let comment = null;
+		let directives = null;
+
+		/**
+		 * Creates stack of frames for collecting data of another document.
+		 *
+		 * @returns {object[]} stack consisting of single frame for document's root
+		 */
+		function createStack() {
+			const rootStack = createRootStack( single ? "" : "/" + numDocuments, options );
+
+			if ( handlers.entry ) {
+				rootKey = undefined;
+				rootStack[0].onEntry = function( next ) {
+					const ref = rootStack[0].ref;
+
+					if ( rootKey !== undefined ) {
+						handlers.entry( propertyOf( ref, rootKey ), rootKey, numDocuments );
+					}
+
+					if ( next.complexKey ) {
+						rootKey = undefined;
+					} else if ( next.isArrayItem ) {
+						rootKey = Array.isArray( ref ) ? ref.length : 0;
+					} else {
+						rootKey = next.propertyName === "<<" && !next.quotedName ? undefined : next.propertyName;
+					}
+				};
+			}
+
+			return rootStack;
+		}
+
+		/**
+		 * Marks start of another document in stream.
+		 *
+		 * @returns {void}
+		 */
+		function startDocument() {
+			inDocument = true;
+
+			if ( single && numDocuments ) {
+				ParserError( "document", line, column );
+			}
+
+			if ( directives ) {
+				// apply directives preceding marker of document's start
+				const root = stack[stack.length - 1];
+
+				root.handles = directives.handles;
+
+				if ( directives.version && options.versionResolvers ) {
+					root.resolveScalar = options.versionResolvers[/^1\.[01]$/.test( directives.version ) ? "1.1" : "1.2"];
+				}
+
+				directives = null;
+			}
+		}
+
+		/**
+		 * Processes directive found in code preceding marker of a document's
+		 * start.
+		 *
+		 * Unknown directives are ignored with a warning.
+		 *
+		 * @param {string} text code of directive excluding any comment
+		 * @param {int} directiveColumn index of column directive starts at
+		 * @returns {void}
+		 */
+		function readDirective( text, directiveColumn ) {
+			const parts = text.trim().split( /\s+/ );
+
+			if ( !directives ) {
+				directives = {
+					line: line,
+					column: directiveColumn,
+					version: null,
+					handles: Object.create( null ),
+				};
+			}
+
+			switch ( parts[0] ) {
+				case "%YAML" : {
+					const version = /^(\d+)\.\d+$/.exec( parts[1] );
+
+					if ( parts.length !== 2 || !version || directives.version ) {
+						ParserError( "directive", line, directiveColumn );
+					}
+
+					if ( version[1] !== "1" ) {
+						ParserError( "version", line, directiveColumn );
+					}
+
+					if ( !/^1\.[012]$/.test( parts[1] ) ) {
+						// process code of newer minor version as YAML 1.2
+						options.warnings.push( new YAMLSyntaxError( "version", line, directiveColumn ) );
+					}
+
+					directives.version = parts[1];
+					break;
+				}
+
+				case "%TAG" :
+					if ( parts.length !== 3 || !/^!(?:[\w-]*!)?$/.test( parts[1] ) || directives.handles[parts[1]] != null ) {
+						ParserError( "directive", line, directiveColumn );
+					}
+
+					directives.handles[parts[1]] = parts[2];
+					break;
+
+				default :
+					options.warnings.push( new YAMLSyntaxError( "directive", line, directiveColumn ) );
+			}
+		}
+
+		/**
+		 * Collects data of current document and resets context for parsing
+		 * another document.
+		 *
+		 * @returns {void}
+		 */
+		function finishDocument() {
+			if ( node && ( node.folded || node.pending ) ) {
+				consumeCompletedNode();
+			}
+
+			while ( stack.length > 1 || stack[0].explicitKey ) {
+				try {
+					if ( stack[0].explicitKey ) {
+						parser.consume( missingExplicitValue( stack[0] ), stack, options.tokens, options );
+					} else {
+						closeFrame( stack, options );
+					}
+				} catch ( error ) {
+					recover( error, true );
+				}
+			}
+
+			if ( inDocument ) {
+				const root = stack[0];
+				let data = root.numNodes ? root.ref : null;
+
+				if ( root.tag && !root.hasValue ) {
+					try {
+						data = constructTag( root.tag, root.ref, options );
+					} catch ( error ) {
+						recover( error, true );
+					}
+				}
+
+				if ( options.events ) {
+					if ( !root.numNodes ) {
+						// empty document is described as null
+						emitEvent( options.events, "onScalar", null, eventRange( extendRange( null, line, column, column ) ) );
+					} else if ( !root.hasValue ) {
+						endFrameEvents( root, root.end || { line: line, column: column }, options.events );
+					}
+				}
+
+				if ( handlers.entry && rootKey !== undefined ) {
+					handlers.entry( propertyOf( data, rootKey ), rootKey, numDocuments );
+				}
+
+				if ( options.reviver ) {
+					data = options.reviver.call( { "": data }, "", data, stack[0].pointer );
+				}
+
+				handlers.document( data, numDocuments++ );
+			}
+
+			node = null;
+			stack = createStack();
+			inDocument = false;
+			documentOffset = origin.offset + cursor;
+		}
+
+		/**
+		 * Collects current node spanning multiple lines after reading the line
+		 * following it.
+		 *
+		 * In recovery mode, failing to collect the node doesn't affect
+		 * scanning of current line.
+		 *
+		 * @returns {void}
+		 */
+		function consumeCompletedNode() {
+			try {
+				parser.consume( node, stack, options.tokens, options );
+			} catch ( error ) {
+				recover( error, true );
+			}
+
+			node = null;
+		}
+
+		/**
+		 * Handles error encountered while parsing code.
+		 *
+		 * In recovery mode, the error is collected and parsing resumes with
+		 * next line of code unless caller is going to resume parsing itself.
+		 * Otherwise the error is thrown.
+		 *
+		 * @param {Error} error encountered error
+		 * @param {boolean} keepPosition true if caller is resuming parsing
+		 * @returns {void}
+		 */
+		function recover( error, keepPosition ) {
+			if ( !options.recover || !( error instanceof YAMLSyntaxError ) || error.code === "limit" ) {
+				throw error;
+			}
+
+			options.errors.push( describeErrorSource( error, code, origin ) );
+
+			// drop current node and skip rest of line
+			node = null;
+
+			if ( keepPosition ) {
+				return;
+			}
+
+			switch ( cursor < numCharacters ? code[cursor] : "\n" ) {
+				case "\r" :
+					mode = ParserModes.LF;
+					break;
+
+				case "\n" :
+					mode = ParserModes.LEADING_SPACE;
+					startBlock = cursor + 1;
+
+					if ( cursor < numCharacters ) {
+						line++;
+						column = 0;
+					}
+					break;
+
+				default :
+					mode = ParserModes.COMMENT;
+			}
+
+			cursor++;
+			column++;
+		}
+
+		/**
+		 * Maps offset of character in current line into its column.
+		 *
+		 * @param {int} offset offset of character in code
+		 * @returns {int} index of column character is found at
+		 */
+		function columnOf( offset ) {
+			return column - cursor + offset;
+		}
+
+		/**
+		 * Detects if line with provided indentation ends content of a block
+		 * scalar at document's root by being less indented than its content.
+		 *
+		 * @param {int} indentation number of characters indenting line
+		 * @returns {boolean} true if current node is block scalar ended by line
+		 */
+		function endsRootBlockScalar( indentation ) {
+			return node.depth < 0 && node.value != null && indentation < node.foldedIndentation;
+		}
+
+		/**
+		 * Detects if current line starts with an item of a sequence or a
+		 * property of a mapping.
+		 *
+		 * @returns {boolean} true if line is starting entry of a block collection
+		 */
+		function startsEntry() {
+			const end = code.indexOf( "\n", cursor );
+			const text = code.substring( cursor, end < 0 ? numCharacters : end );
+
+			return /^-|^[?:](?:\s|$)|^(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*')\s*:|^[^\s#&*!|>[{'"%@`](?:\S|\s+(?=[^\s#]))*?:/.test( text );
+		}
+
+		/**
+		 * Detects if dash at cursor is starting non-quoted name of a property
+		 * instead of an item of a sequence.
+		 *
+		 * A dash followed by non-whitespace starts an item for supporting
+		 * legacy code like `-item` unless line is a property of a mapping
+		 * continuing another mapping at line's indentation. Thus, it always
+		 * starts an item when starting first node below a key.
+		 *
+		 * @returns {boolean} true if dash at cursor is part of a name
+		 */
+		function startsDashedName() {
+			if ( cursor + 1 >= numCharacters || /\s/.test( code[cursor + 1] ) ) {
+				return false;
+			}
+
+			const end = code.indexOf( "\n", cursor );
+
+			if ( !/^(?:\S|\s+(?=[^\s#]))*?:(?:\s|$)/.test( code.substring( cursor, end < 0 ? numCharacters : end ) ) ) {
+				return false;
+			}
+
+			if ( isNaN( stack[0].depth ) ) {
+				// line starts first node below a key
+				return false;
+			}
+
+			for ( let i = 0; i < stack.length; i++ ) {
+				const frame = stack[i];
+
+				if ( frame.depth <= lineIndentation ) {
+					return frame.depth === lineIndentation && !Array.isArray( frame.ref );
+				}
+			}
+
+			return false;
+		}
+
+		/**
+		 * Detects if colon at cursor is separating non-quoted name of a
+		 * property from its value.
+		 *
+		 * The colon must be followed by whitespace unless there is no such
+		 * colon in rest of line, thus supporting legacy code like `key:value`.
+		 *
+		 * @returns {boolean} true if colon at cursor is ending name
+		 */
+		function endsName() {
+			if ( cursor + 1 >= numCharacters || /\s/.test( code[cursor + 1] ) ) {
+				return true;
+			}
+
+			const end = code.indexOf( "\n", cursor );
+
+			return !/:(?:\s|$)/.test( code.substring( cursor + 1, end < 0 ? numCharacters : end ) );
+		}
+
+		/**
+		 * Starts node describing value of document's root at cursor.
+		 *
+		 * @returns {void}
+		 */
+		function startRootValue() {
+			node = {
+				depth: -1,
+				line: line,
+				column: column,
+			};
+
+			startBlock = cursor;
+			mode = ParserModes.VALUE;
+
+			// process current character in context of value
+			cursor--;
+			column--;
+		}
+
+		/**
+		 * Starts node describing value of a key or item found in a previous
+		 * line at cursor.
+		 *
+		 * The key or item has been consumed as start of a collection before.
+		 * Its frame is replaced with the value on consuming the node.
+		 *
+		 * @returns {void}
+		 */
+		function startNestedValue() {
+			node = {
+				depth: stack[1].depth,
+				nestedValue: true,
+				line: line,
+				column: column,
+			};
+
+			startBlock = cursor;
+			mode = ParserModes.VALUE;
+
+			// process current character in context of value
+			cursor--;
+			column--;
+		}
+
+		/**
+		 * Extends range of current node's value to cover non-whitespace
+		 * content of current line between given offset and cursor.
+		 *
+		 * @param {int} from offset of first character in code to cover
+		 * @returns {void}
+		 */
+		function markValue( from ) {
+			const text = code.substring( from, cursor );
+			const start = from + text.search( /\S|$/ );
+			const end = from + text.replace( /\s+$/, "" ).length;
+
+			if ( end > start ) {
+				node.valueRange = extendRange( node.valueRange, line, columnOf( start ), columnOf( end ) );
+			}
+		}
+
+		/**
+		 * Extends range of current item in provided frame of a flow collection
+		 * to cover character at cursor.
+		 *
+		 * @param {object} frame frame of flow collection
+		 * @param {int} endColumn index of column right after covered character
+		 * @returns {void}
+		 */
+		function markFlowItem( frame, endColumn ) {
+			frame.range = extendRange( frame.range, line, column, endColumn );
+		}
+
+		/**
+		 * Handles current line failing to continue content of current node
+		 * spanning multiple lines due to insufficient indentation.
+		 *
+		 * In recovery mode, parsing resumes at beginning of current line.
+		 *
+		 * @param {YAMLSyntaxError} error error describing cause
+		 * @returns {void}
+		 */
+		function discontinue( error ) {
+			recover( error, true );
+
+			mode = ParserModes.LEADING_SPACE;
+			startBlock = continuedLine;
+			continuedLine = -1;
+			cursor--;
+			column--;
+		}
+
+		/**
+		 * Switches to given mode for skipping comment starting at current
+		 * character.
+		 *
+		 * @param {int} commentMode mode for skipping comment
+		 * @returns {void}
+		 */
+		function skipComment( commentMode ) {
+			mode = commentMode;
+
+			if ( options.comments ) {
+				comment = {
+					offset: cursor,
+					line: line,
+					column: column,
+					inline: /\S/.test( code.substring( cursor - column + 1, cursor ) ),
+				};
+			}
+		}
+
+		/**
+		 * Collects comment ending at current character if comments are
+		 * collected.
+		 *
+		 * @returns {void}
+		 */
+		function collectComment() {
+			if ( comment ) {
+				options.comments.push( {
+					text: code.substring( comment.offset, cursor ).replace( /\r$/, "" ),
+					line: comment.line,
+					column: comment.column,
+					inline: comment.inline,
+				} );
+
+				comment = null;
+			}
+		}
+
+		/**
+		 * Appends content of current line to current node's multi-line plain
+		 * scalar.
+		 *
+		 * @returns {void}
+		 */
+		function continuePlainScalar() {
+			markValue( startBlock );
+
+			node.value += ( node.breaks > 1 ? spaces( node.breaks - 1 ).replace( / /g, "\n" ) : " " ) +
+			              code.substring( startBlock, cursor ).trim();
+			node.breaks = 0;
+		}
+
+
+		/**
+		 * Processes code character by character starting at current cursor.
+		 *
+		 * @returns {void}
+		 */
+		function scan() {
+			for ( ; cursor < available; cursor++, column++ ) {
+				const ch = cursor < numCharacters ? code[cursor] : "\n";
+
+				switch ( mode ) {
+					case ParserModes.LEADING_SPACE :
+						switch ( ch ) {
+							case " " :
+							case "\t" :
+								break;
+
+							case "\r" :
+							case "\n" :
+								if ( node && node.folded && node.value == null && !node.indentationIndicator ) {
+									// track indentation of leading empty lines of block scalar
+									node.blankIndentation = Math.max( node.blankIndentation || 0, cursor - startBlock );
+								}
+
+								if ( ch === "\r" ) {
+									mode = ParserModes.LF;
+								} else {
+									startBlock = cursor + 1;
+								}
+								break;
+
+							case "#" :
+								if ( !node || !node.folded || cursor - startBlock <= node.depth || endsRootBlockScalar( cursor - startBlock ) ) {
+									if ( node && ( node.pending || node.folded ) ) {
+										// comment line terminates multi-line scalar
+										consumeCompletedNode();
+									}
+
+									skipComment( ParserModes.COMMENT );
+									break;
+								}
+
+								// falls through
+							default : {
+								startLine = startBlock;
+								lineIndentation = cursor - startLine;
+
+								if ( lineIndentation === 0 && ( ch === "-" || ch === "." ) &&
+								     code.substr( cursor, 3 ) === ch + ch + ch && /^\s?$/.test( code.charAt( cursor + 3 ) ) ) {
+									// got marker of a document's start or end
+									finishDocument();
+
+									if ( ch === "-" ) {
+										startDocument();
+									}
+
+									cursor += 2;
+									column += 2;
+
+									mode = ParserModes.MARKER;
+									break;
+								}
+
+								if ( node ) {
+									if ( node.folded ) {
+										if ( lineIndentation > node.depth && !endsRootBlockScalar( lineIndentation ) ) {
+											// line is folded continuation of previous line
+											// (block scalar at document's root is indented by 0 at least)
+											const base = Math.max( node.depth, 0 );
+
+											if ( lineIndentation < base + node.indentationIndicator ) { // eslint-disable-line max-depth
+												ParserError( "indentation", line, column );
+											}
+
+											if ( node.value == null ) { // eslint-disable-line max-depth
+												if ( node.blankIndentation > lineIndentation ) { // eslint-disable-line max-depth
+													// leading empty lines mustn't be indented deeper than first line of content
+													ParserError( "folded", line, column );
+												}
+
+												node.foldedIndentation = node.indentationIndicator || lineIndentation - base;
+											}
+
+											startBlock += base;
+
+											mode = ParserModes.FOLDED_VALUE;
+											break;
+										}
+
+										// previous folded node has actually ended
+										// at most recently passed line break
+										consumeCompletedNode();
+									} else if ( node.pending ) {
+										if ( lineIndentation > node.depth ) {
+											// line continues multi-line plain scalar
+											mode = ParserModes.PLAIN_CONTINUATION;
+											startBlock = cursor;
+											cursor--;
+											column--;
+											break;
+										}
+
+										consumeCompletedNode();
+									}
+								}
+
+
+								if ( !inDocument ) {
+									if ( ch === "%" && lineIndentation === 0 ) {
+										// got directive preceding document
+										mode = ParserModes.DIRECTIVE;
+										startBlock = cursor;
+										break;
+									}
+
+									if ( directives ) {
+										// directives require explicit start of document
+										directives = null;
+										ParserError( "directive", line, column );
+									}
+
+									startDocument();
+								}
+
+								if ( stack.length === 1 && !stack[0].numNodes && !startsEntry() ) {
+									// line starts value of document's root
+									startRootValue();
+									break;
+								}
+
+								if ( stack.length > 1 && isNaN( stack[0].depth ) && lineIndentation > stack[1].depth && !startsEntry() ) {
+									// line starts value of key or item in previous line
+									startNestedValue();
+									break;
+								}
+
+								node = {
+									depth: lineIndentation,
+									line: line,
+									column: column,
+								};
+
+								startBlock = cursor;
+
+								switch ( ch ) {
+									case "'" :
+									case '"' :
+										mode = ParserModes.QUOTED_NAME;
+										quoteStart = { line: line, column: column };
+										break;
+
+									case "-" :
+										if ( startsDashedName() ) {
+											mode = ParserModes.NAME;
+											cursor--;
+											column--;
+										} else {
+											mode = ParserModes.GOT_DASH;
+										}
+										break;
+
+									case "!" :
+									case "&" :
+										// properties of implicit keys aren't supported
+										ParserError( "character", line, column );
+										break;
+
+									case "?" :
+									case ":" :
+										if ( cursor + 1 >= numCharacters || /\s/.test( code[cursor + 1] ) ) {
+											if ( ch === "?" ) {
+												// got explicit key of a mapping handled like an item
+												node.complexKey = true;
+												mode = ParserModes.GOT_DASH;
+											} else {
+												// got value of a mapping's most recent explicit key
+												node.isProperty = true;
+												node.explicitValue = true;
+												mode = ParserModes.VALUE;
+												startBlock = cursor + 1;
+											}
+											break;
+										}
+
+									// falls through
+									default :
+										mode = ParserModes.NAME;
+										cursor--;
+										column--;
+								}
+							}
+						}
+						break;
+
+					case ParserModes.GOT_DASH :
+						if ( !/\s/.test( ch ) && ( node.isProperty || ( node.isArrayItem && /[\d.]/.test( ch ) ) ) ) {
+							mode = ParserModes.VALUE;
+						} else {
+							if ( node.isArrayItem || node.isProperty ) {
+								const passed = code.substring( startBlock, cursor );
+
+								node.value = node.isArrayItem ? EmptyArray : EmptyObject;
+								parser.consume( node, stack, options.tokens, options );
+
+								node = {
+									depth: node.depth + 1 + passed.match( /^\s*/ )[0].length,
+									isArrayItem: true,
+									line: line,
+									column: column - 1,
+								};
+							} else {
+								node.isArrayItem = true;
+							}
+
+							switch ( ch ) {
+								case "\r" :
+									node.value = EmptyObject;
+									parser.consume( node, stack, options.tokens, options );
+
+									mode = ParserModes.LF;
+									break;
+
+								case "\n" :
+									node.value = EmptyArray;
+									parser.consume( node, stack, options.tokens, options );
+
+									mode = ParserModes.LEADING_SPACE;
+
+									startBlock = cursor + 1;
+									break;
+
+								case " " :
+								case "\t" :
+								default :
+									mode = ParserModes.VALUE;
+									startBlock = cursor;
+									break;
+							}
+						}
+						break;
+
+					case ParserModes.LF :
+						// requiring LF (having read CR before)
+						if ( ch !== "\n" ) {
+							ParserError( "linebreak", line, column );
+						}
+
+						mode = ParserModes.LEADING_SPACE;
+
+						startBlock = cursor + 1;
+						break;
+
+					case ParserModes.NAME :
+						// passing regular content of a non-quoted property name
+						// while searching for colon marking end of name
+						switch ( ch ) {
+							case ":" :
+								if ( !endsName() ) {
+									// colon is part of name
+									break;
+								}
+
+								node.isProperty = true;
+								node.propertyName = code.substring( startBlock, cursor ).trim();
+								node.keyRange = extendRange( null, line, node.column, columnOf( startBlock + node.propertyName.length ) );
+
+								mode = ParserModes.VALUE;
+								startBlock = cursor + 1;
+								break;
+
+							case "\r" :
+							case "\n" :
+								ParserError( "linebreak", line, column );
+								break;
+
+							case "#" :
+								if ( /\s/.test( code[cursor - 1] ) ) {
+									ParserError( "comment", line, column );
+								}
+						}
+						break;
+
+					case ParserModes.QUOTED_NAME :
+						// passing regular content of a quoted property name while
+						// searching for closing quotes
+						switch ( ch ) {
+							case "\\" :
+								if ( code[startBlock] === '"' ) {
+									mode = ParserModes.ESCAPED_QUOTED_NAME;
+								}
+								break;
+
+							case "\r" :
+							case "\n" :
+								// quoted names can't span multiple lines
+								ParserError( "quote", quoteStart.line, quoteStart.column );
+								break;
+
+							case code[startBlock] :
+								if ( ch === "'" && code[cursor + 1] === "'" ) {
+									mode = ParserModes.ESCAPED_QUOTED_NAME;
+									break;
+								}
+
+								node.isProperty = true;
+								node.quotedName = true;
+								node.propertyName = unquote( code.substring( startBlock + 1, cursor ), ch );
+								node.keyRange = extendRange( null, line, node.column, column + 1 );
+
+								mode = ParserModes.COLON;
+								break;
+						}
+						break;
+
+					case ParserModes.ESCAPED_QUOTED_NAME :
+						// passing escape sequence or doubled single quote in a quoted name
+						switch ( ch ) {
+							case "\r" :
+							case "\n" :
+								ParserError( "linebreak", line, column );
+								break;
+
+							default :
+								if ( code[startBlock] === '"' && !isEscapeSequence( code, cursor ) ) {
+									ParserError( "escape", line, column - 1 );
+								}
+
+								mode = ParserModes.QUOTED_NAME;
+						}
+						break;
+
+					case ParserModes.COLON :
+						// searching for colon separating name from value
+						switch ( ch ) {
+							case ":" :
+								mode = ParserModes.VALUE;
+								startBlock = cursor + 1;
+								break;
+
+							case " " :
+							case "\t" :
+								break;
+
+							case "\r" :
+							case "\n" :
+								ParserError( "linebreak", line, column );
+								break;
+
+							case "#" :
+								ParserError( "comment", line, column );
+								break;
+
+							default :
+								ParserError( "character", line, column );
+						}
+						break;
+
+					case ParserModes.VALUE :
+						switch ( ch ) {
+							case "&" :
+							case "*" :
+								if ( !/\S/.test( code.substring( startBlock, cursor ) ) && node.anchor == null ) {
+									if ( ch === "*" && node.tag ) {
+										ParserError( "character", line, column );
+									}
+
+									node.valueRange = extendRange( node.valueRange, line, column, column + 1 );
+
+									mode = ch === "&" ? ParserModes.ANCHOR : ParserModes.ALIAS;
+									startBlock = cursor + 1;
+								}
+								break;
+
+							case "!" :
+								if ( !/\S/.test( code.substring( startBlock, cursor ) ) && !node.tag ) {
+									node.valueRange = extendRange( node.valueRange, line, column, column + 1 );
+
+									mode = ParserModes.TAG;
+									startBlock = cursor;
+								}
+								break;
+
+							case "[" :
+							case "{" :
+								if ( !/\S/.test( code.substring( startBlock, cursor ) ) ) {
+									node.valueRange = extendRange( node.valueRange, line, column, column + 1 );
+									node.flow = [createFlowFrame( ch === "[", options, line, column )];
+									node.flowDepth = 1;
+									mode = ch === "[" ? ParserModes.FLOW_SEQUENCE : ParserModes.FLOW_MAPPING;
+								}
+								break;
+
+							case "#" :
+								markValue( startBlock );
+								node.value = code.substring( startBlock, cursor ).trim();
+
+								if ( /^[|>]/.test( node.value ) && !/\s/.test( code[cursor - 1] ) ) {
+									// comment must be separated from header of block scalar
+									ParserError( "folded", line, column );
+								}
+
+								skipComment( ParserModes.COMMENT );
+								break;
+
+							case "'" :
+							case '"' :
+								if ( !/\S/.test( code.substring( startBlock, cursor ) ) ) {
+									node.valueRange = extendRange( node.valueRange, line, column, column + 1 );
+
+									mode = ParserModes.QUOTED_VALUE;
+									startBlock = cursor;
+									node.quotedValue = { line: line, column: column };
+									quoteStart = node.quotedValue;
+								}
+								break;
+
+							case "\r" :
+								markValue( startBlock );
+								node.value = code.substring( startBlock, cursor ).trim();
+								if ( node.value === "" ) {
+									node.value = EmptyObject;
+								}
+
+								mode = ParserModes.LF;
+								break;
+
+							case "\n" :
+								markValue( startBlock );
+								node.value = code.substring( startBlock, cursor ).trim();
+								if ( node.value === "" ) {
+									node.value = EmptyObject;
+								}
+
+								mode = ParserModes.LEADING_SPACE;
+
+								startBlock = cursor + 1;
+								break;
+
+							case ":" :
+								if ( ( node.depth < 0 || node.nestedValue ) && ( cursor + 1 >= numCharacters || /\s/.test( code[cursor + 1] ) ) ) {
+									// plain scalar value in a line of its own can't be a key, e.g. due to preceding properties
+									ParserError( "character", line, column );
+								}
+
+								if ( ( node.isArrayItem || node.isProperty ) && ( cursor + 1 >= numCharacters || /\s/.test( code[cursor + 1] ) ) ) {
+									const passed = code.substring( startBlock, cursor );
+									const trimmed = passed.trim();
+
+									if ( /^[^\s#&*!|>[\]{}'"%@`,]/.test( trimmed ) && !/\s#/.test( trimmed ) ) {
+										node.value = EmptyObject;
+										parser.consume( node, stack, options.tokens, options );
+
+										const keyStart = columnOf( startBlock ) + passed.match( /^\s*/ )[0].length;
+
+										node = {
+											depth: node.depth + 1 + passed.match( /^\s*/ )[0].length,
+											isProperty: true,
+											propertyName: trimmed,
+											line: line,
+											column: keyStart,
+											keyRange: extendRange( null, line, keyStart, keyStart + trimmed.length ),
+										};
+
+										startBlock = cursor + 1;
+									}
+								}
+								break;
+
+							case "-" :
+								if ( node.isArrayItem || node.isProperty ) {
+									const passed = code.substring( startBlock, cursor );
+									const trimmed = passed.trim();
+
+									if ( !trimmed.length ) {
+										mode = ParserModes.GOT_DASH;
+									}
+								}
+								break;
+
+							case "?" :
+								if ( node.isArrayItem && !node.complexKey && ( cursor + 1 >= numCharacters || /\s/.test( code[cursor + 1] ) ) ) {
+									const passed = code.substring( startBlock, cursor );
+
+									if ( !/\S/.test( passed ) && node.anchor == null && !node.tag ) {
+										// item is compact mapping starting with explicit key
+										node.value = EmptyObject;
+										parser.consume( node, stack, options.tokens, options );
+
+										node = {
+											depth: node.depth + 1 + passed.match( /^\s*/ )[0].length,
+											complexKey: true,
+											line: line,
+											column: column,
+										};
+
+										mode = ParserModes.GOT_DASH;
+										startBlock = cursor;
+									}
+								}
+								break;
+						}
+
+						if ( isBlockScalarHeader( node.value ) ) {
+							// got marker for starting folded string in next line
+							const indicator = /\d/.exec( node.value );
+
+							node.folded = node.value;
+							node.indentationIndicator = indicator ? Number( indicator[0] ) : 0;
+							node.leadingBreaks = -1;
+							node.value = null;
+						} else if ( typeof node.value === "string" && /^[|>]/.test( node.value ) ) {
+							// plain scalars can't start with indicator of block scalar
+							ParserError( "folded", node.valueRange.line, node.valueRange.column );
+						}
+
+						switch ( node.value ) {
+							case null :
+							case undefined :
+								// keep searching for end of value
+								break;
+
+							case "" :
+								// assume another line with deeper indentation
+								node.value = EmptyObject;
+
+							// falls through
+							default :
+								if ( ( ch === "\r" || ch === "\n" ) && node.value !== EmptyObject ) {
+									// plain scalar might continue in next line
+									node.pending = true;
+									break;
+								}
+
+								parser.consume( node, stack, options.tokens, options );
+								node = null;
+						}
+
+						break;
+
+					case ParserModes.QUOTED_VALUE :
+						// passing regular content of a quoted value while searching
+						// for closing quotes
+						if ( continuedLine > -1 && !/\s/.test( ch ) ) {
+							if ( cursor - continuedLine <= node.depth ) {
+								// quoted value hasn't been closed before next line of
+								// block-style content
+								discontinue( new YAMLSyntaxError( "quote", quoteStart.line, quoteStart.column ) );
+								break;
+							}
+
+							continuedLine = -1;
+						}
+
+						switch ( ch ) {
+							case "\\" :
+								if ( code[startBlock] === '"' ) {
+									mode = ParserModes.ESCAPED_QUOTED_VALUE;
+								}
+								break;
+
+							case "\n" :
+								continuedLine = cursor + 1;
+								break;
+
+							case code[startBlock] :
+								if ( ch === "'" && code[cursor + 1] === "'" ) {
+									mode = ParserModes.ESCAPED_QUOTED_VALUE;
+									break;
+								}
+
+								node.value = unquote( code.substring( startBlock + 1, cursor ), ch );
+								node.valueRange = extendRange( node.valueRange, line, column, column + 1 );
+
+								mode = ParserModes.LINEBREAK;
+								startBlock = cursor + 1;
+								break;
+						}
+						break;
+
+					case ParserModes.ESCAPED_QUOTED_VALUE :
+						// passing escape sequence or doubled single quote in a quoted value
+						if ( code[startBlock] === '"' && !isEscapeSequence( code, cursor ) ) {
+							ParserError( "escape", line, column - 1 );
+						}
+
+						if ( ch === "\n" ) {
+							// escaped line break
+							continuedLine = cursor + 1;
+						}
+
+						mode = ParserModes.QUOTED_VALUE;
+						break;
+
+					case ParserModes.FOLDED_VALUE : {
+						// reading another line of a folded value's content
+						let isCrLf = false;
+
+						switch ( ch ) {
+							case "\r" :
+								isCrLf = true;
+
+							// falls through
+							case "\n" : {
+								const _pre = code.substr( startBlock, node.foldedIndentation );
+								let _line = code.substring( startBlock + node.foldedIndentation, cursor );
+
+								const match = /\S/.exec( _pre );
+								if ( match ) {
+									const diff = node.foldedIndentation - match.index;
+									let padding = "";
+
+									for ( let n = 0; n < diff; n++ ) {
+										padding += " ";
+									}
+
+									node.value = node.value.replace( /(^|\n(?=\s*\S))/g, "$1" + padding );
+
+									node.foldedIndentation = match.index;
+
+									_line = _pre.substr( match.index ) + _line;
+								}
+
+								node.value = ( node.value == null ? spaces( node.leadingBreaks ).replace( / /g, "\n" ) : node.value ) + _line;
+								markValue( startBlock );
+
+								if ( isCrLf ) {
+									mode = ParserModes.LF;
+								} else {
+									mode = ParserModes.LEADING_SPACE;
+
+									startBlock = cursor + 1;
+								}
+								break;
+							}
+						}
+						break;
+					}
+
+					case ParserModes.PLAIN_CONTINUATION :
+						// reading another line of a multi-line plain scalar
+						switch ( ch ) {
+							case "#" :
+								if ( /\s/.test( code[cursor - 1] ) ) {
+									continuePlainScalar();
+									parser.consume( node, stack, options.tokens, options );
+									node = null;
+
+									skipComment( ParserModes.COMMENT );
+								}
+								break;
+
+							case ":" :
+								if ( /\s/.test( code[cursor + 1] || "\n" ) ) {
+									// line is actually a mapping with invalid indentation
+									parser.consume( node, stack, options.tokens, options );
+									node = null;
+
+									ParserError( "indentation", line, columnOf( startBlock ) );
+								}
+								break;
+
+							case "\r" :
+								continuePlainScalar();
+								mode = ParserModes.LF;
+								break;
+
+							case "\n" :
+								continuePlainScalar();
+								mode = ParserModes.LEADING_SPACE;
+								startBlock = cursor + 1;
+								break;
+						}
+						break;
+
+					case ParserModes.FLOW_SEQUENCE :
+					case ParserModes.FLOW_MAPPING : {
+						// reading content of a flow collection
+						const frame = node.flow[node.flow.length - 1];
+
+						if ( continuedLine > -1 && !/\s/.test( ch ) ) {
+							if ( cursor - continuedLine <= node.depth && !/[\]}#]/.test( ch ) ) {
+								// flow collection hasn't been closed before next line of
+								// block-style content
+								discontinue( new YAMLSyntaxError( "bracket", frame.start.line, frame.start.column ) );
+								break;
+							}
+
+							continuedLine = -1;
+						}
+
+						switch ( ch ) {
+							case "[" :
+							case "{" :
+								if ( frame.hasValue || /\S/.test( frame.text ) ) {
+									ParserError( "character", line, column );
+								}
+
+								if ( node.flow.length + 2 > options.maxDepth ) {
+									ParserError( "limit", line, column );
+								}
+
+								markFlowItem( frame, column + 1 );
+								node.flow.push( createFlowFrame( ch === "[", options, line, column ) );
+								node.flowDepth = Math.max( node.flowDepth, node.flow.length );
+								mode = ch === "[" ? ParserModes.FLOW_SEQUENCE : ParserModes.FLOW_MAPPING;
+								break;
+
+							case "]" :
+							case "}" :
+								if ( ( ch === "]" ) !== ( mode === ParserModes.FLOW_SEQUENCE ) ) {
+									ParserError( "character", line, column );
+								}
+
+								addFlowItem( frame, true, stack[stack.length - 1], options, line, column );
+								node.flow.pop();
+
+								if ( node.flow.length ) {
+									const parent = node.flow[node.flow.length - 1];
+
+									parent.hasValue = true;
+									parent.value = frame.ref;
+									parent.nested = frame.positions;
+									parent.numNodes += frame.numNodes;
+									markFlowItem( parent, column + 1 );
+
+									mode = Array.isArray( parent.ref ) ? ParserModes.FLOW_SEQUENCE : ParserModes.FLOW_MAPPING;
+								} else {
+									// outermost flow collection has been closed
+									node.flow = null;
+									node.value = frame.ref;
+									node.flowPositions = frame.positions;
+									node.flowNodes = frame.numNodes;
+									node.valueRange = extendRange( node.valueRange, line, column, column + 1 );
+
+									mode = ParserModes.LINEBREAK;
+								}
+								break;
+
+							case "," :
+								addFlowItem( frame, false, stack[stack.length - 1], options, line, column );
+								break;
+
+							case ":" :
+								if ( frame.hasValue || /[\s,[\]{}]/.test( code[cursor + 1] || "\n" ) ) {
+									// got colon separating property's name from its value
+									if ( frame.hasKey ) {
+										ParserError( "character", line, column );
+									}
+
+									const quotedKey = frame.hasValue;
+									const keyRange = frame.range;
+									const key = takeFlowItem( frame, true, stack[stack.length - 1], options );
+									if ( key === undefined || ( typeof key === "object" && key ) ) {
+										ParserError( "character", line, column );
+									}
+
+									frame.hasKey = true;
+									frame.key = key;
+									frame.keyRange = keyRange;
+									frame.keySource = frame.sourceName;
+									frame.quotedKey = quotedKey;
+								} else {
+									markFlowItem( frame, column + 1 );
+									frame.text += ch;
+								}
+								break;
+
+							case "'" :
+							case '"' :
+								markFlowItem( frame, column + 1 );
+
+								if ( frame.hasValue || /\S/.test( frame.text ) ) {
+									frame.text += ch;
+								} else {
+									mode = ParserModes.FLOW_QUOTED;
+									startBlock = cursor;
+									quoteStart = { line: line, column: column };
+								}
+								break;
+
+							case "&" :
+							case "*" :
+								markFlowItem( frame, column + 1 );
+
+								if ( frame.hasValue || /\S/.test( frame.text ) || ( ch === "&" && frame.anchor != null ) ) {
+									frame.text += ch;
+								} else {
+									if ( ch === "*" && frame.tag ) {
+										ParserError( "character", line, column );
+									}
+
+									mode = ch === "&" ? ParserModes.FLOW_ANCHOR : ParserModes.FLOW_ALIAS;
+									startBlock = cursor + 1;
+								}
+								break;
+
+							case "!" :
+								markFlowItem( frame, column + 1 );
+
+								if ( frame.hasValue || /\S/.test( frame.text ) || frame.tag ) {
+									frame.text += ch;
+								} else {
+									mode = ParserModes.FLOW_TAG;
+									startBlock = cursor;
+								}
+								break;
+
+							case "#" :
+								if ( /(^|\s)$/.test( frame.text ) ) {
+									skipComment( ParserModes.FLOW_COMMENT );
+								} else {
+									markFlowItem( frame, column + 1 );
+									frame.text += ch;
+								}
+								break;
+
+							case "\r" :
+								break;
+
+							case "\n" :
+								frame.text += ch;
+								continuedLine = cursor + 1;
+								break;
+
+							default :
+								if ( !/\s/.test( ch ) ) {
+									if ( frame.hasValue ) {
+										ParserError( "character", line, column );
+									}
+
+									markFlowItem( frame, column + 1 );
+								}
+
+								frame.text += ch;
+						}
+						break;
+					}
+
+					case ParserModes.FLOW_QUOTED :
+						// passing regular content of a quoted scalar in a flow
+						// collection while searching for closing quotes
+						if ( continuedLine > -1 && !/\s/.test( ch ) ) {
+							if ( cursor - continuedLine <= node.depth ) {
+								// quoted scalar hasn't been closed before next line of
+								// block-style content
+								discontinue( new YAMLSyntaxError( "quote", quoteStart.line, quoteStart.column ) );
+								break;
+							}
+
+							continuedLine = -1;
+						}
+
+						switch ( ch ) {
+							case "\\" :
+								if ( code[startBlock] === '"' ) {
+									mode = ParserModes.ESCAPED_FLOW_QUOTED;
+								}
+								break;
+
+							case "\n" :
+								continuedLine = cursor + 1;
+								break;
+
+							case code[startBlock] : {
+								if ( ch === "'" && code[cursor + 1] === "'" ) {
+									mode = ParserModes.ESCAPED_FLOW_QUOTED;
+									break;
+								}
+
+								const frame = node.flow[node.flow.length - 1];
+
+								frame.hasValue = true;
+								frame.value = unquote( code.substring( startBlock + 1, cursor ), ch );
+								markFlowItem( frame, column + 1 );
+
+								mode = Array.isArray( frame.ref ) ? ParserModes.FLOW_SEQUENCE : ParserModes.FLOW_MAPPING;
+								break;
+							}
+						}
+						break;
+
+					case ParserModes.ESCAPED_FLOW_QUOTED :
+						// passing escape sequence or doubled single quote in a quoted scalar
+						if ( code[startBlock] === '"' && !isEscapeSequence( code, cursor ) ) {
+							ParserError( "escape", line, column - 1 );
+						}
+
+						if ( ch === "\n" ) {
+							// escaped line break
+							continuedLine = cursor + 1;
+						}
+
+						mode = ParserModes.FLOW_QUOTED;
+						break;
+
+					case ParserModes.FLOW_COMMENT :
+						// skipping comment in a flow collection
+						if ( ch === "\n" ) {
+							const frame = node.flow[node.flow.length - 1];
+
+							collectComment();
+
+							frame.text += ch;
+							continuedLine = cursor + 1;
+
+							mode = Array.isArray( frame.ref ) ? ParserModes.FLOW_SEQUENCE : ParserModes.FLOW_MAPPING;
+						}
+						break;
+
+					case ParserModes.ANCHOR :
+					case ParserModes.ALIAS :
+					case ParserModes.TAG :
+						// reading name of anchor, alias or tag
+						switch ( ch ) {
+							case " " :
+							case "\t" :
+							case "\r" :
+							case "\n" : {
+								const name = code.substring( startBlock, cursor );
+								if ( name === "" ) {
+									ParserError( "character", line, column );
+								}
+
+								if ( mode === ParserModes.ALIAS ) {
+									node.alias = name;
+									node.valueRange = extendRange( node.valueRange, line, column, column );
+
+									if ( ch === " " || ch === "\t" ) {
+										mode = ParserModes.LINEBREAK;
+										break;
+									}
+								} else {
+									if ( mode === ParserModes.ANCHOR ) {
+										node.anchor = name;
+									} else {
+										node.tag = {
+											name: name,
+											uri: expandTag( name, stack[stack.length - 1].handles ),
+											line: line,
+											column: column - name.length,
+										};
+									}
+
+									if ( ch === " " || ch === "\t" ) {
+										mode = ParserModes.VALUE;
+										startBlock = cursor;
+										break;
+									}
+
+									// anchored or tagged node is a collection starting in next line
+									node.value = EmptyObject;
+								}
+
+								parser.consume( node, stack, options.tokens, options );
+								node = null;
+
+								if ( ch === "\r" ) {
+									mode = ParserModes.LF;
+								} else {
+									mode = ParserModes.LEADING_SPACE;
+									startBlock = cursor + 1;
+								}
+								break;
+							}
+
+							case "[" :
+							case "]" :
+							case "{" :
+							case "}" :
+							case "," :
+								if ( mode !== ParserModes.TAG || !/^!<[^>]*$/.test( code.substring( startBlock, cursor ) ) ) {
+									// flow indicators are permitted in verbatim tags, only
+									ParserError( "character", line, column );
+								}
+						}
+						break;
+
+					case ParserModes.FLOW_ANCHOR :
+					case ParserModes.FLOW_ALIAS :
+					case ParserModes.FLOW_TAG :
+						// reading name of anchor, alias or tag in a flow collection
+						if ( /\s/.test( ch ) || ( /[,[\]{}]/.test( ch ) && !( mode === ParserModes.FLOW_TAG && /^!<[^>]*$/.test( code.substring( startBlock, cursor ) ) ) ) ) {
+							const frame = node.flow[node.flow.length - 1];
+							const name = code.substring( startBlock, cursor );
+
+							if ( name === "" ) {
+								ParserError( "character", line, column );
+							}
+
+							if ( mode === ParserModes.FLOW_ANCHOR ) {
+								frame.anchor = name;
+							} else if ( mode === ParserModes.FLOW_TAG ) {
+								frame.tag = {
+									name: name,
+									uri: expandTag( name, stack[stack.length - 1].handles ),
+									line: line,
+									column: column - name.length,
+								};
+							} else {
+								markFlowItem( frame, column );
+
+								const aliasColumn = column - name.length - 1;
+								let isRecursive = node.anchor === name;
+
+								for ( let i = 0; i < node.flow.length; i++ ) {
+									isRecursive = isRecursive || node.flow[i].anchor === name;
+								}
+
+								if ( isRecursive ) {
+									ParserError( "recursion", line, aliasColumn );
+								}
+
+								frame.hasValue = true;
+								frame.value = resolveAlias( stack, node.depth, name, options, line, aliasColumn );
+
+								if ( options.positions ) {
+									frame.nested = nestedPositionsOf( frame.value, frame.range );
+								}
+							}
+
+							mode = Array.isArray( frame.ref ) ? ParserModes.FLOW_SEQUENCE : ParserModes.FLOW_MAPPING;
+
+							if ( ch === "\n" ) {
+								frame.text += ch;
+							} else {
+								// process terminating character in context of flow collection
+								cursor--;
+								column--;
+							}
+						}
+						break;
+
+					case ParserModes.MARKER :
+						// skipping whitespace and comments following marker of
+						// document's start or end
+						switch ( ch ) {
+							case " " :
+							case "\t" :
+								break;
+
+							case "\r" :
+								mode = ParserModes.LF;
+								break;
+
+							case "\n" :
+								mode = ParserModes.LEADING_SPACE;
+
+								startBlock = cursor + 1;
+								break;
+
+							case "#" :
+								skipComment( ParserModes.COMMENT );
+								break;
+
+							default :
+								if ( !inDocument || startsEntry() ) {
+									// block collections can't start in line of marker
+									// and nothing may follow marker of document's end
+									ParserError( "character", line, column );
+								}
+
+								startRootValue();
+						}
+						break;
+
+					case ParserModes.DIRECTIVE :
+						switch ( ch ) {
+							case "#" :
+								if ( !/\s/.test( code[cursor - 1] ) ) {
+									break;
+								}
+
+								readDirective( code.substring( startBlock, cursor ), columnOf( startBlock ) );
+								skipComment( ParserModes.COMMENT );
+								break;
+
+							case "\r" :
+								readDirective( code.substring( startBlock, cursor ), columnOf( startBlock ) );
+								mode = ParserModes.LF;
+								break;
+
+							case "\n" :
+								readDirective( code.substring( startBlock, cursor ), columnOf( startBlock ) );
+								mode = ParserModes.LEADING_SPACE;
+
+								startBlock = cursor + 1;
+						}
+						break;
+
+					case ParserModes.COMMENT :
+						switch ( ch ) {
+							case "\r" :
+								collectComment();
+								mode = ParserModes.LF;
+								break;
+
+							case "\n" :
+								collectComment();
+								mode = ParserModes.LEADING_SPACE;
+
+								startBlock = cursor + 1;
+						}
+						break;
+
+					case ParserModes.LINEBREAK :
+						// skipping trailing whitespace after some quoted value
+						// while searching next linebreak
+						switch ( ch ) {
+							case " " :
+							case "\t" :
+								break;
+
+							case "\r" :
+								parser.consume( node, stack, options.tokens, options );
+								node = null;
+
+								mode = ParserModes.LF;
+								break;
 
-							case "\r" :
 							case "\n" :
-								ParserError( Errors.linebreak, line, column );
+								parser.consume( node, stack, options.tokens, options );
+								node = null;
+
+								mode = ParserModes.LEADING_SPACE;
+
+								startBlock = cursor + 1;
+								break;
+
+							case "#" :
+								parser.consume( node, stack, options.tokens, options );
+								node = null;
+
+								skipComment( ParserModes.COMMENT );
+								break;
+
+							case ":" : {
+								// quoted value might be name of a property in compact
+								// mapping, e.g. `- "name": value`
+								const quote = node.quotedValue;
+
+								if ( node.isArrayItem && quote && quote.line === line && node.anchor == null && !node.tag ) {
+									const name = node.value;
+									const keyRange = extendRange( null, line, quote.column, node.valueRange.endColumn );
+
+									node.value = EmptyObject;
+									parser.consume( node, stack, options.tokens, options );
+
+									node = {
+										depth: quote.column - 1,
+										isProperty: true,
+										quotedName: true,
+										propertyName: name,
+										line: line,
+										column: quote.column,
+										keyRange: keyRange,
+									};
+
+									mode = ParserModes.VALUE;
+									startBlock = cursor + 1;
+									break;
+								}
+
+								ParserError( "character", line, column );
 								break;
+							}
+
+							default :
+								ParserError( "character", line, column );
+						}
+						break;
+				}
+
+				if ( ch === "\n" ) {
+					checkLength();
+				}
+
+				if ( ch === "\n" && cursor < numCharacters ) {
+					if ( node && node.folded ) {
+						if ( node.value == null ) {
+							node.leadingBreaks++;
+						} else {
+							node.value += "\n";
+						}
+					}
+
+					if ( node && node.pending ) {
+						node.breaks = ( node.breaks || 0 ) + 1;
+					}
+
+					line++;
+					column = 0;
+				}
+			}
+		}
+
+		/**
+		 * Rejects current document if its code up to current line exceeds
+		 * limit.
+		 *
+		 * @returns {void}
+		 */
+		function checkLength() {
+			const exceeding = documentOffset + options.maxLength;
+			const end = origin.offset + Math.min( cursor + 1, numCharacters );
+
+			if ( end > exceeding ) {
+				ParserError( "limit", line, column - ( origin.offset + cursor - exceeding ) );
+			}
+		}
+
+		/**
+		 * Scans all code available for scanning.
+		 *
+		 * @returns {void}
+		 */
+		function scanAvailable() {
+			while ( cursor < available ) {
+				try {
+					scan();
+				} catch ( error ) {
+					recover( error );
+				}
+			}
+		}
+
+		/**
+		 * Adds information on position in code to warnings collected since
+		 * last invocation.
+		 *
+		 * @returns {void}
+		 */
+		function describeWarnings() {
+			for ( ; numDescribedWarnings < options.warnings.length; numDescribedWarnings++ ) {
+				describeErrorSource( options.warnings[numDescribedWarnings], code, origin );
+			}
+		}
+
+		/**
+		 * Drops code of lines preceding any line still required for scanning.
+		 *
+		 * @returns {void}
+		 */
+		function dropScannedCode() {
+			let keep = Math.min( cursor, startBlock, startLine );
+
+			if ( continuedLine > -1 ) {
+				keep = Math.min( keep, continuedLine );
+			}
+
+			if ( comment ) {
+				keep = Math.min( keep, comment.offset );
+			}
+
+			keep = keep > 0 ? code.lastIndexOf( "\n", keep - 1 ) + 1 : 0;
+
+			if ( keep > 0 ) {
+				origin.line += code.substr( 0, keep ).split( "\n" ).length - 1;
+				origin.offset += keep;
+
+				code = code.substr( keep );
+				numCharacters -= keep;
+				available -= keep;
+				cursor -= keep;
+				startBlock -= keep;
+				startLine -= keep;
+
+				if ( continuedLine > -1 ) {
+					continuedLine -= keep;
+				}
+
+				if ( comment ) {
+					comment.offset -= keep;
+				}
+			}
+		}
+
+		/**
+		 * Scans remaining code after all chunks have been written.
+		 *
+		 * @returns {void}
+		 */
+		function finishStream() {
+			available = numCharacters + 1;
+
+			scanAvailable();
+
+			try {
+				finishCode();
+			} catch ( error ) {
+				recover( error );
+			}
+
+			try {
+				finishDocument();
+			} catch ( error ) {
+				recover( error );
+				finishDocument();
+			}
+		}
+
+		/**
+		 * Handles last token discovered at end of code.
+		 *
+		 * @returns {void}
+		 */
+		function finishCode() {
+			if ( directives ) {
+				// directives aren't followed by any document
+				const first = directives;
+
+				directives = null;
+				ParserError( "directive", first.line, first.column );
+			}
+
+			switch ( mode ) {
+				case ParserModes.VALUE :
+					node.value = code.substring( startBlock ).trim();
+					if ( /^[|>]/.test( node.value ) ) {
+						ParserError( "folded", line, column - 1 );
+					}
+
+					switch ( node.value ) {
+						case "" :
+							// assume another line with deeper indentation
+							node.value = EmptyObject;
+
+						// falls through
+						default :
+							parser.consume( node, stack, options.tokens, options );
+							node = null;
+					}
+					break;
+
+				case ParserModes.LINEBREAK :
+					parser.consume( node, stack, options.tokens, options );
+					node = null;
+					break;
+
+				case ParserModes.LEADING_SPACE :
+				case ParserModes.MARKER :
+				case ParserModes.COMMENT :
+					break;
+
+				case ParserModes.FLOW_SEQUENCE :
+				case ParserModes.FLOW_MAPPING :
+				case ParserModes.FLOW_COMMENT : {
+					// report innermost collection lacking closing bracket
+					const open = node.flow[node.flow.length - 1].start;
+
+					ParserError( "bracket", open.line, open.column );
+					break;
+				}
+
+				case ParserModes.QUOTED_NAME :
+				case ParserModes.ESCAPED_QUOTED_NAME :
+				case ParserModes.QUOTED_VALUE :
+				case ParserModes.ESCAPED_QUOTED_VALUE :
+				case ParserModes.FLOW_QUOTED :
+				case ParserModes.ESCAPED_FLOW_QUOTED :
+					ParserError( "quote", quoteStart.line, quoteStart.column );
+					break;
+
+				default :
+					ParserError( "eof", line, column - 1 );
+			}
+		}
+
+		return {
+			write: function( chunk ) {
+				code += chunk;
+				numCharacters = code.length;
+				available = code.lastIndexOf( "\n" ) + 1;
+
+				try {
+					scanAvailable();
+
+					if ( origin.offset + numCharacters > documentOffset + options.maxLength ) {
+						// rejecting incomplete line of current document exceeding limit
+						ParserError( "limit", line, documentOffset + options.maxLength - origin.offset - available + 1 );
+					}
+				} catch ( error ) {
+					throw error instanceof YAMLSyntaxError ? describeErrorSource( error, code, origin ) : error;
+				} finally {
+					describeWarnings();
+				}
+
+				dropScannedCode();
+			},
+			end: function() {
+				try {
+					finishStream();
+				} catch ( error ) {
+					throw error instanceof YAMLSyntaxError ? describeErrorSource( error, code, origin ) : error;
+				} finally {
+					describeWarnings();
+				}
+			},
+		};
+	}
+
+	/**
+	 * Splits provided path into list of segments.
+	 *
+	 * @param {string|Array<(string|int)>} path JSON pointer or list of segments
+	 * @returns {string[]} unescaped segments of path
+	 */
+	function pathSegments( path ) {
+		if ( Array.isArray( path ) ) {
+			return path.map( String );
+		}
+
+		if ( typeof path !== "string" || ( path !== "" && path[0] !== "/" ) ) {
+			throw new TypeError( "invalid path" );
+		}
+
+		return path === "" ? [] : path.substr( 1 ).split( "/" ).map( function( segment ) {
+			return segment.replace( /~1/g, "/" ).replace( /~0/g, "~" );
+		} );
+	}
+
+	/**
+	 * Compiles JSON pointer from provided list of segments.
+	 *
+	 * @param {string[]} segments unescaped segments of path
+	 * @returns {string} JSON pointer
+	 */
+	function pointerOf( segments ) {
+		return segments.map( pointerSegment ).join( "" );
+	}
+
+	/**
+	 * Fetches value addressed by provided list of segments in given data.
+	 *
+	 * @param {*} data data to be searched
+	 * @param {string[]} segments unescaped segments of path
+	 * @returns {*} addressed value, undefined if missing
+	 */
+	function lookup( data, segments ) {
+		let value = data;
+
+		for ( let i = 0; i < segments.length; i++ ) {
+			if ( !value || typeof value !== "object" || !Object.prototype.hasOwnProperty.call( value, segments[i] ) ) {
+				return undefined;
+			}
+
+			value = value[segments[i]];
+		}
+
+		return value;
+	}
+
+	/**
+	 * Renders provided value as YAML code in flow style.
+	 *
+	 * @param {*} value value to be rendered
+	 * @param {object[]} ancestors list of collections containing current value
+	 * @returns {string} YAML code in flow style
+	 */
+	function serializeFlow( value, ancestors ) {
+		const data = normalize( value );
+
+		if ( !data || typeof data !== "object" ) {
+			const lines = [];
+
+			serializeScalar( data === undefined || typeof data === "function" ? null : data, "", "", lines );
+
+			if ( lines.length > 1 || /^[|>]|[,[\]{}]/.test( lines[0] ) ) {
+				return quoteString( data );
+			}
+
+			return lines[0];
+		}
+
+		if ( ancestors.indexOf( data ) > -1 ) {
+			throw new TypeError( "converting circular structure to YAML" );
+		}
+
+		const nested = ancestors.concat( [data] );
+
+		if ( Array.isArray( data ) ) {
+			return data.length ? "[ " + data.map( function( item ) {
+				return serializeFlow( item, nested );
+			} ).join( ", " ) + " ]" : "[]";
+		}
+
+		const names = keysOf( data ).filter( function( name ) {
+			const item = propertyOf( data, name );
+
+			return item !== undefined && typeof item !== "function";
+		} );
+
+		return names.length ? "{ " + names.map( function( name ) {
+			return serializeKey( name, isMap( data ) ) + ": " + serializeFlow( propertyOf( data, name ), nested );
+		} ).join( ", " ) + " }" : "{}";
+	}
+
+	/**
+	 * Parses code of provided document updating its data, positions and
+	 * comments.
+	 *
+	 * The document isn't changed if parsing fails.
+	 *
+	 * @param {YAMLDocument} doc document to be updated
+	 * @param {string} code YAML code of document
+	 * @returns {void}
+	 */
+	function analyzeDocument( doc, code ) {
+		const options = normalizeOptions( doc.options );
+		const positions = options.positions = {};
+		const comments = options.comments = [];
+		const documents = parseStream( doc.parser, code, options, true );
+		const lineOffsets = [0];
+
+		for ( let i = code.indexOf( "\n" ); i > -1; i = code.indexOf( "\n", i + 1 ) ) {
+			lineOffsets.push( i + 1 );
+		}
+
+		doc.code = code;
+		doc.data = documents.length ? documents[0] : null;
+		doc.positions = positions;
+		doc.comments = comments;
+		doc.lineOffsets = lineOffsets;
+		doc.lineBreak = /\r\n/.test( code ) ? "\r\n" : "\n";
+	}
+
+	/**
+	 * Maps position in code of document into offset of addressed character.
+	 *
+	 * @param {YAMLDocument} doc document
+	 * @param {int} line index of line, starting at 1
+	 * @param {int} column index of column, starting at 1
+	 * @returns {int} offset of character in document's code
+	 */
+	function offsetOf( doc, line, column ) {
+		return Math.min( doc.lineOffsets[line - 1] + column - 1, doc.code.length );
+	}
+
+	/**
+	 * Fetches offset of line succeeding the line of given offset in code of
+	 * provided document.
+	 *
+	 * @param {YAMLDocument} doc document
+	 * @param {int} offset offset of character in document's code
+	 * @returns {int} offset of next line, length of code if there is no next line
+	 */
+	function nextLineOf( doc, offset ) {
+		const lineBreak = doc.code.indexOf( "\n", offset );
+
+		return lineBreak < 0 ? doc.code.length : lineBreak + 1;
+	}
+
+	/**
+	 * Detects style of node addressed by provided list of segments.
+	 *
+	 * @param {YAMLDocument} doc document
+	 * @param {string[]} segments unescaped segments of path addressing node
+	 * @returns {?string} style of node, null if node is missing
+	 */
+	function styleOf( doc, segments ) {
+		const range = doc.positions[pointerOf( segments )];
+		if ( !range ) {
+			return null;
+		}
+
+		const value = lookup( doc.data, segments );
+		const code = doc.code.substring( offsetOf( doc, range.line, range.column ), offsetOf( doc, range.endLine, range.endColumn ) )
+			.replace( /^(?:[&!]\S*[ \t]+)+/, "" );
+
+		switch ( code[0] ) {
+			case '"' : return "double";
+			case "'" : return "single";
+			case "|" : return "literal";
+			case ">" : return "folded";
+			case "*" : return "alias";
+			case "[" :
+			case "{" :
+				return "flow";
+
+			default :
+				return value && typeof value === "object" ? "block" : "plain";
+		}
+	}
+
+	/**
+	 * Detects if node addressed by provided list of segments is part of a flow
+	 * collection.
+	 *
+	 * @param {YAMLDocument} doc document
+	 * @param {string[]} segments unescaped segments of path addressing node
+	 * @returns {boolean} true if node is contained in a flow collection
+	 */
+	function isFlowContext( doc, segments ) {
+		for ( let i = 0; i < segments.length; i++ ) {
+			if ( styleOf( doc, segments.slice( 0, i ) ) === "flow" ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Fetches offset of first character of entry addressed by provided list of
+	 * segments, which is its key in a mapping or its dash in a sequence.
+	 *
+	 * @param {YAMLDocument} doc document
+	 * @param {string[]} segments unescaped segments of path addressing entry
+	 * @returns {int} offset of entry's first character in document's code
+	 */
+	function entryOffsetOf( doc, segments ) {
+		const range = doc.positions[pointerOf( segments )];
+
+		if ( range.key ) {
+			return offsetOf( doc, range.key.line, range.key.column );
+		}
+
+		const code = doc.code;
+		let offset = offsetOf( doc, range.line, range.column ) - 1;
+
+		while ( offset > 0 && /\s/.test( code[offset] ) ) {
+			offset--;
+		}
+
+		return code[offset] === "-" ? offset : offsetOf( doc, range.line, range.column );
+	}
+
+	/**
+	 * Lists comments on separate lines immediately preceding given line.
+	 *
+	 * @param {YAMLDocument} doc document
+	 * @param {int} line index of line, starting at 1
+	 * @returns {object[]} comments in order of appearance
+	 */
+	function commentsBefore( doc, line ) {
+		const comments = doc.comments;
+		const found = [];
+		let next = line - 1;
+
+		for ( let i = comments.length - 1; i >= 0; i-- ) {
+			const comment = comments[i];
+
+			if ( comment.line < next ) {
+				break;
+			}
+
+			if ( comment.line === next ) {
+				if ( comment.inline ) {
+					break;
+				}
+
+				found.unshift( comment );
+				next--;
+			}
+		}
 
-							case code[startBlock] :
-								node.isProperty = true;
-								node.propertyName = code.substring( startBlock + 1, cursor ).replace( /\\(.)/g, escapes );
+		return found;
+	}
 
-								mode = ParserModes.COLON;
-								break;
-						}
-						break;
+	/**
+	 * Replaces range of code in provided document.
+	 *
+	 * Line breaks of replacement are adjusted to match the document's code.
+	 *
+	 * @param {YAMLDocument} doc document
+	 * @param {int} start offset of first character to replace
+	 * @param {int} end offset of first character succeeding replaced range
+	 * @param {string} replacement code replacing range
+	 * @returns {void}
+	 */
+	function replaceCode( doc, start, end, replacement ) {
+		const code = doc.lineBreak === "\n" ? replacement : replacement.replace( /\n/g, doc.lineBreak );
 
-					case ParserModes.ESCAPED_QUOTED_NAME :
-						// ignoring single character in a quoted name
-						switch ( ch ) {
-							case "\r" :
-							case "\n" :
-								ParserError( Errors.linebreak, line, column );
-								break;
+		analyzeDocument( doc, doc.code.substr( 0, start ) + code + doc.code.substr( end ) );
+	}
 
-							default :
-								mode = ParserModes.QUOTED_NAME;
-						}
-						break;
+	/**
+	 * Replaces value of existing node addressed by list of segments.
+	 *
+	 * Scalars are rendered in the same style of quoting if possible. Flow
+	 * collections are replaced with flow collections.
+	 *
+	 * @param {YAMLDocument} doc document
+	 * @param {string[]} segments unescaped segments of path addressing existing node
+	 * @param {*} value new value of node
+	 * @returns {void}
+	 */
+	function replaceNode( doc, segments, value ) {
+		const code = doc.code;
+		const range = doc.positions[pointerOf( segments )];
+		const style = styleOf( doc, segments );
+		const data = normalize( value );
+		const isCollection = data && typeof data === "object";
+		const options = { indent: "  " };
+		let start = offsetOf( doc, range.line, range.column );
+		let end = offsetOf( doc, range.endLine, range.endColumn );
+
+		if ( !segments.length ) {
+			replaceCode( doc, start, end, style === "flow" ? serializeFlow( data, [] ) : doc.parser.stringify( data ).replace( /\n$/, "" ) );
+			return;
+		}
 
-					case ParserModes.COLON :
-						// searching for colon separating name from value
-						switch ( ch ) {
-							case ":" :
-								mode = ParserModes.VALUE;
-								startBlock = cursor + 1;
-								break;
+		if ( style !== "block" ) {
+			// keep anchor and tag of replaced node
+			start += /^(?:[&!]\S*[ \t]+)*/.exec( code.substring( start, end ) )[0].length;
+		}
 
-							case " " :
-							case "\t" :
-								break;
+		if ( typeof data === "string" && !/[\r\n]/.test( data ) && ( style === "double" || style === "single" ) ) {
+			replaceCode( doc, start, end, style === "double" ? quoteString( data ) : "'" + data.replace( /'/g, "''" ) + "'" );
+			return;
+		}
 
-							case "\r" :
-							case "\n" :
-								ParserError( Errors.linebreak, line, column );
-								break;
+		if ( isFlowContext( doc, segments ) || ( style === "flow" && isCollection ) ) {
+			replaceCode( doc, start, end, serializeFlow( data, [] ) );
+			return;
+		}
 
-							case "#" :
-								ParserError( Errors.comment, line, column );
-								break;
+		const lines = [];
 
-							default :
-								ParserError( Errors.character, line, column );
-						}
-						break;
+		if ( range.key ) {
+			const colon = code.indexOf( ":", offsetOf( doc, range.key.endLine, range.key.endColumn ) ) + 1;
+			const indentation = spaces( range.key.column - 1 );
 
-					case ParserModes.VALUE :
-						switch ( ch ) {
-							case "#" :
-								node.value = code.substring( startBlock, cursor ).trim();
-								mode = ParserModes.COMMENT;
-								break;
+			if ( style === "block" || ( isCollection && Object.keys( data ).length ) ) {
+				start = colon;
+			} else {
+				start = Math.max( start, colon );
+			}
 
-							case "'" :
-							case '"' :
-								if ( !/\S/.test( code.substring( startBlock, cursor ) ) ) {
-									mode = ParserModes.QUOTED_VALUE;
-									startBlock = node.quotedValue = cursor;
-								}
-								break;
+			end = Math.max( start, end );
 
-							case "\r" :
-								node.value = code.substring( startBlock, cursor ).trim();
-								if ( node.value === "" ) {
-									node.value = EmptyObject;
-								}
+			if ( isCollection && !Object.keys( data ).length ) {
+				lines.push( Array.isArray( data ) ? "[]" : "{}" );
+			} else if ( isCollection ) {
+				const eol = code.substring( end ).search( /\r?\n|$/ ) + end;
+				const trailing = range.endLine === range.key.line ? /^[ \t]+#.*$/.exec( code.substring( end, eol ) ) : null;
 
-								mode = ParserModes.LF;
-								break;
+				if ( trailing ) {
+					// keep comment trailing replaced value in line of key
+					lines.push( trailing[0] );
+					end = eol;
+				} else {
+					lines.push( "" );
+				}
 
-							case "\n" :
-								node.value = code.substring( startBlock, cursor ).trim();
-								if ( node.value === "" ) {
-									node.value = EmptyObject;
-								}
+				serialize( data, indentation + options.indent, options, [], lines );
+			} else {
+				serializeScalar( data === undefined || typeof data === "function" ? null : data, "", indentation + options.indent, lines );
+			}
 
-								mode = ParserModes.LEADING_SPACE;
+			replaceCode( doc, start, end, ( start === colon && !/^(?:$|[ \t]+#)/.test( lines[0] ) ? " " : "" ) + lines.join( "\n" ) );
+			return;
+		}
 
-								startBlock = cursor + 1;
-								break;
+		// replace item of sequence rendering it as single-item sequence at
+		// same indentation
+		const dash = entryOffsetOf( doc, segments );
+		const indentation = spaces( dash - doc.lineOffsets[range.line - 1] );
 
-							case ":" :
-								if ( node.isArrayItem || node.isProperty ) {
-									const passed = code.substring( startBlock, cursor );
-									const trimmed = passed.trim();
+		if ( style === "block" || code[dash] === "-" ) {
+			start = dash + 1;
+		}
 
-									if ( /^[a-zA-Z0-9_]+$/.test( trimmed ) ) {
-										node.value = EmptyObject;
-										this.consume( node, stack, _tokens );
+		serialize( [value], indentation, options, [], lines );
 
-										node = {
-											depth: node.depth + 1 + passed.match( /^\s*/ )[0].length,
-											isProperty: true,
-											propertyName: trimmed,
-											line: line,
-											column: column,
-										};
+		replaceCode( doc, start, end, lines.join( "\n" ).substr( indentation.length + ( start === dash + 1 ? 1 : 2 ) ) );
+	}
 
-										startBlock = cursor + 1;
-									}
-								}
-								break;
+	/**
+	 * Adds node addressed by list of segments that doesn't exist, yet.
+	 *
+	 * Missing collections containing the node are added as well.
+	 *
+	 * @param {YAMLDocument} doc document
+	 * @param {string[]} segments unescaped segments of path addressing missing node
+	 * @param {*} value value of node
+	 * @returns {void}
+	 */
+	function insertNode( doc, segments, value ) {
+		const parentSegments = segments.slice( 0, -1 );
+		const name = segments[segments.length - 1];
+		let parent = lookup( doc.data, parentSegments );
+
+		if ( parent === null && !parentSegments.length && !doc.positions[""] ) {
+			// document is empty
+			parent = {};
+		}
 
-							case "-" :
-								if ( node.isArrayItem || node.isProperty ) {
-									const passed = code.substring( startBlock, cursor );
-									const trimmed = passed.trim();
+		if ( parent === undefined ) {
+			const wrapper = {};
 
-									if ( !trimmed.length ) {
-										mode = ParserModes.GOT_DASH;
-									}
-								}
-								break;
-						}
+			setProperty( wrapper, name, value );
+			insertNode( doc, parentSegments, wrapper );
+			return;
+		}
 
-						switch ( node.value ) {
-							case ">" :
-							case ">-" :
-							case ">+" :
-							case "|" :
-							case "|-" :
-							case "|+" :
-								// got marker for starting folded string in next line
-								node.folded = node.value;
-								node.value = null;
-								break;
+		if ( !parent || typeof parent !== "object" ) {
+			throw new TypeError( "can't add property to scalar value" );
+		}
 
-							case null :
-							case undefined :
-								// keep searching for end of value
-								break;
+		const isList = Array.isArray( parent );
+		const names = Object.keys( parent );
 
-							case "" :
-								// assume another line with deeper indentation
-								node.value = EmptyObject;
+		if ( isList && name !== "-" && name !== String( parent.length ) ) {
+			throw new TypeError( "invalid index for appending item to sequence" );
+		}
 
-							// falls through
-							default :
-								this.consume( node, stack, _tokens );
-								node = null;
-						}
+		// find most recent entry of collection in code
+		let last = null;
+		let lastOffset = -1;
 
-						break;
+		for ( let i = 0; i < names.length; i++ ) {
+			const sibling = parentSegments.concat( [names[i]] );
 
-					case ParserModes.QUOTED_VALUE :
-						// passing regular content of a quoted value while searching
-						// for closing quotes
-						switch ( ch ) {
-							case "\\" :
-								mode = ParserModes.ESCAPED_QUOTED_VALUE;
-								break;
+			if ( doc.positions[pointerOf( sibling )] && entryOffsetOf( doc, sibling ) > lastOffset ) {
+				last = sibling;
+				lastOffset = entryOffsetOf( doc, sibling );
+			}
+		}
 
-							case "\r" :
-							case "\n" :
-								ParserError( Errors.linebreak, line, column );
-								break;
+		if ( !last || styleOf( doc, parentSegments ) === "flow" || isFlowContext( doc, parentSegments ) ) {
+			const copy = isList ? parent.slice() : {};
 
-							case code[startBlock] :
-								node.value = code.substring( startBlock + 1, cursor ).replace( /\\(.)/g, escapes );
+			if ( isList ) {
+				copy.push( value );
+			} else {
+				for ( let i = 0; i < names.length; i++ ) {
+					setProperty( copy, names[i], parent[names[i]] );
+				}
 
-								mode = ParserModes.LINEBREAK;
-								startBlock = cursor + 1;
-								break;
-						}
-						break;
+				setProperty( copy, name, value );
+			}
 
-					case ParserModes.ESCAPED_QUOTED_VALUE :
-						// ignoring single character in a quoted name
-						switch ( ch ) {
-							case "\r" :
-							case "\n" :
-								ParserError( Errors.linebreak, line, column );
-								break;
+			if ( doc.positions[pointerOf( parentSegments )] ) {
+				replaceNode( doc, parentSegments, copy );
+			} else {
+				// append to document lacking any node
+				const code = doc.code;
 
-							default :
-								mode = ParserModes.QUOTED_VALUE;
-						}
-						break;
+				replaceCode( doc, code.length, code.length, ( /[^\n]$/.test( code ) ? "\n" : "" ) + doc.parser.stringify( copy ) );
+			}
+			return;
+		}
 
-					case ParserModes.FOLDED_VALUE : {
-						// reading another line of a folded value's content
-						let isCrLf = false;
+		const range = doc.positions[pointerOf( last )];
+		const indentation = spaces( lastOffset - doc.lineOffsets[offsetLine( doc, lastOffset ) - 1] );
+		const lines = [];
+		let wrapper = [value];
 
-						switch ( ch ) {
-							case "\r" :
-								isCrLf = true;
+		if ( !isList ) {
+			wrapper = {};
+			setProperty( wrapper, name, value );
+		}
 
-							// falls through
-							case "\n" : {
-								const _pre = code.substr( startBlock, node.foldedIndentation );
-								let _line = code.substring( startBlock + node.foldedIndentation, cursor );
+		serialize( wrapper, indentation, { indent: "  " }, [], lines );
 
-								const match = /\S/.exec( _pre );
-								if ( match ) {
-									const diff = node.foldedIndentation - match.index;
-									let padding = "";
+		const offset = nextLineOf( doc, offsetOf( doc, range.endLine, range.endColumn ) );
 
-									for ( let n = 0; n < diff; n++ ) {
-										padding += " ";
-									}
+		replaceCode( doc, offset, offset, ( /[^\n]$/.test( doc.code.substr( 0, offset ) ) ? "\n" : "" ) + lines.join( "\n" ) + "\n" );
+	}
 
-									node.value = node.value.replace( /(^|\n(?=\s*\S))/g, "$1" + padding );
+	/**
+	 * Fetches index of line containing character at given offset.
+	 *
+	 * @param {YAMLDocument} doc document
+	 * @param {int} offset offset of character in document's code
+	 * @returns {int} index of line, starting at 1
+	 */
+	function offsetLine( doc, offset ) {
+		const lineOffsets = doc.lineOffsets;
+		let line = 1;
 
-									node.foldedIndentation = match.index;
+		while ( line < lineOffsets.length && lineOffsets[line] <= offset ) {
+			line++;
+		}
 
-									_line = _pre.substr( match.index ) + _line;
-								}
+		return line;
+	}
 
-								node.value = ( node.value == null ? "" : node.value ) + _line;
+	/**
+	 * Describes YAML code of a single document for inspecting and modifying
+	 * its data while keeping comments and formatting of unmodified code.
+	 *
+	 * @param {object} parser parser instance used to consume discovered nodes
+	 * @param {string} code YAML code of document
+	 * @param {object} options parser options, see `YAML.parse()`
+	 * @constructor
+	 */
+	function YAMLDocument( parser, code, options ) {
+		if ( typeof code !== "string" ) {
+			throw new TypeError( "invalid or missing code to be parsed" );
+		}
 
-								if ( isCrLf ) {
-									mode = ParserModes.LF;
-								} else {
-									mode = ParserModes.LEADING_SPACE;
+		this.parser = parser;
+		this.options = options || {};
 
-									startBlock = cursor + 1;
-								}
-								break;
-							}
-						}
-						break;
-					}
+		if ( this.options.maps ) {
+			throw new TypeError( "documents don't support option maps" );
+		}
 
-					case ParserModes.COMMENT :
-						switch ( ch ) {
-							case "\r" :
-								mode = ParserModes.LF;
-								break;
+		analyzeDocument( this, code );
+	}
+
+	/**
+	 * Fetches value of node addressed by given path.
+	 *
+	 * @param {string|Array<(string|int)>} path JSON pointer or list of segments
+	 * @returns {*} value of addressed node, undefined if missing
+	 */
+	YAMLDocument.prototype.get = function( path ) {
+		return lookup( this.data, pathSegments( path ) );
+	};
+
+	/**
+	 * Detects if node addressed by given path exists.
+	 *
+	 * @param {string|Array<(string|int)>} path JSON pointer or list of segments
+	 * @returns {boolean} true if node exists
+	 */
+	YAMLDocument.prototype.has = function( path ) {
+		return lookup( this.data, pathSegments( path ) ) !== undefined;
+	};
+
+	/**
+	 * Describes node addressed by given path.
+	 *
+	 * @param {string|Array<(string|int)>} path JSON pointer or list of segments
+	 * @returns {?object} description of node, null if missing in code
+	 */
+	YAMLDocument.prototype.getNode = function( path ) {
+		const segments = pathSegments( path );
+		const pointer = pointerOf( segments );
+		const range = this.positions[pointer];
+
+		if ( !range ) {
+			return null;
+		}
+
+		const line = ( range.key || range ).line;
+		const column = ( range.key || range ).column;
+		const pointers = Object.keys( this.positions );
+		let before = [];
+		let after = null;
+
+		if ( pointer !== "" && !pointers.some( function( other ) {
+			return other !== "" && pointer.indexOf( other + "/" ) === 0 && ( this.positions[other].key || this.positions[other] ).line === line;
+		}, this ) ) {
+			before = commentsBefore( this, line );
+		}
+
+		if ( !pointers.some( function( other ) {
+			return other.indexOf( pointer + "/" ) === 0 && ( this.positions[other].key || this.positions[other] ).line === line;
+		}, this ) ) {
+			const comments = this.comments;
+
+			for ( let i = 0; i < comments.length; i++ ) {
+				if ( comments[i].line === line && comments[i].inline && comments[i].column > column ) {
+					after = comments[i];
+				}
+			}
+		}
+
+		return {
+			value: lookup( this.data, segments ),
+			style: styleOf( this, segments ),
+			range: {
+				line: range.line,
+				column: range.column,
+				endLine: range.endLine,
+				endColumn: range.endColumn,
+			},
+			key: range.key || null,
+			comments: {
+				before: before.map( function( comment ) { return comment.text; } ),
+				after: after ? after.text : null,
+			},
+		};
+	};
+
+	/**
+	 * Adjusts value of node addressed by given path.
+	 *
+	 * Missing nodes are added. Code of document not related to the
+	 * addressed node is kept as is.
+	 *
+	 * @param {string|Array<(string|int)>} path JSON pointer or list of segments
+	 * @param {*} value new value of node
+	 * @returns {YAMLDocument} current document for chaining calls
+	 */
+	YAMLDocument.prototype.set = function( path, value ) {
+		const segments = pathSegments( path );
+
+		if ( value === undefined ) {
+			this.delete( segments );
+		} else if ( this.positions[pointerOf( segments )] ) {
+			replaceNode( this, segments, value );
+		} else if ( segments.length ) {
+			insertNode( this, segments, value );
+		} else {
+			analyzeDocument( this, this.parser.stringify( value ) );
+		}
+
+		return this;
+	};
+
+	/**
+	 * Removes node addressed by given path.
+	 *
+	 * Comments on separate lines immediately preceding the node are removed
+	 * as well.
+	 *
+	 * @param {string|Array<(string|int)>} path JSON pointer or list of segments
+	 * @returns {boolean} true if node has been removed, false if missing
+	 */
+	YAMLDocument.prototype.delete = function( path ) {
+		const segments = pathSegments( path );
+		const range = this.positions[pointerOf( segments )];
+
+		if ( !segments.length ) {
+			throw new TypeError( "can't remove root of document" );
+		}
 
-							case "\n" :
-								mode = ParserModes.LEADING_SPACE;
+		if ( !range ) {
+			return false;
+		}
 
-								startBlock = cursor + 1;
-						}
-						break;
+		const parentSegments = segments.slice( 0, -1 );
+		const parent = lookup( this.data, parentSegments );
+		const names = Object.keys( parent );
+		const isList = Array.isArray( parent );
 
-					case ParserModes.LINEBREAK :
-						// skipping trailing whitespace after some quoted value
-						// while searching next linebreak
-						switch ( ch ) {
-							case " " :
-							case "\t" :
-								break;
+		if ( isFlowContext( this, segments ) || ( parentSegments.length && names.length < 2 ) ) {
+			const name = segments[segments.length - 1];
+			const copy = isList ? parent.slice() : {};
 
-							case "\r" :
-								this.consume( node, stack, _tokens );
-								node = null;
+			if ( isList ) {
+				copy.splice( Number( name ), 1 );
+			} else {
+				for ( let i = 0; i < names.length; i++ ) {
+					if ( names[i] !== name ) {
+						setProperty( copy, names[i], parent[names[i]] );
+					}
+				}
+			}
 
-								mode = ParserModes.LF;
-								break;
+			replaceNode( this, parentSegments, copy );
+			return true;
+		}
 
-							case "\n" :
-								this.consume( node, stack, _tokens );
-								node = null;
+		const entry = entryOffsetOf( this, segments );
+		const line = offsetLine( this, entry );
+		let start = this.lineOffsets[line - 1];
+		let end = nextLineOf( this, offsetOf( this, range.endLine, range.endColumn ) );
 
-								mode = ParserModes.LEADING_SPACE;
+		if ( /\S/.test( this.code.substring( start, entry ) ) ) {
+			// entry is first one of a collection in compact notation, thus
+			// remove code up to next entry
+			start = entry;
+			end = this.code.length;
 
-								startBlock = cursor + 1;
-								break;
+			for ( let i = 0; i < names.length; i++ ) {
+				const sibling = parentSegments.concat( [names[i]] );
 
-							case "#" :
-								this.consume( node, stack, _tokens );
-								node = null;
+				if ( this.positions[pointerOf( sibling )] ) {
+					const offset = entryOffsetOf( this, sibling );
 
-								mode = ParserModes.COMMENT;
-								break;
+					if ( offset > entry && offset < end ) {
+						end = offset;
+					}
+				}
+			}
+		} else {
+			const before = commentsBefore( this, line );
 
-							case ":" :
-								if ( node.isArrayItem && typeof node.value === "string" ) {
-									const trimmed = node.value;
+			if ( before.length ) {
+				start = this.lineOffsets[before[0].line - 1];
+			}
+		}
 
-									if ( /^[a-zA-Z0-9_]+$/.test( trimmed ) ) {
-										node.value = EmptyObject;
-										this.consume( node, stack, _tokens );
+		replaceCode( this, start, end, "" );
+		return true;
+	};
 
-										node = {
-											depth: node.startQuote + 1 + node.value.match( /^\s*/ )[0].length,
-											isProperty: true,
-											propertyName: trimmed,
-											line: line,
-											column: column,
-										};
+	/**
+	 * Renders YAML code of document.
+	 *
+	 * @returns {string} YAML code of document
+	 */
+	YAMLDocument.prototype.toString = function() {
+		return this.code;
+	};
 
-										mode = ParserModes.VALUE;
-										startBlock = cursor + 1;
+	module.exports.YAMLSyntaxError = YAMLSyntaxError;
+	module.exports.YAMLDocument = YAMLDocument;
 
-										break;
-									}
-								}
+	/**
+	 * Implements very basic YAML parser not complying with any standard most
+	 * probably.
+	 */
+	module.exports.YAML = {
+		/**
+		 * Extracts data structure from provided string assumed to contain some YAML
+		 * code.
+		 *
+		 * Supported options are:
+		 *
+		 * - `tokens` is an array used to successively consume passed tokens
+		 * - `cloneAliases` requests to deeply clone data of anchored nodes on
+		 *   resolving aliases instead of sharing the same data
+		 * - `recover` requests to keep parsing after encountering syntax errors
+		 *   instead of throwing them, resuming with next line
+		 * - `errors` is an array collecting syntax errors in recovery mode
+		 * - `warnings` is an array collecting warnings on suspicious code
+		 * - `positions` is an object collecting ranges of code per JSON pointer
+		 *   addressing every key and value of resulting data
+		 * - `schema` selects rules for detecting type of unquoted scalars, one
+		 *   out of "legacy" (default), "core", "json" or "failsafe", when
+		 *   omitted a document's `%YAML` directive selects "legacy" for
+		 *   YAML 1.1 and "core" for YAML 1.2
+		 * - `resolvers` is a list of custom resolvers for unquoted scalars
+		 *   tested prior to the schema
+		 * - `unsafeIntegers` selects how to handle integers exceeding range of
+		 *   safe integers, one out of "number" (default), "bigint" or "string"
+		 * - `tags` maps names of custom tags into functions constructing value
+		 *   of tagged node from its raw scalar or parsed collection
+		 * - `comments` is an array collecting all comments with their position
+		 * - `events` maps names of events into handlers invoked on every
+		 *   collection, key and scalar while parsing
+		 * - `reviver` is a function invoked bottom-up with key, value and JSON
+		 *   pointer of every parsed value returning value to be used instead
+		 * - `nullPrototype` requests to create mappings without prototype
+		 * - `maps` requests to create instances of `Map` for mappings keeping
+		 *   order and type of keys
+		 * - `rejectUnsafeNames` requests to reject properties named
+		 *   `__proto__`, `constructor` or `prototype`
+		 * - `duplicateKeys` selects how to handle repeated keys of a mapping,
+		 *   one out of "last" (default), "first", "warn" or "error"
+		 * - `untrusted` requests to apply stricter default limits for parsing
+		 *   code of untrusted sources
+		 * - `maxLength`, `maxDepth`, `maxKeys` and `maxScalarLength` limit
+		 *   the number of characters per document, the nesting of collections,
+		 *   the number of keys and items per document and the number of
+		 *   characters per scalar
+		 *
+		 * @param {string} code string assumed to contain YAML code
+		 * @param {object|object[]} options parser options, array used to collect tokens
+		 * @returns {*} data described by YAML code, null if code is describing empty document
+		 */
+		parse: function( code, options ) {
+			if ( typeof code === "object" && code ) {
+				return code;
+			}
 
-								ParserError( Errors.character, line, column );
-								break;
+			if ( typeof code !== "string" ) {
+				throw new TypeError( "invalid or missing code to be parsed" );
+			}
 
-							default :
-								ParserError( Errors.character, line, column );
-						}
-						break;
-				}
+			const documents = parseStream( this, code, normalizeOptions( options ), true );
 
-				if ( ch === "\n" && cursor < numCharacters ) {
-					if ( node && node.folded && node.value != null ) {
-						node.value += "\n";
-					}
+			return documents.length ? documents[0] : null;
+		},
 
-					line++;
-					column = 0;
-				}
+		/**
+		 * Extracts data structures of every document in provided string assumed
+		 * to contain a stream of YAML documents separated by `---`.
+		 *
+		 * @param {string} code string assumed to contain YAML code
+		 * @param {object|object[]} options parser options, see `YAML.parse()`
+		 * @returns {Array} data of documents described by YAML code
+		 */
+		parseAll: function( code, options ) {
+			if ( typeof code !== "string" ) {
+				throw new TypeError( "invalid or missing code to be parsed" );
 			}
 
+			return parseStream( this, code, normalizeOptions( options ), false );
+		},
 
-			// handle last token discovered before
-			switch ( mode ) {
-				case ParserModes.VALUE :
-					node.value = code.substring( startBlock ).trim();
-					switch ( node.value ) {
-						case "|" :
-						case ">" :
-							ParserError( Errors.folder, line, column );
-							break;
+		/**
+		 * Creates parser incrementally processing a stream of YAML documents
+		 * provided in arbitrary chunks of code.
+		 *
+		 * Listeners may be registered for events
+		 *
+		 * - `entry` invoked with value, key and index of containing document
+		 *   on every completed entry of a document's root collection and
+		 * - `document` invoked with data and index of every completed
+		 *   document.
+		 *
+		 * @param {object|object[]} options parser options, see `YAML.parse()`
+		 * @returns {{on: function(string, function):object, write: function(string):object, end: function():object}} incremental parser
+		 */
+		createParser: function( options ) {
+			const listeners = { entry: [], document: [] };
+			const scanner = createScanner( this, normalizeOptions( options ), false, {
+				entry: function( value, key, index ) {
+					listeners.entry.forEach( function( listener ) { listener( value, key, index ); } );
+				},
+				document: function( data, index ) {
+					listeners.document.forEach( function( listener ) { listener( data, index ); } );
+				},
+			} );
+			let ended = false;
+
+			return {
+				on: function( name, listener ) {
+					if ( !listeners.hasOwnProperty( name ) ) {
+						throw new TypeError( "unknown event: " + name );
+					}
 
-						case "" :
-							// assume another line with deeper indentation
-							node.value = EmptyObject;
+					if ( typeof listener !== "function" ) {
+						throw new TypeError( "invalid event listener" );
+					}
 
-						// falls through
-						default :
-							this.consume( node, stack, _tokens );
-							node = null;
+					listeners[name].push( listener );
+
+					return this;
+				},
+				write: function( chunk ) {
+					if ( ended ) {
+						throw new Error( "parser has been ended" );
 					}
-					break;
 
-				case ParserModes.LINEBREAK :
-					this.consume( node, stack, _tokens );
-					break;
+					if ( typeof chunk !== "string" ) {
+						throw new TypeError( "invalid chunk of code" );
+					}
 
-				case ParserModes.LEADING_SPACE :
-					if ( node && node.folded ) {
-						this.consume( node, stack, _tokens );
+					scanner.write( chunk );
+
+					return this;
+				},
+				end: function( chunk ) {
+					if ( chunk != null ) {
+						this.write( chunk );
 					}
-					break;
 
-				case ParserModes.COMMENT :
-					break;
+					if ( !ended ) {
+						ended = true;
+						scanner.end();
+					}
 
-				case ParserModes.QUOTED_NAME :
-				case ParserModes.ESCAPED_QUOTED_NAME :
-				case ParserModes.QUOTED_VALUE :
-				case ParserModes.ESCAPED_QUOTED_VALUE :
-					ParserError( Errors.quote, line, column );
-					break;
+					return this;
+				},
+			};
+		},
 
-				default :
-					ParserError( Errors.eof, line, column );
+		/**
+		 * Parses provided YAML code into a document supporting inspection and
+		 * modification of its data while keeping comments and formatting.
+		 *
+		 * @param {string} code string assumed to contain YAML code of a single document
+		 * @param {object} options parser options, see `YAML.parse()`
+		 * @returns {YAMLDocument} document describing provided code
+		 */
+		parseDocument: function( code, options ) {
+			return new YAMLDocument( this, code, options );
+		},
+
+		/**
+		 * Parses provided YAML code collecting all errors instead of throwing
+		 * on first one.
+		 *
+		 * @param {string} code string assumed to contain YAML code
+		 * @param {object} options parser options, see `YAML.parse()`
+		 * @returns {{data: object, errors: YAMLSyntaxError[], warnings: YAMLSyntaxError[]}} best-effort data and encountered issues
+		 */
+		validate: function( code, options ) {
+			const source = Array.isArray( options ) ? { tokens: options } : options || {};
+			const _options = {};
+
+			// pass copy of raw options for parse() normalizing them once, only
+			Object.keys( source ).forEach( function( name ) {
+				_options[name] = source[name];
+			} );
+
+			_options.recover = true;
+			_options.errors = [];
+			_options.warnings = [];
+
+			const data = this.parse( code, _options );
+
+			return {
+				data: data,
+				errors: _options.errors,
+				warnings: _options.warnings,
+			};
+		},
+
+		/**
+		 * Renders provided data as YAML code.
+		 *
+		 * Supported options are:
+		 *
+		 * - `indent` selecting number of spaces per level of indentation
+		 *   (default: 2)
+		 * - `sortKeys` requesting to sort properties of mappings by name, either
+		 *   set `true` or a callback used to compare names (default: false)
+		 *
+		 * @param {*} value data to be rendered
+		 * @param {object} options customizations for rendering code
+		 * @returns {string} YAML code describing provided data
+		 */
+		stringify: function( value, options ) {
+			const _options = options || {};
+			const indent = _options.indent == null ? 2 : _options.indent;
+
+			if ( typeof indent !== "number" || !( indent >= 1 && indent <= 10 ) || Math.floor( indent ) !== indent ) {
+				throw new TypeError( "invalid indentation width" );
 			}
 
-			return stack[stack.length - 1].ref;
+			const lines = [];
+			const data = normalize( value );
+
+			if ( data && typeof data === "object" && !keysOf( data ).length ) {
+				// empty document is read as null, thus use flow style
+				return ( Array.isArray( data ) ? "[]" : "{}" ) + "\n";
+			}
+
+			serialize( data, "", {
+				indent: spaces( indent ),
+				sortKeys: _options.sortKeys,
+			}, [], lines );
+
+			return lines.join( "\n" ) + "\n";
+		},
+
+		/**
+		 * Converts mappings parsed with option `maps` into plain objects.
+		 *
+		 * Keys are converted into names of properties the same way as
+		 * explicit keys are converted when parsing without option `maps`.
+		 *
+		 * @param {*} value parsed data
+		 * @returns {*} copy of data with every `Map` replaced by a plain object
+		 */
+		toObject: function( value ) {
+			return mapsToObjects( value );
 		},
 
 		/**
@@ -707,20 +5066,40 @@
 		 * @param {object} node description of parsed node to be collected
 		 * @param {object} contextStack LIFO queue of objects to consume data
 		 * @param {object[]} tokensCollector list provided to collect all passed tokens
+		 * @param {object=} options normalized parser options, defaults applied if omitted
 		 * @returns {void}
 		 */
-		consume: function( node, contextStack, tokensCollector ) {
+		consume: function( node, contextStack, tokensCollector, options ) {
+			const _options = options || normalizeOptions();
 			const depth = node.depth;
+			const isRoot = depth < 0;
+			const anchors = contextStack[contextStack.length - 1].anchors;
+			const scalarResolver = contextStack[contextStack.length - 1].resolveScalar || _options.resolveScalar;
+
+			if ( contextStack[contextStack.length - 1].hasValue ) {
+				// document's root has been described by a value before
+				ParserError( "scalar", node.line, node.column );
+			}
+
+			// value of key or item in a previous line replaces frame started for it
+			const placeholder = node.nestedValue ? contextStack.shift() : null;
 
 			for ( ;; ) {
+				if ( isRoot || placeholder ) {
+					// value of document's root isn't collected in any frame
+					break;
+				}
+
 				const frame = contextStack[0];
 				if ( !frame ) {
-					ParserError( Errors.depth, node.line, node.column );
+					ParserError( "depth", node.line, node.column );
 					return;
 				}
 
 				const frameDepth = frame.depth;
 
+				const isItem = node.isArrayItem && !node.complexKey;
+
 				if ( isNaN( frameDepth ) && ( contextStack[1] || {} ).depth < depth ) {
 					// started new level before without knowing its level
 					// -> adopting level of now provided node
@@ -728,53 +5107,181 @@
 					break;
 				}
 
-				if ( frameDepth === depth ) {
+				if ( isNaN( frameDepth ) && isItem && contextStack[1] && contextStack[1].depth === depth && !Array.isArray( contextStack[1].ref ) ) {
+					// sequence is value of a property indented like its name
+					frame.depth = depth;
+					frame.indentless = true;
+					break;
+				}
+
+				if ( frameDepth === depth && !frame.complexKey && ( isItem || !frame.indentless ) ) {
 					// found existing frame matching node's indentation
 					break;
 				}
 
 				if ( frameDepth < depth ) {
-					ParserError( Errors.indentation, node.line, node.column );
+					ParserError( "indentation", node.line, node.column );
+				}
+
+				if ( frame.explicitKey ) {
+					this.consume( missingExplicitValue( frame ), contextStack, tokensCollector, _options );
+				}
+
+				closeFrame( contextStack, _options );
+			}
+
+			const explicitKey = contextStack[0].explicitKey;
+
+			if ( explicitKey && !node.explicitValue ) {
+				this.consume( missingExplicitValue( contextStack[0] ), contextStack, tokensCollector, _options );
+			} else if ( node.explicitValue ) {
+				if ( !explicitKey ) {
+					ParserError( "character", node.line, node.column );
+				}
+
+				contextStack[0].explicitKey = null;
+
+				node.propertyName = explicitKey.name;
+				node.sourceName = explicitKey.source;
+				node.keyRange = explicitKey.range;
+			}
+
+			if ( _options.maps && node.isProperty && node.propertyName !== "<<" && !node.quotedName && !node.explicitValue ) {
+				// keep type of non-quoted names in mappings supporting any type of key
+				node.sourceName = node.propertyName;
+				node.propertyName = scalarResolver( node.propertyName );
+			}
+
+			if ( contextStack.length === 1 && contextStack[0].onEntry && !placeholder ) {
+				// node starts another entry of document's root collection
+				contextStack[0].onEntry( node );
+			}
+
+			const isMerge = !node.isArrayItem && node.propertyName === "<<" && !node.quotedName && !node.explicitValue;
+			let inKey = Boolean( contextStack[0].complexKey || contextStack[0].withinKey );
+			const root = contextStack[contextStack.length - 1];
+
+			if ( node.isProperty && !isMerge ) {
+				checkPropertyName( node.propertyName, _options, node.line, node.column );
+			}
+
+			root.numNodes += ( placeholder ? 0 : 1 ) + ( node.flowNodes || 0 );
+
+			if ( root.numNodes > _options.maxKeys || contextStack.length + ( node.flowDepth || 0 ) > _options.maxDepth ||
+			     ( node.isProperty && exceedsScalarLength( node.propertyName, _options ) ) ) {
+				ParserError( "limit", node.line, node.column );
+			}
+
+			if ( _options.events && !inKey ) {
+				const keyRange = node.isProperty ? node.keyRange : null;
+				const end = node.valueRange || keyRange || extendRange( null, node.line, node.column, node.column + 1 );
+
+				root.end = { line: end.endLine, column: end.endColumn };
+
+				if ( !isRoot && !placeholder ) {
+					startFrameEvents( contextStack[0], node.isArrayItem && !node.complexKey, node.line, node.column, _options.events );
+				}
+
+				if ( keyRange && !isMerge ) {
+					emitEvent( _options.events, "onKey", node.propertyName, eventRange( keyRange ) );
+				}
+			}
+
+			if ( node.complexKey ) {
+				if ( _options.positions && !inKey ) {
+					recordPosition( contextStack, node, null, null, _options.positions );
 				}
 
-				contextStack.shift();
+				// collect explicit key like single item of a sequence
+				contextStack.unshift( {
+					depth: depth,
+					selector: null,
+					ref: [],
+					pointer: contextStack[0].pointer,
+					complexKey: true,
+					detached: true,
+					keyRange: extendRange( null, node.line, node.column, node.column + 1 ),
+				} );
+
+				inKey = true;
 			}
 
 
+			if ( node.alias != null ) {
+				const aliasRange = node.valueRange || node;
+
+				node.value = resolveAlias( contextStack, depth, node.alias, _options, aliasRange.line, aliasRange.column );
+			}
+
 			// found existing frame with less indentation than node in stack
 			// sorted by indentation
 			switch ( node.value ) {
 				case EmptyArray :
 				case EmptyObject : {
+					if ( isRoot ) {
+						// got properties of document's root collection
+						root.tag = node.tag;
+
+						if ( node.anchor != null ) {
+							anchors[node.anchor] = { frame: root };
+						}
+
+						tokensCollector.push( node );
+						return;
+					}
+
 					// got proper node marking start of another level of hierarchy
 					// -> put another frame with node's indentation onto stack
 					let ref = contextStack[0].ref;
 					let isArray = Array.isArray( ref );
 
 					if ( node.isArrayItem && !isArray ) {
-						if ( Object.keys( ref ).length === 0 ) {
+						if ( keysOf( ref ).length === 0 ) {
 							ref = contextStack[0].ref = [];
 							isArray = true;
 
-							if ( contextStack.length > 1 ) {
-								contextStack[1].ref[contextStack[0].selector] = ref;
+							if ( contextStack.length > 1 && !contextStack[0].detached ) {
+								setProperty( contextStack[1].ref, contextStack[0].selector, ref );
 							}
 						}
 					}
 
-					const selector = isArray ? ref.length : node.propertyName;
-					const sub = node.value === EmptyArray ? [] : {};
+					if ( !isArray && isMerge ) {
+						ParserError( "merge", node.line, node.column );
+					}
 
-					contextStack.unshift( {
+					if ( contextStack.length >= _options.maxDepth ) {
+						ParserError( "limit", node.line, node.column );
+					}
+
+					const selector = isArray ? ref.length : node.propertyName;
+					const sub = node.value === EmptyArray ? [] : createMapping( _options );
+					const frame = {
 						depth: NaN,
 						selector: selector,
 						ref: sub,
-					} );
+						tag: node.tag,
+						pointer: contextStack[0].pointer + pointerSegment( selector ),
+						withinKey: inKey,
+					};
+
+					if ( _options.positions && !inKey ) {
+						recordPosition( contextStack, node, selector, frame, _options.positions );
+					}
+
+					contextStack.unshift( frame );
+
+					if ( node.anchor != null ) {
+						anchors[node.anchor] = { frame: frame };
+					}
 
 					if ( isArray ) {
 						ref.push( sub );
+					} else if ( checkDuplicateKey( namesOf( contextStack[1] ), node.propertyName, _options, node.line, node.column ) ) {
+						setProperty( ref, node.propertyName, sub );
+						recordSourceName( ref, node.propertyName, node.sourceName );
 					} else {
-						ref[node.propertyName] = sub;
+						frame.detached = true;
 					}
 
 					tokensCollector.push( node );
@@ -785,11 +5292,13 @@
 
 			let collection = contextStack[0].ref;
 
-
-			if ( node.isArrayItem ^ Array.isArray( collection ) ) {
+			if ( placeholder ) {
+				// properties in line of key or item apply to value in next line
+				node.tag = node.tag || placeholder.tag;
+			} else if ( node.isArrayItem ^ Array.isArray( collection ) ) {
 				// mismatching type of collection at current level of hierarchy
-				if ( Object.keys( collection ).length > 0 ) {
-					ParserError( Errors.collection, node.line, node.column );
+				if ( keysOf( collection ).length > 0 ) {
+					ParserError( "collection", node.line, node.column );
 					return;
 				}
 
@@ -799,11 +5308,11 @@
 				if ( node.isArrayItem ) {
 					collection = contextStack[0].ref = [];
 				} else {
-					collection = contextStack[0].ref = {};
+					collection = contextStack[0].ref = createMapping( _options );
 				}
 
-				if ( selector != null && contextStack.length > 1 ) {
-					contextStack[1].ref[selector] = collection;
+				if ( selector != null && contextStack.length > 1 && !contextStack[0].detached ) {
+					setProperty( contextStack[1].ref, selector, collection );
 				}
 			}
 
@@ -811,51 +5320,112 @@
 			switch ( node.value ) {
 				case EmptyObject :
 				case EmptyArray :
-					ParserError( Errors.indentation, node.line, node.column );
+					ParserError( "indentation", node.line, node.column );
 					break;
 
 				default :
 					if ( node.folded ) {
-						const mode = /^([|>])([+-])?$/.exec( node.folded );
-						node.value = node.value.replace( /(\n\s*$)|(?:\n([^ \t]))/g, function( _, end, inner ) {
-							if ( end ) {
-								switch ( mode[2] ) {
-									case "+" :
-										return end;
-
-									case "-" :
-										return "";
+						if ( node.value == null ) {
+							// block scalar consists of empty lines, only
+							node.value = spaces( node.leadingBreaks ).replace( / /g, "\n" );
+						}
 
-									default :
-										return "\n";
-								}
-							}
+						node.value = finishBlockScalar( node.value, node.folded );
+					}
 
-							return ( mode[1] === ">" ? inner === "\n" ? "" : " " : "\n" ) + inner;
-						} );
-					} else if ( !node.quotedValue ) {
-						const trimmedValue = node.value.trim();
+					if ( node.tag ) {
+						const isPlain = typeof node.value === "string" && !node.folded && !node.quotedValue;
 
-						if ( trimmedValue === "null" ) {
-							node.value = null;
-						} else if ( /^(?:y(?:es)?|true|on)$/i.test( trimmedValue ) ) {
-							node.value = true;
-						} else if ( /^(?:no?|false|off)$/i.test( trimmedValue ) ) {
-							node.value = false;
-						} else if ( trimmedValue.replace( /^[+-]/, "" ).length > 0 && /^(?:[+-])?(?:\d+)?(?:\.\d+)?$/i.test( trimmedValue ) ) {
-							node.value = parseFloat( trimmedValue );
-						} else {
-							node.value = trimmedValue;
+						node.value = constructTag( node.tag, isPlain ? node.value.trim() : node.value, _options );
+					} else if ( typeof node.value === "string" && !node.folded && !node.quotedValue && node.alias == null ) {
+						if ( contextStack[0].complexKey ) {
+							// keep explicit key's text for naming property like implicit keys
+							contextStack[0].keySource = node.value.trim();
 						}
+
+						node.value = scalarResolver( node.value.trim() );
+					}
+
+					if ( exceedsScalarLength( node.value, _options ) ) {
+						ParserError( "limit", ( node.valueRange || node ).line, ( node.valueRange || node ).column );
 					}
 			}
 
-			if ( node.isArrayItem ) {
-				collection.push( node.value );
+			if ( node.anchor != null ) {
+				anchors[node.anchor] = { value: node.value };
+			}
+
+			if ( _options.positions && !inKey ) {
+				const selector = placeholder ? placeholder.selector : node.isArrayItem ? collection.length : isMerge || isRoot ? null : node.propertyName;
+
+				recordPosition( contextStack, node, selector, isRoot ? root : null, _options.positions );
+
+				if ( placeholder && placeholder.position && placeholder.position.key ) {
+					_options.positions[placeholder.pointer].key = placeholder.position.key;
+				}
+			}
+
+			const nested = {};
+
+			if ( node.flowPositions && ( _options.events || _options.reviver ) && !isMerge && !inKey ) {
+				flowPositionsOf( node.flowPositions ).forEach( function( item ) { nested[item.pointer] = item.position; } );
+			}
+
+			if ( _options.events && !isMerge && !inKey ) {
+				const range = node.valueRange || extendRange( null, node.line, node.column, node.column );
+
+				emitValueEvents( node.value, range, nested, "", _options.events );
+			}
+
+			let value = node.value;
+
+			if ( _options.reviver && !isMerge && !inKey ) {
+				const selector = placeholder ? placeholder.selector : node.isArrayItem ? collection.length : node.propertyName;
+				const pointer = contextStack[0].pointer + ( isRoot ? "" : pointerSegment( selector ) );
+
+				if ( node.flowPositions && value && typeof value === "object" ) {
+					reviveFlowItems( value, "", pointer, nested, _options.reviver );
+				}
+
+				if ( !isRoot ) {
+					// root is revived on finishing document
+					value = _options.reviver.call( collection, selector, value, pointer );
+				}
+			}
+
+			if ( placeholder ) {
+				placeholder.ref = value;
+
+				if ( !placeholder.detached ) {
+					storeRevived( collection, placeholder.selector, value );
+				}
+			} else if ( node.isArrayItem ) {
+				collection.push( value );
 			} else if ( node.isProperty ) {
-				collection[node.propertyName] = node.value;
+				if ( isMerge ) {
+					const known = keysOf( collection );
+					const range = node.valueRange || node.keyRange;
+
+					mergeMappings( collection, node.value, node.line, node.column );
+
+					if ( _options.events ) {
+						emitMergedEvents( collection, known, range, _options.events );
+					}
+
+					if ( _options.positions && !inKey ) {
+						mergedPositionsOf( collection, known, range, _options ).forEach( function( item ) {
+							_options.positions[contextStack[0].pointer + item.pointer] = item.position;
+						} );
+					}
+				} else if ( checkDuplicateKey( namesOf( contextStack[0] ), node.propertyName, _options, node.line, node.column ) ) {
+					storeRevived( collection, node.propertyName, value );
+					recordSourceName( collection, node.propertyName, node.sourceName );
+				}
+			} else if ( isRoot ) {
+				root.ref = value;
+				root.hasValue = true;
 			} else {
-				ParserError( Errors.scalar, node.line, node.column );
+				ParserError( "scalar", node.line, node.column );
 			}
 
 			tokensCollector.push( node );
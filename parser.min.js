@@ -4,4 +4,4 @@
  * @copyright 2019 cepharum GmbH, Berlin, Germany - https://cepharum.de
  * @license MIT
  */
-"use strict";!function(){const e=0,a=1,t=2,s=3,r=4,c=5,n=6,l=7,i=8,u=9,o=10,d=11,b=12,f={character:"invalid character",indentation:"invalid indentation",linebreak:"invalid linebreak",comment:"invalid comment",depth:"invalid depth of hierarchy",exists:"replacing existing property of same object",collection:"invalid mix of collections",scalar:"collection expected, but got scalar",folded:"invalid folded value",quote:"missing closing quote",eof:"unexpected end of file"},h={},k=[];function m(e,a,t){throw new Error(e+" in line "+a+", column "+t)}function p(e,a){switch(a){case"n":return"\n";case"t":return"\t";case"f":return"\f";case"v":return"\v";default:return a}}module.exports.YAML={parse:function(v,y){const g=y||[];if("object"==typeof v&&v)return v;if("string"!=typeof v)throw new TypeError("invalid or missing code to be parsed");const w=v.length,A=[{depth:0,selector:null,ref:{}}];let I=e,N=null,x=1,P=1,$=0,q=0,j=0;for(let y=0;y<=w;y++,P++){const S=y<w?v[y]:"\n";switch(I){case e:switch(S){case" ":case"\t":break;case"\r":I=a;break;case"\n":$=y+1;break;case"#":if(!N||!N.folded){I=o;break}default:if(j=y-(q=$),N&&N.folded){if(j>N.depth){null==N.value&&(N.foldedIndentation=j-N.depth),$+=N.depth,I=l;break}this.consume(N,A,g),N=null}switch(N={depth:j,line:x,column:P},$=y,S){case"'":case'"':I=s;break;case"-":I=b,$=y;break;default:I=t,y--,P--}}break;case b:if(!/\s/.test(S)&&(N.isProperty||N.isArrayItem&&/[\d.]/.test(S)))I=n;else{if(N.isArrayItem||N.isProperty){const e=v.substring($,y);N.value=N.isArrayItem?k:h,this.consume(N,A,g),N={depth:N.depth+1+e.match(/^\s*/)[0].length,isArrayItem:!0,line:x,column:P}}else N.isArrayItem=!0;switch(S){case"\r":N.value=h,this.consume(N,A,g),I=a;break;case"\n":N.value=k,this.consume(N,A,g),I=e,$=y+1;break;case" ":case"\t":default:I=n,$=y}}break;case a:"\n"!==S&&m(f.linebreak,x,P),I=e,$=y+1;break;case t:switch(S){case":":N.isProperty=!0,N.propertyName=v.substring($,y).trim(),I=n,$=y+1;break;case" ":case"\t":N.isProperty=!0,N.propertyName=v.substring($,y).trim(),I=c;break;case"\r":case"\n":m(f.linebreak,x,P);break;case"#":m(f.comment,x,P);break;default:/[:]/.test(S)&&m(f.character,x,P)}break;case s:switch(S){case"\\":I=r;break;case"\r":case"\n":m(f.linebreak,x,P);break;case v[$]:N.isProperty=!0,N.propertyName=v.substring($+1,y).replace(/\\(.)/g,p),I=c}break;case r:switch(S){case"\r":case"\n":m(f.linebreak,x,P);break;default:I=s}break;case c:switch(S){case":":I=n,$=y+1;break;case" ":case"\t":break;case"\r":case"\n":m(f.linebreak,x,P);break;case"#":m(f.comment,x,P);break;default:m(f.character,x,P)}break;case n:switch(S){case"#":N.value=v.substring($,y).trim(),I=o;break;case"'":case'"':/\S/.test(v.substring($,y))||(I=i,$=N.quotedValue=y);break;case"\r":N.value=v.substring($,y).trim(),""===N.value&&(N.value=h),I=a;break;case"\n":N.value=v.substring($,y).trim(),""===N.value&&(N.value=h),I=e,$=y+1;break;case":":if(N.isArrayItem||N.isProperty){const e=v.substring($,y),a=e.trim();/^[a-zA-Z0-9_]+$/.test(a)&&(N.value=h,this.consume(N,A,g),N={depth:N.depth+1+e.match(/^\s*/)[0].length,isProperty:!0,propertyName:a,line:x,column:P},$=y+1)}break;case"-":if(N.isArrayItem||N.isProperty){v.substring($,y).trim().length||(I=b)}}switch(N.value){case">":case">-":case">+":case"|":case"|-":case"|+":N.folded=N.value,N.value=null;break;case null:case void 0:break;case"":N.value=h;default:this.consume(N,A,g),N=null}break;case i:switch(S){case"\\":I=u;break;case"\r":case"\n":m(f.linebreak,x,P);break;case v[$]:N.value=v.substring($+1,y).replace(/\\(.)/g,p),I=d,$=y+1}break;case u:switch(S){case"\r":case"\n":m(f.linebreak,x,P);break;default:I=i}break;case l:{let t=!1;switch(S){case"\r":t=!0;case"\n":{const s=v.substr($,N.foldedIndentation);let r=v.substring($+N.foldedIndentation,y);const c=/\S/.exec(s);if(c){const e=N.foldedIndentation-c.index;let a="";for(let t=0;t<e;t++)a+=" ";N.value=N.value.replace(/(^|\n(?=\s*\S))/g,"$1"+a),N.foldedIndentation=c.index,r=s.substr(c.index)+r}N.value=(null==N.value?"":N.value)+r,t?I=a:(I=e,$=y+1);break}}break}case o:switch(S){case"\r":I=a;break;case"\n":I=e,$=y+1}break;case d:switch(S){case" ":case"\t":break;case"\r":this.consume(N,A,g),N=null,I=a;break;case"\n":this.consume(N,A,g),N=null,I=e,$=y+1;break;case"#":this.consume(N,A,g),N=null,I=o;break;case":":if(N.isArrayItem&&"string"==typeof N.value){const e=N.value;if(/^[a-zA-Z0-9_]+$/.test(e)){N.value=h,this.consume(N,A,g),N={depth:N.startQuote+1+N.value.match(/^\s*/)[0].length,isProperty:!0,propertyName:e,line:x,column:P},I=n,$=y+1;break}}m(f.character,x,P);break;default:m(f.character,x,P)}}"\n"===S&&y<w&&(N&&N.folded&&null!=N.value&&(N.value+="\n"),x++,P=0)}switch(I){case n:switch(N.value=v.substring($).trim(),N.value){case"|":case">":m(f.folder,x,P);break;case"":N.value=h;default:this.consume(N,A,g),N=null}break;case d:this.consume(N,A,g);break;case e:N&&N.folded&&this.consume(N,A,g);break;case o:break;case s:case r:case i:case u:m(f.quote,x,P);break;default:m(f.eof,x,P)}return A[A.length-1].ref},consume:function(e,a,t){const s=e.depth;for(;;){const t=a[0];if(!t)return void m(f.depth,e.line,e.column);const r=t.depth;if(isNaN(r)&&(a[1]||{}).depth<s){t.depth=s;break}if(r===s)break;r<s&&m(f.indentation,e.line,e.column),a.shift()}switch(e.value){case k:case h:{let s=a[0].ref,r=Array.isArray(s);e.isArrayItem&&!r&&0===Object.keys(s).length&&(s=a[0].ref=[],r=!0,a.length>1&&(a[1].ref[a[0].selector]=s));const c=r?s.length:e.propertyName,n=e.value===k?[]:{};return a.unshift({depth:NaN,selector:c,ref:n}),r?s.push(n):s[e.propertyName]=n,void t.push(e)}}let r=a[0].ref;if(e.isArrayItem^Array.isArray(r)){if(Object.keys(r).length>0)return void m(f.collection,e.line,e.column);const t=a[0].selector;r=e.isArrayItem?a[0].ref=[]:a[0].ref={},null!=t&&a.length>1&&(a[1].ref[t]=r)}switch(e.value){case h:case k:m(f.indentation,e.line,e.column);break;default:if(e.folded){const a=/^([|>])([+-])?$/.exec(e.folded);e.value=e.value.replace(/(\n\s*$)|(?:\n([^ \t]))/g,function(e,t,s){if(t)switch(a[2]){case"+":return t;case"-":return"";default:return"\n"}return(">"===a[1]?"\n"===s?"":" ":"\n")+s})}else if(!e.quotedValue){const a=e.value.trim();"null"===a?e.value=null:/^(?:y(?:es)?|true|on)$/i.test(a)?e.value=!0:/^(?:no?|false|off)$/i.test(a)?e.value=!1:a.replace(/^[+-]/,"").length>0&&/^(?:[+-])?(?:\d+)?(?:\.\d+)?$/i.test(a)?e.value=parseFloat(a):e.value=a}}e.isArrayItem?r.push(e.value):e.isProperty?r[e.propertyName]=e.value:m(f.scalar,e.line,e.column),t.push(e)}}}();
\ No newline at end of file
+"use strict";!function(){const e={LEADING_SPACE:0,LF:1,NAME:2,QUOTED_NAME:3,ESCAPED_QUOTED_NAME:4,COLON:5,VALUE:6,FOLDED_VALUE:7,QUOTED_VALUE:8,ESCAPED_QUOTED_VALUE:9,COMMENT:10,LINEBREAK:11,GOT_DASH:12,FLOW_SEQUENCE:13,FLOW_MAPPING:14,FLOW_QUOTED:15,ESCAPED_FLOW_QUOTED:16,FLOW_COMMENT:17,MARKER:18,ANCHOR:19,ALIAS:20,FLOW_ANCHOR:21,FLOW_ALIAS:22,TAG:23,FLOW_TAG:24,PLAIN_CONTINUATION:25,DIRECTIVE:26},n={character:"invalid character",indentation:"invalid indentation",linebreak:"invalid linebreak",comment:"invalid comment",depth:"invalid depth of hierarchy",exists:"replacing existing property of same object",collection:"invalid mix of collections",scalar:"collection expected, but got scalar",folded:"invalid folded value",quote:"missing closing quote",eof:"unexpected end of file",bracket:"missing closing bracket",document:"unexpected start of another document",alias:"undefined alias",recursion:"alias refers to node containing it",merge:"invalid merge of mappings",escape:"invalid escape sequence",tag:"unknown tag",cast:"invalid value for tag",limit:"exceeding limit of parser",unsafe:"unsafe name of property",directive:"invalid directive",version:"unsupported version of YAML"},t=["__proto__","constructor","prototype"],r={maxLength:1/0,maxDepth:100,maxKeys:1/0,maxScalarLength:1/0},s={maxLength:10485760,maxDepth:100,maxKeys:1e6,maxScalarLength:1048576},o={},i=[],a={},l="function"==typeof WeakMap?new WeakMap:null;function c(e,t,r,s){this.name="YAMLSyntaxError",this.message=n[e]+" in line "+t+", column "+r+(s?" (defined before in line "+s.line+", column "+s.column+")":""),this.code=e,this.line=t,this.column=r,this.previous=s||null,this.offset=null,this.snippet=null,"function"==typeof Error.captureStackTrace?Error.captureStackTrace(this,c):this.stack=new Error(this.message).stack}function u(e,n,t){throw new c(e,n,t)}function f(e,n,t){const r=t||{line:1,offset:0};let s=0;for(let t=r.line;t<e.line;t++){const e=n.indexOf("\n",s);if(e<0)break;s=e+1}const o=n.indexOf("\n",s),i=n.substring(s,o<0?n.length:o).replace(/\r$/,"");return e.offset=r.offset+Math.min(s+e.column-1,n.length),e.snippet=i+"\n"+i.substr(0,e.column-1).replace(/[^\t]/g," ")+oe(e.column-1-i.length)+"^",e}function p(e,n){const t=e[n];switch(t){case"x":return/^[\da-fA-F]{2}$/.test(e.substr(n+1,2));case"u":return/^[\da-fA-F]{4}$/.test(e.substr(n+1,4));case"U":{const t=e.substr(n+1,8);return/^[\da-fA-F]{8}$/.test(t)&&parseInt(t,16)<=1114111}default:return null!=t&&'0abt\tnvfre "/\\N_LP\r\n'.indexOf(t)>-1}}function h(e,n){return"'"===n?$(e).replace(/''/g,"'"):e.replace(/\\(x[\da-fA-F]{2}|u[\da-fA-F]{4}|U[\da-fA-F]{8}|(?:\r?\n[ \t]*)+|[\s\S])|[ \t]*(?:\r?\n[ \t]*)+/g,function(e,n){return null==n?$(e):/^[\r\n]/.test(n)?n.replace(/[^\n]/g,"").substr(1):function(e){switch(e[0]){case"0":return"\0";case"a":return"";case"b":return"\b";case"t":return"\t";case"n":return"\n";case"v":return"\v";case"f":return"\f";case"r":return"\r";case"e":return"";case"N":return"";case"_":return" ";case"L":return"\u2028";case"P":return"\u2029";case"x":case"u":case"U":{const n=parseInt(e.substr(1),16);if(n>65535){const e=n-65536;return String.fromCharCode(55296+(e>>10),56320+(1023&e))}return String.fromCharCode(n)}default:return e}}(n)})}function d(e,n,t,r,s){const o=parseInt(n,t);if(o>9007199254740991)switch(s){case"bigint":{const r=BigInt((16===t?"0x":8===t?"0o":2===t?"0b":"")+n);return"-"===e?-r:r}case"string":return r}return"-"===e?-o:o}function m(e,n){const t=/^([-+]?)(?:0x([\da-fA-F][\da-fA-F_]*)|0o([0-7][0-7_]*)|0b([01][01_]*)|(\d[\d_]*))$/.exec(e);if(!t)return;const r=t[2]?16:t[3]?8:t[4]?2:10,s=t[2]||t[3]||t[4]||t[5];return d(t[1],s.replace(/_/g,""),r,e,n)}function g(e,n){if("null"===e)return null;if(/^(?:y(?:es)?|true|on)$/i.test(e))return!0;if(/^(?:no?|false|off)$/i.test(e))return!1;const t=m(e,n);return void 0!==t?t:/^[-+]?(?:\.\d[\d_]*|\d[\d_]*(?:\.[\d_]*)?)(?:[eE][-+]?\d+)?$/.test(e)?parseFloat(e.replace(/_/g,"")):/^[-+]?\.(?:inf|Inf|INF)$/.test(e)?"-"===e[0]?-1/0:1/0:/^\.(?:nan|NaN|NAN)$/.test(e)?NaN:e}c.prototype=Object.create(SyntaxError.prototype),c.prototype.constructor=c;const y={legacy:g,core:function(e,n){return/^(?:null|Null|NULL|~)?$/.test(e)?null:!!/^(?:true|True|TRUE)$/.test(e)||!/^(?:false|False|FALSE)$/.test(e)&&(/^[-+]?\d+$/.test(e)?d(e.replace(/\d+$/,""),e.replace(/^[-+]/,""),10,e,n):/^0o[0-7]+$/.test(e)?d("",e.substr(2),8,e,n):/^0x[\da-fA-F]+$/.test(e)?d("",e.substr(2),16,e,n):/^[-+]?(?:\.\d+|\d+(?:\.\d*)?)(?:[eE][-+]?\d+)?$/.test(e)?parseFloat(e):/^[-+]?\.(?:inf|Inf|INF)$/.test(e)?"-"===e[0]?-1/0:1/0:/^\.(?:nan|NaN|NAN)$/.test(e)?NaN:e)},json:function(e,n){switch(e){case"null":return null;case"true":return!0;case"false":return!1}return/^-?(?:0|[1-9]\d*)$/.test(e)?d(e.replace(/\d+$/,""),e.replace(/^-/,""),10,e,n):/^-?(?:0|[1-9]\d*)(?:\.\d*)?(?:[eE][-+]?\d+)?$/.test(e)?parseFloat(e):e},failsafe:function(e){return e}};function b(e,n,t){if(!y.hasOwnProperty(e))throw new TypeError("unknown schema: "+e);if(!Array.isArray(n))throw new TypeError("invalid list of scalar resolvers");if(!/^(?:number|bigint|string)$/.test(t))throw new TypeError("invalid mode of handling unsafe integers: "+t);if("bigint"===t&&"function"!=typeof BigInt)throw new TypeError("BigInt is not supported by current runtime");const r=n.length;for(let e=0;e<r;e++){const t=n[e]||{};if(!(t.test instanceof RegExp||"function"==typeof t.test)||"function"!=typeof t.resolve)throw new TypeError("invalid scalar resolver")}const s=y[e];return function(e){for(let t=0;t<r;t++){const r=n[t].test;if("function"==typeof r?r(e):r.test(e))return n[t].resolve(e)}return s(e,t)}}function v(e){return"string"==typeof e?e:!e||"object"!=typeof e||Array.isArray(e)||D(e).length?null:""}const A={"!":function(e){return e},"tag:yaml.org,2002:str":function(e){const n=v(e);return null==n?a:n},"tag:yaml.org,2002:int":function(e,n){const t=v(e),r=null==t?void 0:m(t.trim(),n.unsafeIntegers);return void 0===r?a:r},"tag:yaml.org,2002:float":function(e){const n=v(e),t=null==n?void 0:g(n.trim());return"number"==typeof t?t:a},"tag:yaml.org,2002:bool":function(e){const n=v(e),t=null==n?void 0:g(n.trim());return"boolean"==typeof t?t:a},"tag:yaml.org,2002:null":function(e){const n=v(e);return null!=n&&/^(?:null|Null|NULL|~)?$/.test(n.trim())?null:a},"tag:yaml.org,2002:binary":function(e){const n=v(e);return null==n?a:function(e){const n=e.replace(/\s+/g,"");if(n.length%4||!/^[A-Za-z0-9+/]*={0,2}$/.test(n))return a;const t=n.replace(/=+$/,""),r=t.length,s=new Uint8Array(Math.floor(3*r/4));let o=0,i=0,l=0;for(let e=0;e<r;e++)o=65535&(o<<6|"ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/".indexOf(t[e])),(i+=6)>=8&&(i-=8,s[l++]=o>>i&255);return s}(n)},"tag:yaml.org,2002:seq":function(e){return Array.isArray(e)?e:a},"tag:yaml.org,2002:map":function(e){return e&&"object"==typeof e&&!Array.isArray(e)?e:a}};function E(e,n){const t=/^!<(.+)>$/.exec(e);if(t)return t[1];const r=/^!(?:[\w-]*!)?/.exec(e)[0],s=e.substr(r.length);return s&&n&&null!=n[r]?n[r]+s:"!!"===r&&s?"tag:yaml.org,2002:"+s:e}function k(e,n,t){const r=e.uri;if(t.tags.hasOwnProperty(e.name))return t.tags[e.name](n,e.name);if(t.tags.hasOwnProperty(r))return t.tags[r](n,e.name);A.hasOwnProperty(r)||u("tag",e.line,e.column);const s=A[r](n,t);return s===a&&u("cast",e.line,e.column),s}function N(e,n){const t=e.shift();if(!n.events||t.complexKey||t.withinKey||ee(t,(e[e.length-1]||t).end,n.events),t.tag&&(t.ref=k(t.tag,t.ref,n),e.length&&!t.detached&&x(e[0].ref,t.selector,t.ref)),n.reviver&&e.length&&!t.detached&&!t.withinKey){const r=e[0].ref;L(r,t.selector,n.reviver.call(r,t.selector,t.ref,t.pointer))}if(isNaN(t.depth)&&e.length&&e[0].complexKey&&!t.tag&&!D(t.ref).length&&(e[0].ref[0]=null),t.complexKey){const r=t.ref.length?t.ref[0]:null;e[0].explicitKey={name:n.maps?r:null==t.keySource?O(r):t.keySource,source:t.keySource,range:t.keyRange}}}function O(e){return e&&"object"==typeof e?ye(e,[]):String(e)}function w(e){const n=e.explicitKey.range;return{depth:e.depth,line:n.line,column:n.column,isProperty:!0,explicitValue:!0,value:null}}function L(e,n,t){void 0===t&&P(e)?e.delete(n):void 0!==t||Array.isArray(e)?x(e,n,t):delete e[n]}function x(e,n,t){P(e)?e.set(n,t):"__proto__"===n?Object.defineProperty(e,n,{value:t,writable:!0,enumerable:!0,configurable:!0}):e[n]=t}function _(e,n,t,r,s){const o=t.maps?typeof n+" "+O(n):O(n),i=e[o];if(!i)return e[o]={line:r,column:s},!0;switch(t.duplicateKeys){case"error":throw new c("exists",r,s,i);case"warn":return t.warnings.push(new c("exists",r,s,i)),!0;case"first":return!1;default:return!0}}function S(e){return e.names||(e.names=Object.create(null)),e.names}function C(e){return e.maps?new Map:e.nullPrototype?Object.create(null):{}}function I(e,n,t){if(l&&null!=t&&"string"!=typeof n&&P(e)){let r=l.get(e);r||(r=new Map,l.set(e,r)),r.set(n,t)}}function T(e,n){const t=l&&P(e)?l.get(e):null;return t&&t.has(n)?t.get(n):null}function P(e){return"function"==typeof Map&&e instanceof Map}function D(e){if(P(e)){const n=[];return e.forEach(function(e,t){n.push(t)}),n}return Object.keys(e)}function M(e,n){return P(e)?e.get(n):e[n]}function F(e,n,r,s){n.rejectUnsafeNames&&t.indexOf(String(e))>-1&&u("unsafe",r,s)}function U(e){const n=Array.isArray(e)?{tokens:e}:e||{},t=null==n.schema?"legacy":n.schema,o=null==n.resolvers?[]:n.resolvers,i=null==n.unsafeIntegers?"number":n.unsafeIntegers,a=null==n.tags?{}:n.tags,l=null==n.events?null:n.events,c=null==n.reviver?null:n.reviver,u=null==n.duplicateKeys?"last":n.duplicateKeys;if("object"!=typeof a||Object.keys(a).some(function(e){return"function"!=typeof a[e]}))throw new TypeError("invalid map of tag constructors");if(l&&("object"!=typeof l||Object.keys(l).some(function(e){return"function"!=typeof l[e]})))throw new TypeError("invalid map of event handlers");if(c&&"function"!=typeof c)throw new TypeError("invalid reviver");if(null!=n.positions&&("object"!=typeof n.positions||Array.isArray(n.positions)))throw new TypeError("invalid collector of positions");if(["error","warn","last","first"].indexOf(u)<0)throw new TypeError("invalid policy on duplicate keys");const f={};Object.keys(r).forEach(function(e){let t=n[e];if(null==t&&(t=(n.untrusted?s:r)[e]),"number"!=typeof t||!(t>=1)||isFinite(t)&&Math.floor(t)!==t)throw new TypeError("invalid limit "+e);f[e]=t});const p=b(t,o,i);return{tokens:n.tokens||[],cloneAliases:Boolean(n.cloneAliases),recover:Boolean(n.recover),errors:n.errors||[],warnings:n.warnings||[],positions:n.positions||null,comments:n.comments||null,schema:t,resolvers:o,unsafeIntegers:i,resolveScalar:p,versionResolvers:null==n.schema?{1.1:p,1.2:b("core",o,i)}:null,tags:a,events:l,reviver:c,nullPrototype:Boolean(n.nullPrototype),maps:Boolean(n.maps),rejectUnsafeNames:Boolean(n.rejectUnsafeNames),duplicateKeys:u,maxLength:f.maxLength,maxDepth:f.maxDepth,maxKeys:f.maxKeys,maxScalarLength:f.maxScalarLength}}function R(e){if(!e||"object"!=typeof e)return e;if(Array.isArray(e))return e.map(R);const n=P(e)?new Map:null===Object.getPrototypeOf(e)?Object.create(null):{},t=D(e),r=t.length;for(let s=0;s<r;s++)x(n,t[s],R(M(e,t[s]))),I(n,t[s],T(e,t[s]));return n}function j(e,n,t,r,s,o){const i=e[e.length-1].anchors[t];i||u("alias",s,o);const a=i.frame?e.indexOf(i.frame):-1;if(a>-1){const t=i.frame.depth;(isNaN(t)?e[a+1].depth<n:t<=n)&&u("recursion",s,o)}const l=i.frame?i.frame.ref:i.value,c=e[e.length-1];return isFinite(r.maxKeys)&&(c.numNodes+=function e(n,t){if(!n||"object"!=typeof n)return 0;const r=D(n);const s=r.length;let o=s;for(let i=0;i<s&&o<=t;i++)o+=e(M(n,r[i]),t-o);return o}(l,r.maxKeys-c.numNodes),c.numNodes>r.maxKeys&&u("limit",s,o)),r.cloneAliases?R(l):l}function K(e,n){return"string"==typeof e&&e.length>n.maxScalarLength}function V(e,n,t,r){const s=Array.isArray(n)?n:[n],o=s.length;for(let n=0;n<o;n++){const o=s[n];o&&"object"==typeof o&&!Array.isArray(o)||u("merge",t,r);const i=D(o),a=i.length;for(let n=0;n<a;n++)(P(e)?e.has(i[n]):Object.prototype.hasOwnProperty.call(e,i[n]))||(x(e,i[n],M(o,i[n])),I(e,i[n],T(o,i[n])))}}function $(e){return e.replace(/[ \t]*((?:\r?\n[ \t]*)+)/g,function(e,n){const t=n.replace(/[^\n]/g,"");return t.length>1?t.substr(1):" "})}function W(e){return"/"+O(e).replace(/~/g,"~0").replace(/\//g,"~1")}function G(e,n,t,r){return e?(e.endLine=n,e.endColumn=r,e):{line:n,column:t,endLine:n,endColumn:r}}function Q(e){return Array.isArray(e)||P(e)||Boolean(e&&"object"==typeof e&&[Object.prototype,null].indexOf(Object.getPrototypeOf(e))>-1)}function q(e,n,t,r){const s=r||[];if(Q(e)){const r=Array.isArray(e),o=r?e.map(function(e,n){return n}):D(e),i=o.length;for(let a=0;a<i;a++){const i=(t||"")+W(o[a]),l=G(null,n.line,n.column,n.endColumn);l.endLine=n.endLine,r||(l.key=G(null,n.line,n.column,n.endColumn),l.key.endLine=n.endLine),s.push({pointer:i,position:l}),q(M(e,o[a]),n,i,s)}}return s}function B(e,n,t,r){const s=C(r);return D(e).forEach(function(t){n.indexOf(t)<0&&x(s,t,M(e,t))}),q(s,t)}function H(e,n,t,r,s){const o=n.isProperty?n.keyRange:null,i=n.valueRange||o||G(null,n.line,n.column,n.column+1);if(null!==t||n.depth<0){const a=e[0].pointer+(null===t?"":W(t)),l=n.valueRange||G(null,i.endLine,i.endColumn,i.endColumn);o&&(l.key=o),s[a]=l,r&&(r.pointer=a,r.position=l);const c=null==n.alias?z(n.flowPositions):q(n.value,l),u=c.length;for(let e=0;e<u;e++)s[a+c[e].pointer]=c[e].position}const a=e.length;for(let t=0;t<a;t++){const r=e[t];r.position||(r.position={},s[r.pointer]=r.position),r.positioned||(r.position.line=n.line,r.position.column=n.column,r.positioned=!0),r.position.endLine=i.endLine,r.position.endColumn=i.endColumn}}function Y(e,n,t,r,s){if(!e.positions)return;const o=t||G(null,r.endLine,r.endColumn,r.endColumn);r&&(o.key=r),e.positions.push({pointer:n,position:o,nested:s})}function z(e){const n=[],t=e?[{positions:e,prefix:"",index:0}]:[];for(;t.length;){const e=t[t.length-1];if(e.index>=e.positions.length)t.pop();else{const r=e.positions[e.index++],s=e.prefix+r.pointer;n.push({pointer:s,position:r.position}),r.nested&&r.nested.length&&t.push({positions:r.nested,prefix:s,index:0})}}return n}function Z(e,n,t,r){e[n]&&e[n](t,r)}function J(e){return{line:e.line,column:e.column,endLine:e.endLine,endColumn:e.endColumn}}function X(e,n,t,r,s){e.started||(e.started=!0,Z(s,n?"onSequenceStart":"onMappingStart",{line:t,column:r}))}function ee(e,n,t){X(e,Array.isArray(e.ref),n.line,n.column,t),Z(t,"onEnd",{line:n.line,column:n.column})}function ne(e,n,t,r,s){const o=Array.isArray(e);if(!Q(e))return void Z(s,"onScalar",e,J(n));Z(s,o?"onSequenceStart":"onMappingStart",{line:n.line,column:n.column});const i=o?e.map(function(e,n){return n}):D(e),a=i.length;for(let l=0;l<a;l++){const a=r+W(i[l]),c=t[a]||n;o||Z(s,"onKey",i[l],J(c.key||c)),ne(M(e,i[l]),c,t,a,s)}Z(s,"onEnd",{line:n.endLine,column:n.endColumn})}function te(e,n,t,r){return{ref:e?[]:C(n),start:{line:t,column:r},text:"",hasValue:!1,value:void 0,hasKey:!1,key:void 0,anchor:null,tag:null,range:null,keyRange:null,keySource:null,sourceName:null,nested:null,positions:n.positions||n.events||n.reviver?[]:null,numNodes:0,names:Object.create(null)}}function re(e,n,t,r){let s;if(e.sourceName=null,e.hasValue)s=e.value;else{const o=$(e.text.trim());e.tag?s=o:""!==o&&(s=n&&!r.maps?o:(t.resolveScalar||r.resolveScalar)(o),n&&(e.sourceName=o))}return e.tag&&(s=k(e.tag,s,r)),null!=e.anchor&&(t.anchors[e.anchor]={value:void 0===s?null:s}),e.text="",e.hasValue=!1,e.value=void 0,e.anchor=null,e.tag=null,e.range=null,e.nested=null,s}function se(e,n,t,r,s,o){const i=Array.isArray(e.ref),a=e.range,l=e.nested,c=re(e,!i&&!e.hasKey,t,r);if((K(c,r)||e.hasKey&&K(e.key,r))&&u("limit",s,o),e.hasKey){const n=e.key,t=e.keyRange,u=e.keySource,f=void 0===c?null:c;if(e.hasKey=!1,e.key=void 0,e.keyRange=null,e.keySource=null,F(n,r,t.line,t.column),i){const s=C(r);if(x(s,n,f),I(s,n,u),e.positions){const r=W(e.ref.length),s=a||t;e.positions.push({pointer:r,position:{line:t.line,column:t.column,endLine:s.endLine,endColumn:s.endColumn}}),Y(e,r+W(n),a,t,l)}e.numNodes+=2,e.ref.push(s)}else if("<<"!==n||e.quotedKey)_(e.names,n,r,t.line,t.column)&&(Y(e,W(n),a,t,l),e.numNodes++,x(e.ref,n,f),I(e.ref,n,u));else{const n=D(e.ref);V(e.ref,f,s,o),r.positions&&a&&B(e.ref,n,a,r).forEach(function(n){e.positions.push(n)})}}else if(void 0===c)n||u("character",s,o);else if(i)Y(e,W(e.ref.length),a,null,l),e.numNodes++,e.ref.push(c);else if("object"==typeof c&&c)u("character",s,o);else{F(c,r,a.line,a.column);const n=r.maps?c:String(c);_(e.names,n,r,a.line,a.column)&&(Y(e,W(c),null,a,null),e.numNodes++,x(e.ref,n,null),I(e.ref,n,e.sourceName))}}function oe(e){let n="";for(let t=0;t<e;t++)n+=" ";return n}function ie(e){return'"'+e.replace(/[\\"]|[^ -\uffff]/g,function(e){switch(e){case"\n":return"\\n";case"\t":return"\\t";case"\f":return"\\f";case"\v":return"\\v";case"\r":return"\\r";case"\\":return"\\\\";case'"':return'\\"';default:return"\\x"+(e.charCodeAt(0)<16?"0":"")+e.charCodeAt(0).toString(16)}})+'"'}function ae(e,n){return n&&"string"==typeof e&&g(e)!==e?ie(e):(t=O(e),/^[a-zA-Z0-9_$][a-zA-Z0-9_$./+-]*$/.test(t)?t:ie(t));var t}function le(e,n,t,r){const s=""===n?"":n+" ";switch(typeof e){case"boolean":return void r.push(s+(e?"true":"false"));case"bigint":return void r.push(s+String(e));case"number":return void(isFinite(e)?r.push(s+(0===e&&1/e<0?"-0":String(e))):r.push(s+"null"));case"string":break;default:return void r.push(s+"null")}if(/\n/.test(e)&&/^\S/.test(e)&&!/[\r\0-\x08\x0b-\x1f]|(^|\n)[ \t]+(\n|$)/.test(e.replace(/\n+$/,""))){const n=/\n*$/.exec(e)[0].length,o=e.replace(/\n$/,"").split("\n"),i=o.length;r.push(s+(n>1?"|+":n?"|":"|-"));for(let e=0;e<i;e++)r.push(""===o[e]?"":t+o[e])}else""===e||e!==e.trim()||g(e)!==e||/^[-'"|>[\]{}&*!%@`,?]|[:#\0-\x1f]/.test(e)?r.push(s+ie(e)):r.push(s+e)}function ce(e){return e&&"function"==typeof e.toJSON?e.toJSON():e}function ue(e){if(Array.isArray(e))return e.map(ue);if(!e||"object"!=typeof e)return e;const n=Object.getPrototypeOf(e);if(!P(e)&&n!==Object.prototype&&null!==n)return e;const t=null===n?Object.create(null):{},r=D(e),s=r.length;for(let n=0;n<s;n++){const s=T(e,r[n]);x(t,null==s?O(r[n]):s,ue(M(e,r[n])))}return t}function fe(e,n,t,r,s){if(!e||"object"!=typeof e)return void le(e,"",n+t.indent,s);if(r.indexOf(e)>-1)throw new TypeError("converting circular structure to YAML");const o=r.concat([e]);if(Array.isArray(e)){const r=e.length,i=Math.max(t.indent.length,2),a=n+oe(i);for(let l=0;l<r;l++){let r=ce(e[l]);if(void 0!==r&&"function"!=typeof r||(r=null),r&&"object"==typeof r)if(Array.isArray(r)?r.length:D(r).length){const e=s.length;fe(r,a,t,o,s),s[e]=n+"-"+oe(i-1)+s[e].substr(a.length)}else s.push(n+(Array.isArray(r)?"- []":"- {}"));else le(r,n+"-",a,s)}return}const i=D(e);t.sortKeys&&i.sort("function"==typeof t.sortKeys?t.sortKeys:void 0);const a=i.length,l=n+t.indent;for(let r=0;r<a;r++){const a=i[r],c=ce(M(e,a));if(void 0!==c&&"function"!=typeof c){const r=n+ae(a,P(e))+":";c&&"object"==typeof c?(Array.isArray(c)?c.length:D(c).length)?(s.push(r),fe(c,l,t,o,s)):s.push(r+(Array.isArray(c)?" []":" {}")):le(c,r,l,s)}}}function pe(e,n,t,r){const s=[],o=he(e,t,r,{document:function(e){s.push(e)}});return o.write(n),o.end(),s}function he(n,t,r,s){const a={line:1,offset:0};let l,d="",m=0,g=0,y=0,b=0,v=t.warnings.length,A=V(),O=!1,L=e.LEADING_SPACE,x=null,_=1,S=1,I=0,T=0,P=0,D=0,F=-1,U=null,R=null,K=null;function V(){const e=function(e,n){return[{depth:0,selector:null,ref:C(n),anchors:Object.create(null),pointer:e,numNodes:0}]}(r?"":"/"+y,t);return s.entry&&(l=void 0,e[0].onEntry=function(n){const t=e[0].ref;void 0!==l&&s.entry(M(t,l),l,y),l=n.complexKey?void 0:n.isArrayItem?Array.isArray(t)?t.length:0:"<<"!==n.propertyName||n.quotedName?n.propertyName:void 0}),e}function $(){if(O=!0,r&&y&&u("document",_,S),K){const e=A[A.length-1];e.handles=K.handles,K.version&&t.versionResolvers&&(e.resolveScalar=t.versionResolvers[/^1\.[01]$/.test(K.version)?"1.1":"1.2"]),K=null}}function W(e,n){const r=e.trim().split(/\s+/);switch(K||(K={line:_,column:n,version:null,handles:Object.create(null)}),r[0]){case"%YAML":{const e=/^(\d+)\.\d+$/.exec(r[1]);2===r.length&&e&&!K.version||u("directive",_,n),"1"!==e[1]&&u("version",_,n),/^1\.[012]$/.test(r[1])||t.warnings.push(new c("version",_,n)),K.version=r[1];break}case"%TAG":3===r.length&&/^!(?:[\w-]*!)?$/.test(r[1])&&null==K.handles[r[1]]||u("directive",_,n),K.handles[r[1]]=r[2];break;default:t.warnings.push(new c("directive",_,n))}}function Q(){for(x&&(x.folded||x.pending)&&B();A.length>1||A[0].explicitKey;)try{A[0].explicitKey?n.consume(w(A[0]),A,t.tokens,t):N(A,t)}catch(e){H(e,!0)}if(O){const e=A[0];let n=e.numNodes?e.ref:null;if(e.tag&&!e.hasValue)try{n=k(e.tag,e.ref,t)}catch(e){H(e,!0)}t.events&&(e.numNodes?e.hasValue||ee(e,e.end||{line:_,column:S},t.events):Z(t.events,"onScalar",null,J(G(null,_,S,S)))),s.entry&&void 0!==l&&s.entry(M(n,l),l,y),t.reviver&&(n=t.reviver.call({"":n},"",n,A[0].pointer)),s.document(n,y++)}x=null,A=V(),O=!1,b=a.offset+D}function B(){try{n.consume(x,A,t.tokens,t)}catch(e){H(e,!0)}x=null}function H(n,r){if(!(t.recover&&n instanceof c&&"limit"!==n.code))throw n;if(t.errors.push(f(n,d,a)),x=null,!r){switch(D<m?d[D]:"\n"){case"\r":L=e.LF;break;case"\n":L=e.LEADING_SPACE,I=D+1,D<m&&(_++,S=0);break;default:L=e.COMMENT}D++,S++}}function Y(e){return S-D+e}function z(e){return x.depth<0&&null!=x.value&&e<x.foldedIndentation}function X(){const e=d.indexOf("\n",D),n=d.substring(D,e<0?m:e);return/^-|^[?:](?:\s|$)|^(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*')\s*:|^[^\s#&*!|>[{'"%@`](?:\S|\s+(?=[^\s#]))*?:/.test(n)}function ne(){if(D+1>=m||/\s/.test(d[D+1]))return!1;const e=d.indexOf("\n",D);if(!/^(?:\S|\s+(?=[^\s#]))*?:(?:\s|$)/.test(d.substring(D,e<0?m:e)))return!1;if(isNaN(A[0].depth))return!1;for(let e=0;e<A.length;e++){const n=A[e];if(n.depth<=P)return n.depth===P&&!Array.isArray(n.ref)}return!1}function ie(){if(D+1>=m||/\s/.test(d[D+1]))return!0;const e=d.indexOf("\n",D);return!/:(?:\s|$)/.test(d.substring(D+1,e<0?m:e))}function ae(){x={depth:-1,line:_,column:S},I=D,L=e.VALUE,D--,S--}function le(e){const n=d.substring(e,D),t=e+n.search(/\S|$/),r=e+n.replace(/\s+$/,"").length;r>t&&(x.valueRange=G(x.valueRange,_,Y(t),Y(r)))}function ce(e,n){e.range=G(e.range,_,S,n)}function ue(n){H(n,!0),L=e.LEADING_SPACE,I=F,F=-1,D--,S--}function fe(e){L=e,t.comments&&(R={offset:D,line:_,column:S,inline:/\S/.test(d.substring(D-S+1,D))})}function pe(){R&&(t.comments.push({text:d.substring(R.offset,D).replace(/\r$/,""),line:R.line,column:R.column,inline:R.inline}),R=null)}function he(){le(I),x.value+=(x.breaks>1?oe(x.breaks-1).replace(/ /g,"\n"):" ")+d.substring(I,D).trim(),x.breaks=0}function de(){for(;D<g;D++,S++){const s=D<m?d[D]:"\n";switch(L){case e.LEADING_SPACE:switch(s){case" ":case"\t":break;case"\r":case"\n":x&&x.folded&&null==x.value&&!x.indentationIndicator&&(x.blankIndentation=Math.max(x.blankIndentation||0,D-I)),"\r"===s?L=e.LF:I=D+1;break;case"#":if(!x||!x.folded||D-I<=x.depth||z(D-I)){x&&(x.pending||x.folded)&&B(),fe(e.COMMENT);break}default:if(0===(P=D-(T=I))&&("-"===s||"."===s)&&d.substr(D,3)===s+s+s&&/^\s?$/.test(d.charAt(D+3))){Q(),"-"===s&&$(),D+=2,S+=2,L=e.MARKER;break}if(x)if(x.folded){if(P>x.depth&&!z(P)){const n=Math.max(x.depth,0);P<n+x.indentationIndicator&&u("indentation",_,S),null==x.value&&(x.blankIndentation>P&&u("folded",_,S),x.foldedIndentation=x.indentationIndicator||P-n),I+=n,L=e.FOLDED_VALUE;break}B()}else if(x.pending){if(P>x.depth){L=e.PLAIN_CONTINUATION,I=D,D--,S--;break}B()}if(!O){if("%"===s&&0===P){L=e.DIRECTIVE,I=D;break}K&&(K=null,u("directive",_,S)),$()}if(1===A.length&&!A[0].numNodes&&!X()){ae();break}if(A.length>1&&isNaN(A[0].depth)&&P>A[1].depth&&!X()){x={depth:A[1].depth,nestedValue:!0,line:_,column:S},I=D,L=e.VALUE,D--,S--;break}switch(x={depth:P,line:_,column:S},I=D,s){case"'":case'"':L=e.QUOTED_NAME,U={line:_,column:S};break;case"-":ne()?(L=e.NAME,D--,S--):L=e.GOT_DASH;break;case"!":case"&":u("character",_,S);break;case"?":case":":if(D+1>=m||/\s/.test(d[D+1])){"?"===s?(x.complexKey=!0,L=e.GOT_DASH):(x.isProperty=!0,x.explicitValue=!0,L=e.VALUE,I=D+1);break}default:L=e.NAME,D--,S--}}break;case e.GOT_DASH:if(!/\s/.test(s)&&(x.isProperty||x.isArrayItem&&/[\d.]/.test(s)))L=e.VALUE;else{if(x.isArrayItem||x.isProperty){const e=d.substring(I,D);x.value=x.isArrayItem?i:o,n.consume(x,A,t.tokens,t),x={depth:x.depth+1+e.match(/^\s*/)[0].length,isArrayItem:!0,line:_,column:S-1}}else x.isArrayItem=!0;switch(s){case"\r":x.value=o,n.consume(x,A,t.tokens,t),L=e.LF;break;case"\n":x.value=i,n.consume(x,A,t.tokens,t),L=e.LEADING_SPACE,I=D+1;break;case" ":case"\t":default:L=e.VALUE,I=D}}break;case e.LF:"\n"!==s&&u("linebreak",_,S),L=e.LEADING_SPACE,I=D+1;break;case e.NAME:switch(s){case":":if(!ie())break;x.isProperty=!0,x.propertyName=d.substring(I,D).trim(),x.keyRange=G(null,_,x.column,Y(I+x.propertyName.length)),L=e.VALUE,I=D+1;break;case"\r":case"\n":u("linebreak",_,S);break;case"#":/\s/.test(d[D-1])&&u("comment",_,S)}break;case e.QUOTED_NAME:switch(s){case"\\":'"'===d[I]&&(L=e.ESCAPED_QUOTED_NAME);break;case"\r":case"\n":u("quote",U.line,U.column);break;case d[I]:if("'"===s&&"'"===d[D+1]){L=e.ESCAPED_QUOTED_NAME;break}x.isProperty=!0,x.quotedName=!0,x.propertyName=h(d.substring(I+1,D),s),x.keyRange=G(null,_,x.column,S+1),L=e.COLON}break;case e.ESCAPED_QUOTED_NAME:switch(s){case"\r":case"\n":u("linebreak",_,S);break;default:'"'!==d[I]||p(d,D)||u("escape",_,S-1),L=e.QUOTED_NAME}break;case e.COLON:switch(s){case":":L=e.VALUE,I=D+1;break;case" ":case"\t":break;case"\r":case"\n":u("linebreak",_,S);break;case"#":u("comment",_,S);break;default:u("character",_,S)}break;case e.VALUE:switch(s){case"&":case"*":/\S/.test(d.substring(I,D))||null!=x.anchor||("*"===s&&x.tag&&u("character",_,S),x.valueRange=G(x.valueRange,_,S,S+1),L="&"===s?e.ANCHOR:e.ALIAS,I=D+1);break;case"!":/\S/.test(d.substring(I,D))||x.tag||(x.valueRange=G(x.valueRange,_,S,S+1),L=e.TAG,I=D);break;case"[":case"{":/\S/.test(d.substring(I,D))||(x.valueRange=G(x.valueRange,_,S,S+1),x.flow=[te("["===s,t,_,S)],x.flowDepth=1,L="["===s?e.FLOW_SEQUENCE:e.FLOW_MAPPING);break;case"#":le(I),x.value=d.substring(I,D).trim(),/^[|>]/.test(x.value)&&!/\s/.test(d[D-1])&&u("folded",_,S),fe(e.COMMENT);break;case"'":case'"':/\S/.test(d.substring(I,D))||(x.valueRange=G(x.valueRange,_,S,S+1),L=e.QUOTED_VALUE,I=D,x.quotedValue={line:_,column:S},U=x.quotedValue);break;case"\r":le(I),x.value=d.substring(I,D).trim(),""===x.value&&(x.value=o),L=e.LF;break;case"\n":le(I),x.value=d.substring(I,D).trim(),""===x.value&&(x.value=o),L=e.LEADING_SPACE,I=D+1;break;case":":if((x.depth<0||x.nestedValue)&&(D+1>=m||/\s/.test(d[D+1]))&&u("character",_,S),(x.isArrayItem||x.isProperty)&&(D+1>=m||/\s/.test(d[D+1]))){const e=d.substring(I,D),r=e.trim();if(/^[^\s#&*!|>[\]{}'"%@`,]/.test(r)&&!/\s#/.test(r)){x.value=o,n.consume(x,A,t.tokens,t);const s=Y(I)+e.match(/^\s*/)[0].length;x={depth:x.depth+1+e.match(/^\s*/)[0].length,isProperty:!0,propertyName:r,line:_,column:s,keyRange:G(null,_,s,s+r.length)},I=D+1}}break;case"-":if(x.isArrayItem||x.isProperty){d.substring(I,D).trim().length||(L=e.GOT_DASH)}break;case"?":if(x.isArrayItem&&!x.complexKey&&(D+1>=m||/\s/.test(d[D+1]))){const r=d.substring(I,D);/\S/.test(r)||null!=x.anchor||x.tag||(x.value=o,n.consume(x,A,t.tokens,t),x={depth:x.depth+1+r.match(/^\s*/)[0].length,complexKey:!0,line:_,column:S},L=e.GOT_DASH,I=D)}}if("string"==typeof(r=x.value)&&/^[|>](?:[1-9]?[+-]?|[+-][1-9])$/.test(r)){const e=/\d/.exec(x.value);x.folded=x.value,x.indentationIndicator=e?Number(e[0]):0,x.leadingBreaks=-1,x.value=null}else"string"==typeof x.value&&/^[|>]/.test(x.value)&&u("folded",x.valueRange.line,x.valueRange.column);switch(x.value){case null:case void 0:break;case"":x.value=o;default:if(("\r"===s||"\n"===s)&&x.value!==o){x.pending=!0;break}n.consume(x,A,t.tokens,t),x=null}break;case e.QUOTED_VALUE:if(F>-1&&!/\s/.test(s)){if(D-F<=x.depth){ue(new c("quote",U.line,U.column));break}F=-1}switch(s){case"\\":'"'===d[I]&&(L=e.ESCAPED_QUOTED_VALUE);break;case"\n":F=D+1;break;case d[I]:if("'"===s&&"'"===d[D+1]){L=e.ESCAPED_QUOTED_VALUE;break}x.value=h(d.substring(I+1,D),s),x.valueRange=G(x.valueRange,_,S,S+1),L=e.LINEBREAK,I=D+1}break;case e.ESCAPED_QUOTED_VALUE:'"'!==d[I]||p(d,D)||u("escape",_,S-1),"\n"===s&&(F=D+1),L=e.QUOTED_VALUE;break;case e.FOLDED_VALUE:{let n=!1;switch(s){case"\r":n=!0;case"\n":{const t=d.substr(I,x.foldedIndentation);let r=d.substring(I+x.foldedIndentation,D);const s=/\S/.exec(t);if(s){const e=x.foldedIndentation-s.index;let n="";for(let t=0;t<e;t++)n+=" ";x.value=x.value.replace(/(^|\n(?=\s*\S))/g,"$1"+n),x.foldedIndentation=s.index,r=t.substr(s.index)+r}x.value=(null==x.value?oe(x.leadingBreaks).replace(/ /g,"\n"):x.value)+r,le(I),n?L=e.LF:(L=e.LEADING_SPACE,I=D+1);break}}break}case e.PLAIN_CONTINUATION:switch(s){case"#":/\s/.test(d[D-1])&&(he(),n.consume(x,A,t.tokens,t),x=null,fe(e.COMMENT));break;case":":/\s/.test(d[D+1]||"\n")&&(n.consume(x,A,t.tokens,t),x=null,u("indentation",_,Y(I)));break;case"\r":he(),L=e.LF;break;case"\n":he(),L=e.LEADING_SPACE,I=D+1}break;case e.FLOW_SEQUENCE:case e.FLOW_MAPPING:{const n=x.flow[x.flow.length-1];if(F>-1&&!/\s/.test(s)){if(D-F<=x.depth&&!/[\]}#]/.test(s)){ue(new c("bracket",n.start.line,n.start.column));break}F=-1}switch(s){case"[":case"{":(n.hasValue||/\S/.test(n.text))&&u("character",_,S),x.flow.length+2>t.maxDepth&&u("limit",_,S),ce(n,S+1),x.flow.push(te("["===s,t,_,S)),x.flowDepth=Math.max(x.flowDepth,x.flow.length),L="["===s?e.FLOW_SEQUENCE:e.FLOW_MAPPING;break;case"]":case"}":if("]"===s!=(L===e.FLOW_SEQUENCE)&&u("character",_,S),se(n,!0,A[A.length-1],t,_,S),x.flow.pop(),x.flow.length){const t=x.flow[x.flow.length-1];t.hasValue=!0,t.value=n.ref,t.nested=n.positions,t.numNodes+=n.numNodes,ce(t,S+1),L=Array.isArray(t.ref)?e.FLOW_SEQUENCE:e.FLOW_MAPPING}else x.flow=null,x.value=n.ref,x.flowPositions=n.positions,x.flowNodes=n.numNodes,x.valueRange=G(x.valueRange,_,S,S+1),L=e.LINEBREAK;break;case",":se(n,!1,A[A.length-1],t,_,S);break;case":":if(n.hasValue||/[\s,[\]{}]/.test(d[D+1]||"\n")){n.hasKey&&u("character",_,S);const e=n.hasValue,r=n.range,s=re(n,!0,A[A.length-1],t);(void 0===s||"object"==typeof s&&s)&&u("character",_,S),n.hasKey=!0,n.key=s,n.keyRange=r,n.keySource=n.sourceName,n.quotedKey=e}else ce(n,S+1),n.text+=s;break;case"'":case'"':ce(n,S+1),n.hasValue||/\S/.test(n.text)?n.text+=s:(L=e.FLOW_QUOTED,I=D,U={line:_,column:S});break;case"&":case"*":ce(n,S+1),n.hasValue||/\S/.test(n.text)||"&"===s&&null!=n.anchor?n.text+=s:("*"===s&&n.tag&&u("character",_,S),L="&"===s?e.FLOW_ANCHOR:e.FLOW_ALIAS,I=D+1);break;case"!":ce(n,S+1),n.hasValue||/\S/.test(n.text)||n.tag?n.text+=s:(L=e.FLOW_TAG,I=D);break;case"#":/(^|\s)$/.test(n.text)?fe(e.FLOW_COMMENT):(ce(n,S+1),n.text+=s);break;case"\r":break;case"\n":n.text+=s,F=D+1;break;default:/\s/.test(s)||(n.hasValue&&u("character",_,S),ce(n,S+1)),n.text+=s}break}case e.FLOW_QUOTED:if(F>-1&&!/\s/.test(s)){if(D-F<=x.depth){ue(new c("quote",U.line,U.column));break}F=-1}switch(s){case"\\":'"'===d[I]&&(L=e.ESCAPED_FLOW_QUOTED);break;case"\n":F=D+1;break;case d[I]:{if("'"===s&&"'"===d[D+1]){L=e.ESCAPED_FLOW_QUOTED;break}const n=x.flow[x.flow.length-1];n.hasValue=!0,n.value=h(d.substring(I+1,D),s),ce(n,S+1),L=Array.isArray(n.ref)?e.FLOW_SEQUENCE:e.FLOW_MAPPING;break}}break;case e.ESCAPED_FLOW_QUOTED:'"'!==d[I]||p(d,D)||u("escape",_,S-1),"\n"===s&&(F=D+1),L=e.FLOW_QUOTED;break;case e.FLOW_COMMENT:if("\n"===s){const n=x.flow[x.flow.length-1];pe(),n.text+=s,F=D+1,L=Array.isArray(n.ref)?e.FLOW_SEQUENCE:e.FLOW_MAPPING}break;case e.ANCHOR:case e.ALIAS:case e.TAG:switch(s){case" ":case"\t":case"\r":case"\n":{const r=d.substring(I,D);if(""===r&&u("character",_,S),L===e.ALIAS){if(x.alias=r,x.valueRange=G(x.valueRange,_,S,S)," "===s||"\t"===s){L=e.LINEBREAK;break}}else{if(L===e.ANCHOR?x.anchor=r:x.tag={name:r,uri:E(r,A[A.length-1].handles),line:_,column:S-r.length}," "===s||"\t"===s){L=e.VALUE,I=D;break}x.value=o}n.consume(x,A,t.tokens,t),x=null,"\r"===s?L=e.LF:(L=e.LEADING_SPACE,I=D+1);break}case"[":case"]":case"{":case"}":case",":L===e.TAG&&/^!<[^>]*$/.test(d.substring(I,D))||u("character",_,S)}break;case e.FLOW_ANCHOR:case e.FLOW_ALIAS:case e.FLOW_TAG:if(/\s/.test(s)||/[,[\]{}]/.test(s)&&(L!==e.FLOW_TAG||!/^!<[^>]*$/.test(d.substring(I,D)))){const n=x.flow[x.flow.length-1],r=d.substring(I,D);if(""===r&&u("character",_,S),L===e.FLOW_ANCHOR)n.anchor=r;else if(L===e.FLOW_TAG)n.tag={name:r,uri:E(r,A[A.length-1].handles),line:_,column:S-r.length};else{ce(n,S);const e=S-r.length-1;let s=x.anchor===r;for(let e=0;e<x.flow.length;e++)s=s||x.flow[e].anchor===r;s&&u("recursion",_,e),n.hasValue=!0,n.value=j(A,x.depth,r,t,_,e),t.positions&&(n.nested=q(n.value,n.range))}L=Array.isArray(n.ref)?e.FLOW_SEQUENCE:e.FLOW_MAPPING,"\n"===s?n.text+=s:(D--,S--)}break;case e.MARKER:switch(s){case" ":case"\t":break;case"\r":L=e.LF;break;case"\n":L=e.LEADING_SPACE,I=D+1;break;case"#":fe(e.COMMENT);break;default:O&&!X()||u("character",_,S),ae()}break;case e.DIRECTIVE:switch(s){case"#":if(!/\s/.test(d[D-1]))break;W(d.substring(I,D),Y(I)),fe(e.COMMENT);break;case"\r":W(d.substring(I,D),Y(I)),L=e.LF;break;case"\n":W(d.substring(I,D),Y(I)),L=e.LEADING_SPACE,I=D+1}break;case e.COMMENT:switch(s){case"\r":pe(),L=e.LF;break;case"\n":pe(),L=e.LEADING_SPACE,I=D+1}break;case e.LINEBREAK:switch(s){case" ":case"\t":break;case"\r":n.consume(x,A,t.tokens,t),x=null,L=e.LF;break;case"\n":n.consume(x,A,t.tokens,t),x=null,L=e.LEADING_SPACE,I=D+1;break;case"#":n.consume(x,A,t.tokens,t),x=null,fe(e.COMMENT);break;case":":{const r=x.quotedValue;if(x.isArrayItem&&r&&r.line===_&&null==x.anchor&&!x.tag){const s=x.value,i=G(null,_,r.column,x.valueRange.endColumn);x.value=o,n.consume(x,A,t.tokens,t),x={depth:r.column-1,isProperty:!0,quotedName:!0,propertyName:s,line:_,column:r.column,keyRange:i},L=e.VALUE,I=D+1;break}u("character",_,S);break}default:u("character",_,S)}}"\n"===s&&me(),"\n"===s&&D<m&&(x&&x.folded&&(null==x.value?x.leadingBreaks++:x.value+="\n"),x&&x.pending&&(x.breaks=(x.breaks||0)+1),_++,S=0)}var r}function me(){const e=b+t.maxLength;a.offset+Math.min(D+1,m)>e&&u("limit",_,S-(a.offset+D-e))}function ge(){for(;D<g;)try{de()}catch(e){H(e)}}function ye(){for(;v<t.warnings.length;v++)f(t.warnings[v],d,a)}function be(){g=m+1,ge();try{!function(){if(K){const e=K;K=null,u("directive",e.line,e.column)}switch(L){case e.VALUE:switch(x.value=d.substring(I).trim(),/^[|>]/.test(x.value)&&u("folded",_,S-1),x.value){case"":x.value=o;default:n.consume(x,A,t.tokens,t),x=null}break;case e.LINEBREAK:n.consume(x,A,t.tokens,t),x=null;break;case e.LEADING_SPACE:case e.MARKER:case e.COMMENT:break;case e.FLOW_SEQUENCE:case e.FLOW_MAPPING:case e.FLOW_COMMENT:{const e=x.flow[x.flow.length-1].start;u("bracket",e.line,e.column);break}case e.QUOTED_NAME:case e.ESCAPED_QUOTED_NAME:case e.QUOTED_VALUE:case e.ESCAPED_QUOTED_VALUE:case e.FLOW_QUOTED:case e.ESCAPED_FLOW_QUOTED:u("quote",U.line,U.column);break;default:u("eof",_,S-1)}}()}catch(e){H(e)}try{Q()}catch(e){H(e),Q()}}return{write:function(e){m=(d+=e).length,g=d.lastIndexOf("\n")+1;try{ge(),a.offset+m>b+t.maxLength&&u("limit",_,b+t.maxLength-a.offset-g+1)}catch(e){throw e instanceof c?f(e,d,a):e}finally{ye()}!function(){let e=Math.min(D,I,T);F>-1&&(e=Math.min(e,F)),R&&(e=Math.min(e,R.offset)),(e=e>0?d.lastIndexOf("\n",e-1)+1:0)>0&&(a.line+=d.substr(0,e).split("\n").length-1,a.offset+=e,d=d.substr(e),m-=e,g-=e,D-=e,I-=e,T-=e,F>-1&&(F-=e),R&&(R.offset-=e))}()},end:function(){try{be()}catch(e){throw e instanceof c?f(e,d,a):e}finally{ye()}}}}function de(e){if(Array.isArray(e))return e.map(String);if("string"!=typeof e||""!==e&&"/"!==e[0])throw new TypeError("invalid path");return""===e?[]:e.substr(1).split("/").map(function(e){return e.replace(/~1/g,"/").replace(/~0/g,"~")})}function me(e){return e.map(W).join("")}function ge(e,n){let t=e;for(let e=0;e<n.length;e++){if(!t||"object"!=typeof t||!Object.prototype.hasOwnProperty.call(t,n[e]))return;t=t[n[e]]}return t}function ye(e,n){const t=ce(e);if(!t||"object"!=typeof t){const e=[];return le(void 0===t||"function"==typeof t?null:t,"","",e),e.length>1||/^[|>]|[,[\]{}]/.test(e[0])?ie(t):e[0]}if(n.indexOf(t)>-1)throw new TypeError("converting circular structure to YAML");const r=n.concat([t]);if(Array.isArray(t))return t.length?"[ "+t.map(function(e){return ye(e,r)}).join(", ")+" ]":"[]";const s=D(t).filter(function(e){const n=M(t,e);return void 0!==n&&"function"!=typeof n});return s.length?"{ "+s.map(function(e){return ae(e,P(t))+": "+ye(M(t,e),r)}).join(", ")+" }":"{}"}function be(e,n){const t=U(e.options),r=t.positions={},s=t.comments=[],o=pe(e.parser,n,t,!0),i=[0];for(let e=n.indexOf("\n");e>-1;e=n.indexOf("\n",e+1))i.push(e+1);e.code=n,e.data=o.length?o[0]:null,e.positions=r,e.comments=s,e.lineOffsets=i,e.lineBreak=/\r\n/.test(n)?"\r\n":"\n"}function ve(e,n,t){return Math.min(e.lineOffsets[n-1]+t-1,e.code.length)}function Ae(e,n){const t=e.code.indexOf("\n",n);return t<0?e.code.length:t+1}function Ee(e,n){const t=e.positions[me(n)];if(!t)return null;const r=ge(e.data,n);switch(e.code.substring(ve(e,t.line,t.column),ve(e,t.endLine,t.endColumn)).replace(/^(?:[&!]\S*[ \t]+)+/,"")[0]){case'"':return"double";case"'":return"single";case"|":return"literal";case">":return"folded";case"*":return"alias";case"[":case"{":return"flow";default:return r&&"object"==typeof r?"block":"plain"}}function ke(e,n){for(let t=0;t<n.length;t++)if("flow"===Ee(e,n.slice(0,t)))return!0;return!1}function Ne(e,n){const t=e.positions[me(n)];if(t.key)return ve(e,t.key.line,t.key.column);const r=e.code;let s=ve(e,t.line,t.column)-1;for(;s>0&&/\s/.test(r[s]);)s--;return"-"===r[s]?s:ve(e,t.line,t.column)}function Oe(e,n){const t=e.comments,r=[];let s=n-1;for(let e=t.length-1;e>=0;e--){const n=t[e];if(n.line<s)break;if(n.line===s){if(n.inline)break;r.unshift(n),s--}}return r}function we(e,n,t,r){const s="\n"===e.lineBreak?r:r.replace(/\n/g,e.lineBreak);be(e,e.code.substr(0,n)+s+e.code.substr(t))}function Le(e,n,t){const r=e.code,s=e.positions[me(n)],o=Ee(e,n),i=ce(t),a=i&&"object"==typeof i,l={indent:"  "};let c=ve(e,s.line,s.column),u=ve(e,s.endLine,s.endColumn);if(!n.length)return void we(e,c,u,"flow"===o?ye(i,[]):e.parser.stringify(i).replace(/\n$/,""));if("block"!==o&&(c+=/^(?:[&!]\S*[ \t]+)*/.exec(r.substring(c,u))[0].length),"string"==typeof i&&!/[\r\n]/.test(i)&&("double"===o||"single"===o))return void we(e,c,u,"double"===o?ie(i):"'"+i.replace(/'/g,"''")+"'");if(ke(e,n)||"flow"===o&&a)return void we(e,c,u,ye(i,[]));const f=[];if(s.key){const n=r.indexOf(":",ve(e,s.key.endLine,s.key.endColumn))+1,t=oe(s.key.column-1);if(c="block"===o||a&&Object.keys(i).length?n:Math.max(c,n),u=Math.max(c,u),a&&!Object.keys(i).length)f.push(Array.isArray(i)?"[]":"{}");else if(a){const e=r.substring(u).search(/\r?\n|$/)+u,n=s.endLine===s.key.line?/^[ \t]+#.*$/.exec(r.substring(u,e)):null;n?(f.push(n[0]),u=e):f.push(""),fe(i,t+l.indent,l,[],f)}else le(void 0===i||"function"==typeof i?null:i,"",t+l.indent,f);return void we(e,c,u,(c!==n||/^(?:$|[ \t]+#)/.test(f[0])?"":" ")+f.join("\n"))}const p=Ne(e,n),h=oe(p-e.lineOffsets[s.line-1]);"block"!==o&&"-"!==r[p]||(c=p+1),fe([t],h,l,[],f),we(e,c,u,f.join("\n").substr(h.length+(c===p+1?1:2)))}function xe(e,n){const t=e.lineOffsets;let r=1;for(;r<t.length&&t[r]<=n;)r++;return r}function _e(e,n,t){if("string"!=typeof n)throw new TypeError("invalid or missing code to be parsed");if(this.parser=e,this.options=t||{},this.options.maps)throw new TypeError("documents don't support option maps");be(this,n)}_e.prototype.get=function(e){return ge(this.data,de(e))},_e.prototype.has=function(e){return void 0!==ge(this.data,de(e))},_e.prototype.getNode=function(e){const n=de(e),t=me(n),r=this.positions[t];if(!r)return null;const s=(r.key||r).line,o=(r.key||r).column,i=Object.keys(this.positions);let a=[],l=null;if(""===t||i.some(function(e){return""!==e&&0===t.indexOf(e+"/")&&(this.positions[e].key||this.positions[e]).line===s},this)||(a=Oe(this,s)),!i.some(function(e){return 0===e.indexOf(t+"/")&&(this.positions[e].key||this.positions[e]).line===s},this)){const e=this.comments;for(let n=0;n<e.length;n++)e[n].line===s&&e[n].inline&&e[n].column>o&&(l=e[n])}return{value:ge(this.data,n),style:Ee(this,n),range:{line:r.line,column:r.column,endLine:r.endLine,endColumn:r.endColumn},key:r.key||null,comments:{before:a.map(function(e){return e.text}),after:l?l.text:null}}},_e.prototype.set=function(e,n){const t=de(e);return void 0===n?this.delete(t):this.positions[me(t)]?Le(this,t,n):t.length?function e(n,t,r){const s=t.slice(0,-1),o=t[t.length-1];let i=ge(n.data,s);if(null!==i||s.length||n.positions[""]||(i={}),void 0===i){const t={};return x(t,o,r),void e(n,s,t)}if(!i||"object"!=typeof i)throw new TypeError("can't add property to scalar value");const a=Array.isArray(i),l=Object.keys(i);if(a&&"-"!==o&&o!==String(i.length))throw new TypeError("invalid index for appending item to sequence");let c=null,u=-1;for(let e=0;e<l.length;e++){const t=s.concat([l[e]]);n.positions[me(t)]&&Ne(n,t)>u&&(c=t,u=Ne(n,t))}if(!c||"flow"===Ee(n,s)||ke(n,s)){const e=a?i.slice():{};if(a)e.push(r);else{for(let n=0;n<l.length;n++)x(e,l[n],i[l[n]]);x(e,o,r)}if(n.positions[me(s)])Le(n,s,e);else{const t=n.code;we(n,t.length,t.length,(/[^\n]$/.test(t)?"\n":"")+n.parser.stringify(e))}return}const f=n.positions[me(c)],p=oe(u-n.lineOffsets[xe(n,u)-1]),h=[];let d=[r];a||x(d={},o,r),fe(d,p,{indent:"  "},[],h);const m=Ae(n,ve(n,f.endLine,f.endColumn));we(n,m,m,(/[^\n]$/.test(n.code.substr(0,m))?"\n":"")+h.join("\n")+"\n")}(this,t,n):be(this,this.parser.stringify(n)),this},_e.prototype.delete=function(e){const n=de(e),t=this.positions[me(n)];if(!n.length)throw new TypeError("can't remove root of document");if(!t)return!1;const r=n.slice(0,-1),s=ge(this.data,r),o=Object.keys(s),i=Array.isArray(s);if(ke(this,n)||r.length&&o.length<2){const e=n[n.length-1],t=i?s.slice():{};if(i)t.splice(Number(e),1);else for(let n=0;n<o.length;n++)o[n]!==e&&x(t,o[n],s[o[n]]);return Le(this,r,t),!0}const a=Ne(this,n),l=xe(this,a);let c=this.lineOffsets[l-1],u=Ae(this,ve(this,t.endLine,t.endColumn));if(/\S/.test(this.code.substring(c,a))){c=a,u=this.code.length;for(let e=0;e<o.length;e++){const n=r.concat([o[e]]);if(this.positions[me(n)]){const e=Ne(this,n);e>a&&e<u&&(u=e)}}}else{const e=Oe(this,l);e.length&&(c=this.lineOffsets[e[0].line-1])}return we(this,c,u,""),!0},_e.prototype.toString=function(){return this.code},module.exports.YAMLSyntaxError=c,module.exports.YAMLDocument=_e,module.exports.YAML={parse:function(e,n){if("object"==typeof e&&e)return e;if("string"!=typeof e)throw new TypeError("invalid or missing code to be parsed");const t=pe(this,e,U(n),!0);return t.length?t[0]:null},parseAll:function(e,n){if("string"!=typeof e)throw new TypeError("invalid or missing code to be parsed");return pe(this,e,U(n),!1)},createParser:function(e){const n={entry:[],document:[]},t=he(this,U(e),!1,{entry:function(e,t,r){n.entry.forEach(function(n){n(e,t,r)})},document:function(e,t){n.document.forEach(function(n){n(e,t)})}});let r=!1;return{on:function(e,t){if(!n.hasOwnProperty(e))throw new TypeError("unknown event: "+e);if("function"!=typeof t)throw new TypeError("invalid event listener");return n[e].push(t),this},write:function(e){if(r)throw new Error("parser has been ended");if("string"!=typeof e)throw new TypeError("invalid chunk of code");return t.write(e),this},end:function(e){return null!=e&&this.write(e),r||(r=!0,t.end()),this}}},parseDocument:function(e,n){return new _e(this,e,n)},validate:function(e,n){const t=Array.isArray(n)?{tokens:n}:n||{},r={};return Object.keys(t).forEach(function(e){r[e]=t[e]}),r.recover=!0,r.errors=[],r.warnings=[],{data:this.parse(e,r),errors:r.errors,warnings:r.warnings}},stringify:function(e,n){const t=n||{},r=null==t.indent?2:t.indent;if("number"!=typeof r||!(r>=1&&r<=10)||Math.floor(r)!==r)throw new TypeError("invalid indentation width");const s=[],o=ce(e);return o&&"object"==typeof o&&!D(o).length?(Array.isArray(o)?"[]":"{}")+"\n":(fe(o,"",{indent:oe(r),sortKeys:t.sortKeys},[],s),s.join("\n")+"\n")},toObject:function(e){return ue(e)},consume:function(e,n,t,r){const s=r||U(),a=e.depth,l=a<0,c=n[n.length-1].anchors,f=n[n.length-1].resolveScalar||s.resolveScalar;n[n.length-1].hasValue&&u("scalar",e.line,e.column);const p=e.nestedValue?n.shift():null;for(;!l&&!p;){const r=n[0];if(!r)return void u("depth",e.line,e.column);const o=r.depth,i=e.isArrayItem&&!e.complexKey;if(isNaN(o)&&(n[1]||{}).depth<a){r.depth=a;break}if(isNaN(o)&&i&&n[1]&&n[1].depth===a&&!Array.isArray(n[1].ref)){r.depth=a,r.indentless=!0;break}if(o===a&&!r.complexKey&&(i||!r.indentless))break;o<a&&u("indentation",e.line,e.column),r.explicitKey&&this.consume(w(r),n,t,s),N(n,s)}const h=n[0].explicitKey;h&&!e.explicitValue?this.consume(w(n[0]),n,t,s):e.explicitValue&&(h||u("character",e.line,e.column),n[0].explicitKey=null,e.propertyName=h.name,e.sourceName=h.source,e.keyRange=h.range),s.maps&&e.isProperty&&"<<"!==e.propertyName&&!e.quotedName&&!e.explicitValue&&(e.sourceName=e.propertyName,e.propertyName=f(e.propertyName)),1===n.length&&n[0].onEntry&&!p&&n[0].onEntry(e);const d=!e.isArrayItem&&"<<"===e.propertyName&&!e.quotedName&&!e.explicitValue;let m=Boolean(n[0].complexKey||n[0].withinKey);const g=n[n.length-1];if(e.isProperty&&!d&&F(e.propertyName,s,e.line,e.column),g.numNodes+=(p?0:1)+(e.flowNodes||0),(g.numNodes>s.maxKeys||n.length+(e.flowDepth||0)>s.maxDepth||e.isProperty&&K(e.propertyName,s))&&u("limit",e.line,e.column),s.events&&!m){const t=e.isProperty?e.keyRange:null,r=e.valueRange||t||G(null,e.line,e.column,e.column+1);g.end={line:r.endLine,column:r.endColumn},l||p||X(n[0],e.isArrayItem&&!e.complexKey,e.line,e.column,s.events),t&&!d&&Z(s.events,"onKey",e.propertyName,J(t))}if(e.complexKey&&(s.positions&&!m&&H(n,e,null,null,s.positions),n.unshift({depth:a,selector:null,ref:[],pointer:n[0].pointer,complexKey:!0,detached:!0,keyRange:G(null,e.line,e.column,e.column+1)}),m=!0),null!=e.alias){const t=e.valueRange||e;e.value=j(n,a,e.alias,s,t.line,t.column)}switch(e.value){case i:case o:{if(l)return g.tag=e.tag,null!=e.anchor&&(c[e.anchor]={frame:g}),void t.push(e);let r=n[0].ref,o=Array.isArray(r);e.isArrayItem&&!o&&0===D(r).length&&(r=n[0].ref=[],o=!0,n.length>1&&!n[0].detached&&x(n[1].ref,n[0].selector,r)),!o&&d&&u("merge",e.line,e.column),n.length>=s.maxDepth&&u("limit",e.line,e.column);const a=o?r.length:e.propertyName,f=e.value===i?[]:C(s),p={depth:NaN,selector:a,ref:f,tag:e.tag,pointer:n[0].pointer+W(a),withinKey:m};return s.positions&&!m&&H(n,e,a,p,s.positions),n.unshift(p),null!=e.anchor&&(c[e.anchor]={frame:p}),o?r.push(f):_(S(n[1]),e.propertyName,s,e.line,e.column)?(x(r,e.propertyName,f),I(r,e.propertyName,e.sourceName)):p.detached=!0,void t.push(e)}}let y=n[0].ref;if(p)e.tag=e.tag||p.tag;else if(e.isArrayItem^Array.isArray(y)){if(D(y).length>0)return void u("collection",e.line,e.column);const t=n[0].selector;y=e.isArrayItem?n[0].ref=[]:n[0].ref=C(s),null!=t&&n.length>1&&!n[0].detached&&x(n[1].ref,t,y)}switch(e.value){case o:case i:u("indentation",e.line,e.column);break;default:if(e.folded&&(null==e.value&&(e.value=oe(e.leadingBreaks).replace(/ /g,"\n")),e.value=function(e,n){const t=/\n\s*$/.exec(e);let r=t?e.substr(0,t.index):e;if(">"===n[0]){const e=r.split("\n");let n=e[0],t=0;r=e[0];for(let s=1;s<e.length;s++){const o=e[s];""!==o?(""===n||/^[ \t]/.test(n)||/^[ \t]/.test(o)?r+=oe(t+1).replace(/ /g,"\n"):r+=t?oe(t).replace(/ /g,"\n"):" ",r+=o,n=o,t=0):t++}}switch(n.replace(/[^+-]/g,"")){case"+":return r+(t?t[0]:"");case"-":return r;default:return r+(t&&""!==r?"\n":"")}}(e.value,e.folded)),e.tag){const n="string"==typeof e.value&&!e.folded&&!e.quotedValue;e.value=k(e.tag,n?e.value.trim():e.value,s)}else"string"!=typeof e.value||e.folded||e.quotedValue||null!=e.alias||(n[0].complexKey&&(n[0].keySource=e.value.trim()),e.value=f(e.value.trim()));K(e.value,s)&&u("limit",(e.valueRange||e).line,(e.valueRange||e).column)}if(null!=e.anchor&&(c[e.anchor]={value:e.value}),s.positions&&!m){const t=p?p.selector:e.isArrayItem?y.length:d||l?null:e.propertyName;H(n,e,t,l?g:null,s.positions),p&&p.position&&p.position.key&&(s.positions[p.pointer].key=p.position.key)}const b={};if(!e.flowPositions||!s.events&&!s.reviver||d||m||z(e.flowPositions).forEach(function(e){b[e.pointer]=e.position}),s.events&&!d&&!m){const n=e.valueRange||G(null,e.line,e.column,e.column);ne(e.value,n,b,"",s.events)}let v=e.value;if(s.reviver&&!d&&!m){const t=p?p.selector:e.isArrayItem?y.length:e.propertyName,r=n[0].pointer+(l?"":W(t));e.flowPositions&&v&&"object"==typeof v&&function e(n,t,r,s,o){const i=D(n),a=i.length,l=Array.isArray(n);for(let c=0;c<a;c++){const a=l?Number(i[c]):i[c],u=W(a),f=M(n,a);s.hasOwnProperty(t+u)&&(f&&"object"==typeof f&&e(f,t+u,r+u,s,o),L(n,a,o.call(n,a,f,r+u)))}}(v,"",r,b,s.reviver),l||(v=s.reviver.call(y,t,v,r))}if(p)p.ref=v,p.detached||L(y,p.selector,v);else if(e.isArrayItem)y.push(v);else if(e.isProperty)if(d){const t=D(y),r=e.valueRange||e.keyRange;V(y,e.value,e.line,e.column),s.events&&function(e,n,t,r){const s=D(e),o=s.length;for(let i=0;i<o;i++)n.indexOf(s[i])<0&&(Z(r,"onKey",s[i],J(t)),ne(M(e,s[i]),t,{},"",r))}(y,t,r,s.events),s.positions&&!m&&B(y,t,r,s).forEach(function(e){s.positions[n[0].pointer+e.pointer]=e.position})}else _(S(n[0]),e.propertyName,s,e.line,e.column)&&(L(y,e.propertyName,v),I(y,e.propertyName,e.sourceName));else l?(g.ref=v,g.hasValue=!0):u("scalar",e.line,e.column);t.push(e)}}}();
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+"use strict";
+
+const { Transform } = require( "stream" );
+const { StringDecoder } = require( "string_decoder" );
+
+const { YAML } = require( "./parser" );
+
+
+/**
+ * Creates transform stream parsing YAML code written to it.
+ *
+ * The stream emits an object `{ document, key, value }` per completed entry
+ * of every document's root collection with `document` being the index of
+ * containing document in parsed stream of YAML documents. A document with
+ * a root that isn't a block collection is emitted as `{ document, value }`.
+ *
+ * @param {object} options parser options, see `YAML.parse()`, `encoding` selects encoding of written buffers
+ * @returns {Transform} stream transforming YAML code into entries of parsed documents
+ */
+module.exports = function createYAMLStream( options ) {
+	const _options = options || {};
+	const decoder = new StringDecoder( _options.encoding || "utf8" );
+	const parser = YAML.createParser( _options );
+
+	const stream = new Transform( {
+		readableObjectMode: true,
+		transform: function( chunk, encoding, done ) {
+			try {
+				parser.write( typeof chunk === "string" ? chunk : decoder.write( chunk ) );
+			} catch ( error ) {
+				done( error );
+				return;
+			}
+
+			done();
+		},
+		flush: function( done ) {
+			try {
+				parser.end( decoder.end() );
+			} catch ( error ) {
+				done( error );
+				return;
+			}
+
+			done();
+		},
+	} );
+
+	let hasEntries = false;
+
+	parser.on( "entry", function( value, key, document ) {
+		hasEntries = true;
+		stream.push( { document: document, key: key, value: value } );
+	} );
+
+	parser.on( "document", function( data, document ) {
+		if ( !hasEntries ) {
+			// root of document is a scalar or a flow collection
+			stream.push( { document: document, value: data } );
+		}
+
+		hasEntries = false;
+	} );
+
+	return stream;
+};
@@ -57,6 +57,21 @@ if ( name ) {
 		process.exit( 1 );
 	}
 
+	const serialized = YAML.stringify( expected );
+	let reparsed;
+
+	try {
+		reparsed = YAML.parse( serialized );
+	} catch ( error ) {
+		console.error( "\n  - Parser Error on serialized data: " + error.stack + "\n" + serialized ); // eslint-disable-line no-console
+		process.exit( 1 );
+	}
+
+	if ( !deepCompare( reparsed, expected ) ) {
+		console.log( serialized ); // eslint-disable-line no-console
+		process.exit( 1 );
+	}
+
 	process.stderr.write( " SUCCESS!\n" );
 	process.exit( 0 );
 } else {
@@ -0,0 +1,90 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML } = require( "../../" );
+
+
+describe( "Anchors and aliases", () => {
+	it( "resolve to the same data by default", () => {
+		const data = YAML.parse( "a: &x\n  b: 1\nc: *x\nd: [*x]\n" );
+
+		data.c.should.be.equal( data.a );
+		data.d[0].should.be.equal( data.a );
+	} );
+
+	it( "resolve to deep clones of anchored data on demand", () => {
+		const data = YAML.parse( "a: &x\n  b: [1]\nc: *x\n", { cloneAliases: true } );
+
+		data.c.should.be.deepEqual( data.a ).and.not.be.equal( data.a );
+		data.c.b.should.not.be.equal( data.a.b );
+	} );
+
+	it( "still support collecting tokens in array provided instead of options", () => {
+		const tokens = [];
+
+		YAML.parse( "a: &x 1\nb: *x\n", tokens );
+
+		tokens.should.have.length( 2 );
+	} );
+
+	it( "are rejected if undefined", () => {
+		( () => YAML.parse( "a: *x\n" ) ).should.throw( /undefined alias in line 1\b/ );
+		( () => YAML.parse( "a: [*x]\n" ) ).should.throw( /undefined alias in line 1\b/ );
+		( () => YAML.parse( "a: *nope\n" ) ).should.throw( { code: "alias", line: 1, column: 4 } );
+		( () => YAML.parse( "a:\n  - x\n  - *nope\n" ) ).should.throw( { code: "alias", line: 3, column: 5 } );
+		( () => YAML.parse( "a: [1, *nope ]\n" ) ).should.throw( { code: "alias", line: 1, column: 8 } );
+		( () => YAML.parse( "a: &a [*a]\n" ) ).should.throw( { code: "recursion", line: 1, column: 8 } );
+	} );
+
+	it( "are rejected if referring to a node containing the alias", () => {
+		( () => YAML.parse( "a: &x\n  b: *x\n" ) ).should.throw( /alias refers to node containing it in line 2\b/ );
+		( () => YAML.parse( "a: &x\n  b:\n    - *x\n" ) ).should.throw( /alias refers to node containing it in line 3\b/ );
+		( () => YAML.parse( "a: &x\n  b: [*x]\n" ) ).should.throw( /alias refers to node containing it in line 2\b/ );
+		( () => YAML.parse( "a: &x [1, *x]\n" ) ).should.throw( /alias refers to node containing it in line 1\b/ );
+		( () => YAML.parse( "a: [&x [1, *x]]\n" ) ).should.throw( /alias refers to node containing it in line 1\b/ );
+	} );
+
+	it( "are scoped per document", () => {
+		( () => YAML.parseAll( "a: &x 1\n---\nb: *x\n" ) ).should.throw( /undefined alias in line 3\b/ );
+	} );
+
+	it( "support merging mappings with merge key", () => {
+		YAML.parse( "a: &x { k: 1, l: 2 }\nb:\n  l: 3\n  <<: *x\n" ).b.should.be.deepEqual( { l: 3, k: 1 } );
+	} );
+
+	it( "reject merging data other than mappings", () => {
+		( () => YAML.parse( "a: &x 1\nb:\n  <<: *x\n" ) ).should.throw( /invalid merge of mappings in line 3\b/ );
+		( () => YAML.parse( "b:\n  <<: [1, 2]\n" ) ).should.throw( /invalid merge of mappings in line 2\b/ );
+	} );
+} );
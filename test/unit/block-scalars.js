@@ -0,0 +1,97 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML, YAMLSyntaxError } = require( "../../" );
+
+
+describe( "Block scalars", () => {
+	it( "support indentation indicator", () => {
+		YAML.parse( "a: |2\n    code\n  text\n" ).should.be.deepEqual( { a: "  code\ntext\n" } );
+		YAML.parse( "- |1\n  x\n" ).should.be.deepEqual( [" x\n"] );
+	} );
+
+	it( "support indentation indicator combined with chomping indicator in either order", () => {
+		YAML.parse( "a: |2-\n    x\nb: 1\n" ).should.be.deepEqual( { a: "  x", b: 1 } );
+		YAML.parse( "a: |-2\n    x\nb: 1\n" ).should.be.deepEqual( { a: "  x", b: 1 } );
+		YAML.parse( "a: >+1\n  x\n\nb: 1\n" ).should.be.deepEqual( { a: " x\n\n", b: 1 } );
+		YAML.parse( "a: >-4\n      x\n    y\nb: 1\n" ).should.be.deepEqual( { a: "  x\ny", b: 1 } );
+	} );
+
+	it( "reject lines indented less than given by indentation indicator", () => {
+		( () => YAML.parse( "a: |2\n x\n" ) ).should.throw( YAMLSyntaxError, { code: "indentation", line: 2 } );
+	} );
+
+	it( "reject invalid header", () => {
+		( () => YAML.parse( "a: |0\n  x\n" ) ).should.throw( YAMLSyntaxError, { code: "folded", line: 1, column: 4 } );
+		( () => YAML.parse( "a: |10\n  x\n" ) ).should.throw( YAMLSyntaxError, { code: "folded", line: 1, column: 4 } );
+		( () => YAML.parse( "a: >x\n  x\n" ) ).should.throw( YAMLSyntaxError, { code: "folded", line: 1, column: 4 } );
+		( () => YAML.parse( "- |+-\n" ) ).should.throw( YAMLSyntaxError, { code: "folded" } );
+		( () => YAML.parse( "a: |0" ) ).should.throw( YAMLSyntaxError, { code: "folded" } );
+	} );
+
+	it( "reject comment not separated from header", () => {
+		( () => YAML.parse( "a: |#c\n  x\n" ) ).should.throw( YAMLSyntaxError, { code: "folded", line: 1, column: 5 } );
+	} );
+
+	it( "support comment following header", () => {
+		YAML.parse( "a: | # note\n  x\nb: >-2 # note\n   y\n" ).should.be.deepEqual( { a: "x\n", b: " y" } );
+	} );
+
+	it( "keep leading empty lines", () => {
+		YAML.parse( "a: |\n\n  x\n" ).should.be.deepEqual( { a: "\nx\n" } );
+		YAML.parse( "a: >\n\n\n  x\n  y\n" ).should.be.deepEqual( { a: "\n\nx y\n" } );
+		YAML.parse( "a: |\r\n\r\n  x\r\n" ).should.be.deepEqual( { a: "\nx\n" } );
+		YAML.parse( "a: |\n  \n  x\n" ).should.be.deepEqual( { a: "\nx\n" } );
+	} );
+
+	it( "reject leading empty lines indented deeper than first line of content", () => {
+		( () => YAML.parse( "a: |\n    \n  x\n" ) ).should.throw( YAMLSyntaxError, { code: "folded", line: 3 } );
+		( () => YAML.parse( "a: >\r\n    \r\n  x\r\n" ) ).should.throw( YAMLSyntaxError, { code: "folded", line: 3 } );
+		YAML.parse( "a: |4\n    \n    x\n" ).should.be.deepEqual( { a: "\nx\n" } );
+	} );
+
+	it( "may be empty", () => {
+		YAML.parse( "a: |\nb: >+\n\nc: 1\n" ).should.be.deepEqual( { a: "", b: "\n", c: 1 } );
+	} );
+
+	it( "fold lines unless separated by empty lines", () => {
+		YAML.parse( "a: >\n  one\n  two\n\n  three\n\n\n  four\n" ).should.be.deepEqual( { a: "one two\nthree\n\nfour\n" } );
+	} );
+
+	it( "keep line breaks next to more-indented lines on folding", () => {
+		YAML.parse( "a: >\n  one\n    code\n  two\n" ).should.be.deepEqual( { a: "one\n  code\ntwo\n" } );
+		YAML.parse( "a: >\n  one\n\n    code\n\n  two\n" ).should.be.deepEqual( { a: "one\n\n  code\n\ntwo\n" } );
+	} );
+} );
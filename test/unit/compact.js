@@ -0,0 +1,77 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML } = require( "../../" );
+
+
+describe( "Compact notation", () => {
+	it( "supports sequences in sequences", () => {
+		YAML.parse( "- - a\n  - b\n- - - c\n- d\n" ).should.be.deepEqual( [ [ "a", "b" ], [["c"]], "d" ] );
+	} );
+
+	it( "supports mappings with quoted names in sequences", () => {
+		YAML.parse( '- "first name": John\n  last: Doe\n' ).should.be.deepEqual( [{ "first name": "John", last: "Doe" }] );
+		YAML.parse( "- - 'a: b': 1\n    c: 2\n" ).should.be.deepEqual( [[{ "a: b": 1, c: 2 }]] );
+	} );
+
+	it( "tracks positions of quoted names in compact mappings", () => {
+		const positions = {};
+
+		YAML.parse( '- "name": John\n', { positions } );
+
+		positions.should.have.property( "/0/name" ).which.has.property( "key" ).which.has.properties( { line: 1, column: 3, endColumn: 9 } );
+	} );
+
+	it( "supports block scalars in compact mappings", () => {
+		YAML.parse( "- a: |\n    x\n    y\n  b: >-\n    z\n    w\n" ).should.be.deepEqual( [{ a: "x\ny\n", b: "z w" }] );
+	} );
+
+	it( "supports sequences indented like name of containing property", () => {
+		YAML.parse( "list:\n- a\n- b\nnext: 1\n" ).should.be.deepEqual( { list: [ "a", "b" ], next: 1 } );
+		YAML.parse( "a:\n  b:\n  - c: 1\n    d: 2\n  e: 3\n" ).should.be.deepEqual( { a: { b: [{ c: 1, d: 2 }], e: 3 } } );
+		YAML.parse( "- a: 1\n  b:\n  - x\n" ).should.be.deepEqual( [{ a: 1, b: ["x"] }] );
+	} );
+
+	it( "supports explicit keys in compact mappings", () => {
+		YAML.parse( "- ? a\n  : 1\n  b: 2\n" ).should.be.deepEqual( [{ a: 1, b: 2 }] );
+		YAML.parse( "- ? - a\n    - b\n  : 1\n" ).should.be.deepEqual( [{ "[ a, b ]": 1 }] );
+	} );
+
+	it( "rejects mixed collections", () => {
+		( () => YAML.parse( "- - a\n  b: 1\n" ) ).should.throw( /line 2, column 3/ );
+		( () => YAML.parse( "- a: 1\n  - b\n" ) ).should.throw();
+		( () => YAML.parse( "list:\n- a\n  b: 1\n" ) ).should.throw();
+	} );
+} );
@@ -0,0 +1,145 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML } = require( "../../" );
+
+
+describe( "Directive", () => {
+	describe( "%YAML", () => {
+		it( "selects YAML 1.2 core schema for version 1.2", () => {
+			YAML.parse( "%YAML 1.2\n---\na: yes\nb: Off\nc: TRUE\nd: [ n, 0o17 ]\n" ).should.be.deepEqual( { a: "yes", b: "Off", c: true, d: [ "n", 15 ] } );
+		} );
+
+		it( "keeps legacy booleans for version 1.1", () => {
+			YAML.parse( "%YAML 1.1\n---\na: yes\nb: Off\n" ).should.be.deepEqual( { a: true, b: false } );
+		} );
+
+		it( "applies to the following document, only", () => {
+			YAML.parseAll( "%YAML 1.2\n---\n- yes\n...\n---\n- yes\n" ).should.be.deepEqual( [ ["yes"], [true] ] );
+		} );
+
+		it( "applies to names of properties when parsing mappings as Maps", () => {
+			const data = YAML.parse( "%YAML 1.2\n---\nyes: 1\ntrue: 2\n", { maps: true } );
+
+			Array.from( data.keys() ).should.be.deepEqual( [ "yes", true ] );
+		} );
+
+		it( "is ignored if schema is selected explicitly", () => {
+			YAML.parse( "%YAML 1.2\n---\na: yes\n", { schema: "legacy" } ).should.be.deepEqual( { a: true } );
+			YAML.parse( "%YAML 1.1\n---\na: yes\n", { schema: "core" } ).should.be.deepEqual( { a: "yes" } );
+		} );
+
+		it( "accepts newer minor versions with a warning", () => {
+			const warnings = [];
+
+			YAML.parse( "%YAML 1.3\n---\na: yes\n", { warnings } ).should.be.deepEqual( { a: "yes" } );
+			warnings.should.have.length( 1 );
+			warnings[0].code.should.be.equal( "version" );
+		} );
+
+		it( "rejects other major versions", () => {
+			( () => YAML.parse( "%YAML 2.0\n---\na: 1\n" ) ).should.throw( /unsupported version/ );
+		} );
+
+		it( "rejects malformed or repeated directive", () => {
+			( () => YAML.parse( "%YAML\n---\na: 1\n" ) ).should.throw( /invalid directive in line 1/ );
+			( () => YAML.parse( "%YAML 1.2 extra\n---\na: 1\n" ) ).should.throw( /invalid directive in line 1/ );
+			( () => YAML.parse( "%YAML 1.2\n%YAML 1.2\n---\na: 1\n" ) ).should.throw( /invalid directive in line 2/ );
+		} );
+	} );
+
+	describe( "%TAG", () => {
+		it( "declares prefix of named tag handle", () => {
+			YAML.parse( "%TAG !y! tag:yaml.org,2002:\n---\na: !y!str 1\nb: [ !y!int '2' ]\n" ).should.be.deepEqual( { a: "1", b: [2] } );
+		} );
+
+		it( "supports custom tags addressed by expanded URI", () => {
+			const tags = { "tag:example.com,2019:upper": value => value.toUpperCase() };
+
+			YAML.parse( "%TAG !e! tag:example.com,2019:\n---\na: !e!upper x\n", { tags } ).should.be.deepEqual( { a: "X" } );
+			YAML.parse( "%TAG ! tag:example.com,2019:\n---\na: !upper x\n", { tags } ).should.be.deepEqual( { a: "X" } );
+		} );
+
+		it( "may redefine secondary tag handle", () => {
+			const tags = { "tag:example.com,2019:str": value => "custom " + value };
+
+			YAML.parse( "%TAG !! tag:example.com,2019:\n---\na: !!str x\n", { tags } ).should.be.deepEqual( { a: "custom x" } );
+		} );
+
+		it( "keeps non-specific tag", () => {
+			YAML.parse( "%TAG ! tag:example.com,2019:\n---\na: ! 1\n" ).should.be.deepEqual( { a: "1" } );
+		} );
+
+		it( "rejects malformed or repeated handles", () => {
+			( () => YAML.parse( "%TAG !e tag:x:\n---\na: 1\n" ) ).should.throw( /invalid directive/ );
+			( () => YAML.parse( "%TAG !e! tag:x:\n%TAG !e! tag:y:\n---\na: 1\n" ) ).should.throw( /invalid directive in line 2/ );
+		} );
+	} );
+
+	it( "ignores unknown directives with a warning", () => {
+		const warnings = [];
+
+		YAML.parse( "%FOO bar baz\n---\na: 1\n", { warnings } ).should.be.deepEqual( { a: 1 } );
+		warnings.should.have.length( 1 );
+		warnings[0].code.should.be.equal( "directive" );
+	} );
+
+	it( "may be followed by comments", () => {
+		const comments = [];
+
+		YAML.parse( "%YAML 1.2 # version\n---\na: yes\n", { comments } ).should.be.deepEqual( { a: "yes" } );
+		comments.should.have.length( 1 );
+		comments[0].text.should.be.equal( "# version" );
+	} );
+
+	it( "requires explicit start of document", () => {
+		( () => YAML.parse( "%YAML 1.2\na: 1\n" ) ).should.throw( /invalid directive in line 2/ );
+		( () => YAML.parse( "%YAML 1.2\n" ) ).should.throw( /invalid directive in line 1/ );
+	} );
+
+	it( "is supported when parsing stream in chunks", () => {
+		const code = "%YAML 1.2\n---\n- yes\n...\n%YAML 1.1\n---\n- yes\n";
+		const documents = [];
+		const parser = YAML.createParser().on( "document", data => documents.push( data ) );
+
+		for ( let i = 0; i < code.length; i++ ) {
+			parser.write( code[i] );
+		}
+
+		parser.end();
+
+		documents.should.be.deepEqual( [ ["yes"], [true] ] );
+	} );
+} );
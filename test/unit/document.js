@@ -0,0 +1,220 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML, YAMLDocument, YAMLSyntaxError } = require( "../../" );
+
+
+describe( "YAML.parseDocument()", () => {
+	const code = `# form definition
+
+name: demo # internal name
+fields:
+  # first field
+  - name: a
+    label: "Field A"
+    type: text
+  - name: b
+    options: [ 1, 2, 3 ]
+flags: { x: 1 }
+notes: |
+  some text
+# end of form
+`;
+
+	it( "is a function", () => {
+		YAML.should.have.property( "parseDocument" ).which.is.a.Function();
+	} );
+
+	it( "returns instance of YAMLDocument", () => {
+		YAML.parseDocument( code ).should.be.instanceOf( YAMLDocument );
+	} );
+
+	it( "rejects invalid code", () => {
+		( () => YAML.parseDocument( "a: [" ) ).should.throw( YAMLSyntaxError );
+		( () => YAML.parseDocument( null ) ).should.throw( TypeError );
+	} );
+
+	it( "renders unmodified document byte-identical", () => {
+		YAML.parseDocument( code ).toString().should.be.equal( code );
+		YAML.parseDocument( "a:   1 #x\r\n\r\nb: 2\r\n" ).toString().should.be.equal( "a:   1 #x\r\n\r\nb: 2\r\n" );
+	} );
+
+	it( "exposes data and comments", () => {
+		const doc = YAML.parseDocument( code );
+
+		doc.data.should.be.deepEqual( YAML.parse( code ) );
+		doc.comments.map( c => c.text ).should.be.deepEqual( [ "# form definition", "# internal name", "# first field", "# end of form" ] );
+		doc.comments[1].should.have.properties( { line: 3, column: 12, inline: true } );
+	} );
+
+	it( "fetches values by JSON pointer or list of segments", () => {
+		const doc = YAML.parseDocument( code );
+
+		doc.get( "/fields/0/label" ).should.be.equal( "Field A" );
+		doc.get( [ "fields", 1, "options", 2 ] ).should.be.equal( 3 );
+		doc.get( "" ).should.be.equal( doc.data );
+		( doc.get( "/missing/path" ) === undefined ).should.be.true();
+		doc.has( "/flags/x" ).should.be.true();
+		doc.has( "/flags/y" ).should.be.false();
+		( () => doc.get( "fields" ) ).should.throw( TypeError );
+	} );
+
+	it( "describes nodes with style, ranges and attached comments", () => {
+		const doc = YAML.parseDocument( code );
+
+		doc.getNode( "/name" ).should.be.deepEqual( {
+			value: "demo",
+			style: "plain",
+			range: { line: 3, column: 7, endLine: 3, endColumn: 11 },
+			key: { line: 3, column: 1, endLine: 3, endColumn: 5 },
+			comments: { before: [], after: "# internal name" },
+		} );
+
+		doc.getNode( "/fields/0" ).comments.should.be.deepEqual( { before: ["# first field"], after: null } );
+		doc.getNode( "/fields/0/label" ).style.should.be.equal( "double" );
+		doc.getNode( "/fields/1/options" ).style.should.be.equal( "flow" );
+		doc.getNode( "/fields" ).style.should.be.equal( "block" );
+		doc.getNode( "/notes" ).style.should.be.equal( "literal" );
+		( doc.getNode( "/missing" ) === null ).should.be.true();
+	} );
+
+	it( "replaces values keeping all other code", () => {
+		const doc = YAML.parseDocument( code );
+
+		doc.set( "/name", "other" ).should.be.equal( doc );
+		doc.set( "/fields/0/label", "Renamed" );
+		doc.set( "/fields/1/options/1", 5 );
+		doc.set( "/notes", "a\nb\n" );
+
+		doc.toString().should.be.equal( code
+			.replace( "name: demo", "name: other" )
+			.replace( '"Field A"', '"Renamed"' )
+			.replace( "[ 1, 2, 3 ]", "[ 1, 5, 3 ]" )
+			.replace( "  some text\n", "  a\n  b\n" ) );
+
+		doc.get( "/fields/0/label" ).should.be.equal( "Renamed" );
+	} );
+
+	it( "keeps quoting style of replaced strings", () => {
+		YAML.parseDocument( "a: 'x'\nb: \"y\"\n" ).set( "/a", "it's" ).set( "/b", "1" ).toString().should.be.equal( "a: 'it''s'\nb: \"1\"\n" );
+	} );
+
+	it( "keeps anchors and tags of replaced values", () => {
+		YAML.parseDocument( "a: &x 1\nb: *x\nc: !!str 2\n" ).set( "/a", 3 ).set( "/c", "d" ).toString()
+			.should.be.equal( "a: &x 3\nb: *x\nc: !!str d\n" );
+	} );
+
+	it( "replaces collections with scalars and vice versa", () => {
+		YAML.parseDocument( "a:\n  b: 1\nc: 2\n" ).set( "/a", "x" ).toString().should.be.equal( "a: x\nc: 2\n" );
+		YAML.parseDocument( "a: 1\nc: 2\n" ).set( "/a", { b: [1] } ).toString().should.be.equal( "a:\n  b:\n    - 1\nc: 2\n" );
+		YAML.parseDocument( "a:\nc: 2\n" ).set( "/a", [] ).toString().should.be.equal( "a: []\nc: 2\n" );
+		YAML.parseDocument( "- x\n- y\n" ).set( "/0", { k: 1, m: 2 } ).toString().should.be.equal( "- k: 1\n  m: 2\n- y\n" );
+	} );
+
+	it( "keeps comment trailing replaced scalar in line of key", () => {
+		YAML.parseDocument( "a: x # c\nb: 2\n" ).set( "/a", { p: 1, q: [ 1, 2 ] } ).toString()
+			.should.be.equal( "a: # c\n  p: 1\n  q:\n    - 1\n    - 2\nb: 2\n" );
+		YAML.parseDocument( "a: x # c\r\nb: 2\r\n" ).set( "/a", [1] ).toString().should.be.equal( "a: # c\r\n  - 1\r\nb: 2\r\n" );
+		YAML.parseDocument( "a: x # c\nb: 2\n" ).set( "/a", 5 ).toString().should.be.equal( "a: 5 # c\nb: 2\n" );
+	} );
+
+	it( "adds missing nodes", () => {
+		const doc = YAML.parseDocument( code );
+
+		doc.set( "/fields/-", { name: "c" } );
+		doc.set( "/fields/0/required", true );
+		doc.set( "/flags/y", 2 );
+		doc.set( "/fields/1/options/3", 4 );
+		doc.set( "/extra/nested", "value" );
+
+		doc.toString().should.be.equal( code
+			.replace( "type: text\n", "type: text\n    required: true\n" )
+			.replace( "[ 1, 2, 3 ]\n", "[ 1, 2, 3, 4 ]\n  - name: c\n" )
+			.replace( "{ x: 1 }", "{ x: 1, y: 2 }" )
+			.replace( "  some text\n", "  some text\nextra:\n  nested: value\n" ) );
+	} );
+
+	it( "adds nodes to empty document", () => {
+		YAML.parseDocument( "# empty\n" ).set( "/a", 1 ).toString().should.be.equal( "# empty\na: 1\n" );
+	} );
+
+	it( "rejects to add nodes to scalars or beyond end of sequence", () => {
+		( () => YAML.parseDocument( code ).set( "/name/first", 1 ) ).should.throw( TypeError );
+		( () => YAML.parseDocument( code ).set( "/fields/5", 1 ) ).should.throw( TypeError );
+	} );
+
+	it( "removes nodes including attached comments", () => {
+		const doc = YAML.parseDocument( code );
+
+		doc.delete( "/fields/0" ).should.be.true();
+		doc.delete( "/flags/x" ).should.be.true();
+		doc.delete( "/name" ).should.be.true();
+		doc.delete( "/missing" ).should.be.false();
+
+		doc.toString().should.be.equal( "# form definition\n\nfields:\n  - name: b\n    options: [ 1, 2, 3 ]\nflags: {}\nnotes: |\n  some text\n# end of form\n" );
+	} );
+
+	it( "removes first entry of a mapping in compact notation", () => {
+		const doc = YAML.parseDocument( "- k: 1\n  m: 2\n- x\n" );
+
+		doc.delete( "/0/k" );
+		doc.toString().should.be.equal( "- m: 2\n- x\n" );
+	} );
+
+	it( "keeps line breaks of code", () => {
+		YAML.parseDocument( "a:\r\n  b: 1\r\n" ).set( "/a/c", { d: 2 } ).toString().should.be.equal( "a:\r\n  b: 1\r\n  c:\r\n    d: 2\r\n" );
+	} );
+
+	it( "rejects modifications resulting in invalid code", () => {
+		const doc = YAML.parseDocument( "a: &x 1\nb: *x\n" );
+
+		( () => doc.delete( "/a" ) ).should.throw( YAMLSyntaxError );
+		doc.toString().should.be.equal( "a: &x 1\nb: *x\n" );
+	} );
+} );
+
+describe( "Option `comments`", () => {
+	it( "collects comments of parsed code", () => {
+		const comments = [];
+
+		YAML.parse( "# a\nb: 1 # c\nd: [ 1, # e\n  2 ]\nf: |\n  # g\n", { comments } );
+
+		comments.should.be.deepEqual( [
+			{ text: "# a", line: 1, column: 1, inline: false },
+			{ text: "# c", line: 2, column: 6, inline: true },
+			{ text: "# e", line: 3, column: 9, inline: true },
+		] );
+	} );
+} );
@@ -0,0 +1,94 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML } = require( "../../" );
+
+
+describe( "Parsing streams of documents", () => {
+	describe( "with YAML.parseAll()", () => {
+		it( "is a function", () => {
+			YAML.should.have.property( "parseAll" ).which.is.a.Function();
+		} );
+
+		it( "requires string to be parsed", () => {
+			( () => YAML.parseAll() ).should.throw( TypeError );
+			( () => YAML.parseAll( {} ) ).should.throw( TypeError );
+		} );
+
+		it( "returns empty list of documents on parsing empty string", () => {
+			YAML.parseAll( "" ).should.be.an.Array().which.is.empty();
+			YAML.parseAll( "# just a comment\n" ).should.be.an.Array().which.is.empty();
+		} );
+
+		it( "returns single document not using any marker", () => {
+			YAML.parseAll( "a: 1\n" ).should.be.deepEqual( [{ a: 1 }] );
+		} );
+
+		it( "splits documents at `---`", () => {
+			YAML.parseAll( "---\na: 1\n---\n- b\n--- # comment\nc: 3\n" ).should.be.deepEqual( [ { a: 1 }, ["b"], { c: 3 } ] );
+		} );
+
+		it( "accepts bare document preceding first `---`", () => {
+			YAML.parseAll( "a: 1\n---\nb: 2\n" ).should.be.deepEqual( [ { a: 1 }, { b: 2 } ] );
+		} );
+
+		it( "ends documents at `...`", () => {
+			YAML.parseAll( "a: 1\n...\nb: 2\n...\n" ).should.be.deepEqual( [ { a: 1 }, { b: 2 } ] );
+		} );
+
+		it( "ends folded values at document markers", () => {
+			YAML.parseAll( "a: |\n  text\n---\nb: >\n  more\n  text\n...\n" ).should.be.deepEqual( [ { a: "text\n" }, { b: "more text\n" } ] );
+		} );
+
+		it( "reports errors with line numbers relative to whole stream", () => {
+			( () => YAML.parseAll( "a: 1\n---\nb: 2\n  c: 3\n" ) ).should.throw( /line 4\b/ );
+		} );
+
+		it( "rejects content following document marker in same line", () => {
+			( () => YAML.parseAll( "--- a: 1\n" ) ).should.throw();
+			( () => YAML.parseAll( "a: 1\n... b\n" ) ).should.throw();
+		} );
+	} );
+
+	describe( "with YAML.parse()", () => {
+		it( "accepts leading `---` and trailing `...`", () => {
+			YAML.parse( "---\na: 1\n...\n" ).should.be.deepEqual( { a: 1 } );
+		} );
+
+		it( "rejects multiple documents", () => {
+			( () => YAML.parse( "---\na: 1\n---\nb: 2\n" ) ).should.throw( /line 3\b/ );
+			( () => YAML.parse( "a: 1\n...\nb: 2\n" ) ).should.throw( /line 3\b/ );
+		} );
+	} );
+} );
@@ -0,0 +1,94 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML, YAMLSyntaxError } = require( "../../" );
+
+
+describe( "Option `duplicateKeys`", () => {
+	it( "rejects unknown policies", () => {
+		( () => YAML.parse( "a: 1\n", { duplicateKeys: "ignore" } ) ).should.throw( TypeError );
+		( () => YAML.parse( "a: 1\n", { duplicateKeys: true } ) ).should.throw( TypeError );
+	} );
+
+	it( "uses last value of repeated keys by default", () => {
+		YAML.parse( "a: 1\nb: 2\na: 3\n" ).should.be.deepEqual( { a: 3, b: 2 } );
+		YAML.parse( "a: 1\nb: 2\na: 3\n", { duplicateKeys: "last" } ).should.be.deepEqual( { a: 3, b: 2 } );
+		YAML.parse( "a: {x: 1, x: 2}\n", { duplicateKeys: "last" } ).should.be.deepEqual( { a: { x: 2 } } );
+	} );
+
+	it( "keeps first value of repeated keys on `first`", () => {
+		YAML.parse( "a: 1\nb: 2\na: 3\n", { duplicateKeys: "first" } ).should.be.deepEqual( { a: 1, b: 2 } );
+		YAML.parse( "a:\n  x: 1\na:\n  - y\nb: {c: 1, c: 2, c}\n", { duplicateKeys: "first" } ).should.be.deepEqual( { a: { x: 1 }, b: { c: 1 } } );
+		YAML.parse( "a: 1\na: !!map\n  b: 1\n", { duplicateKeys: "first", reviver: ( key, value ) => value } ).should.be.deepEqual( { a: 1 } );
+	} );
+
+	it( "collects warnings on repeated keys on `warn`", () => {
+		const warnings = [];
+
+		YAML.parse( "a: 1\nb: {c: 1, c: 2}\na: 3\n", { duplicateKeys: "warn", warnings } ).should.be.deepEqual( { a: 3, b: { c: 2 } } );
+
+		warnings.should.have.length( 2 );
+		warnings[0].should.be.instanceOf( YAMLSyntaxError ).and.have.properties( { code: "exists", line: 2, column: 11, offset: 15, previous: { line: 2, column: 5 } } );
+		warnings[1].should.be.instanceOf( YAMLSyntaxError ).and.have.properties( { code: "exists", line: 3, column: 1, offset: 21, previous: { line: 1, column: 1 } } );
+		warnings[1].snippet.should.be.equal( "a: 3\n^" );
+	} );
+
+	it( "rejects repeated keys on `error` pointing at both definitions", () => {
+		( () => YAML.parse( "a: 1\nb:\n  c: 2\na:\n  d: 4\n", { duplicateKeys: "error" } ) ).should.throw( YAMLSyntaxError, {
+			code: "exists",
+			line: 4,
+			column: 1,
+			previous: { line: 1, column: 1 },
+			message: "replacing existing property of same object in line 4, column 1 (defined before in line 1, column 1)",
+		} );
+	} );
+
+	it( "considers keys of different mappings, only", () => {
+		YAML.parse( "a:\n  x: 1\nb:\n  x: 2\nc: [{x: 3}, {x: 4}]\n", { duplicateKeys: "error" } )
+			.should.be.deepEqual( { a: { x: 1 }, b: { x: 2 }, c: [ { x: 3 }, { x: 4 } ] } );
+	} );
+
+	it( "ignores properties merged with `<<`", () => {
+		YAML.parse( "a: &x {k: 1}\nb:\n  <<: *x\n  k: 2\n", { duplicateKeys: "error" } ).should.be.deepEqual( { a: { k: 1 }, b: { k: 2 } } );
+	} );
+
+	it( "is applied in recovery mode", () => {
+		const { data, errors } = YAML.validate( "a: 1\nb: {c: 2, c: 3}\na: 4\n", { duplicateKeys: "error" } );
+
+		data.should.be.deepEqual( { a: 1 } );
+		errors.should.have.length( 2 );
+		errors[0].should.have.properties( { code: "exists", line: 2, column: 11 } );
+		errors[1].should.have.properties( { code: "exists", line: 3, column: 1 } );
+	} );
+} );
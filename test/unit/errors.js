@@ -0,0 +1,78 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML, YAMLSyntaxError } = require( "../../" );
+
+
+describe( "Syntax errors", () => {
+	it( "are described by exposed class YAMLSyntaxError", () => {
+		YAMLSyntaxError.should.be.a.Function();
+
+		( () => YAML.parse( "a: 1\n  b: 2\n" ) ).should.throw( YAMLSyntaxError );
+	} );
+
+	it( "are instances of SyntaxError", () => {
+		( () => YAML.parse( "a: 1\n  b: 2\n" ) ).should.throw( SyntaxError );
+	} );
+
+	it( "expose position of error", () => {
+		try {
+			YAML.parse( "a: 1\n  b: 2\n" );
+		} catch ( error ) {
+			error.line.should.be.equal( 2 );
+			error.column.should.be.equal( 3 );
+			error.offset.should.be.equal( 7 );
+			return;
+		}
+
+		throw new Error( "parsing invalid code succeeded" );
+	} );
+
+	it( "expose code of error", () => {
+		( () => YAML.parse( "a: 1\n  b: 2\n" ) ).should.throw( { code: "indentation" } );
+		( () => YAML.parse( "a: [1, 2\n" ) ).should.throw( { code: "bracket" } );
+		( () => YAML.parse( "a: *x\n" ) ).should.throw( { code: "alias" } );
+		( () => YAML.parseAll( "a: \"x\n" ) ).should.throw( { code: "quote", line: 1, column: 4 } );
+	} );
+
+	it( "expose snippet of source code marking position of error", () => {
+		( () => YAML.parse( "a: 1\n  b: 2\n" ) ).should.throw( { snippet: "  b: 2\n  ^" } );
+		( () => YAML.parse( "a: 1\r\n\tb: *x\r\n" ) ).should.throw( { snippet: "\tb: *x\n\t^" } );
+		( () => YAML.parse( "a: [1, 2" ) ).should.throw( { snippet: "a: [1, 2\n   ^" } );
+	} );
+
+	it( "still provide position in message", () => {
+		( () => YAML.parse( "a: 1\n  b: 2\n" ) ).should.throw( "invalid indentation in line 2, column 3" );
+	} );
+} );
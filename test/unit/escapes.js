@@ -0,0 +1,85 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML, YAMLSyntaxError } = require( "../../" );
+
+
+describe( "Escape sequences", () => {
+	it( "are replaced in double-quoted strings", () => {
+		YAML.parse( 'a: "\\0\\a\\b\\t\\n\\v\\f\\r\\e\\ \\"\\/\\\\"\n' ).should.be.deepEqual( {
+			a: "\0\u0007\b\t\n\v\f\r\u001b \"/\\",
+		} );
+	} );
+
+	it( "support unicode characters", () => {
+		YAML.parse( 'a: "\\x41\\u00e9\\U0001F600\\N\\_\\L\\P"\n' ).should.be.deepEqual( {
+			a: "A\u00e9\ud83d\ude00\u0085\u00a0\u2028\u2029",
+		} );
+	} );
+
+	it( "are replaced in quoted names and quoted items of flow collections", () => {
+		YAML.parse( '"a\\tb": [ "\\x41", { "\\u0042": "\\n" } ]\n' ).should.be.deepEqual( { "a\tb": [ "A", { B: "\n" } ] } );
+	} );
+
+	it( "join lines on escaped line breaks", () => {
+		YAML.parse( 'a: "one\\\n  two"\n' ).should.be.deepEqual( { a: "onetwo" } );
+		YAML.parse( 'a: "one \\\n  two"\n' ).should.be.deepEqual( { a: "one two" } );
+		YAML.parse( 'a: "one\\\r\n\r\n  two"\r\n' ).should.be.deepEqual( { a: "one\ntwo" } );
+	} );
+
+	it( "are rejected if unknown", () => {
+		( () => YAML.parse( 'a: "\\q"\n' ) ).should.throw( YAMLSyntaxError, { code: "escape", line: 1, column: 5 } );
+		( () => YAML.parse( 'a: "\\x4"\n' ) ).should.throw( YAMLSyntaxError, { code: "escape" } );
+		( () => YAML.parse( 'a: "\\u00g0"\n' ) ).should.throw( YAMLSyntaxError, { code: "escape" } );
+		( () => YAML.parse( 'a: "\\U00110000"\n' ) ).should.throw( YAMLSyntaxError, { code: "escape" } );
+		( () => YAML.parse( '"\\q": 1\n' ) ).should.throw( YAMLSyntaxError, { code: "escape" } );
+		( () => YAML.parse( 'a: [ "\\q" ]\n' ) ).should.throw( YAMLSyntaxError, { code: "escape" } );
+	} );
+
+	it( "are not supported in single-quoted strings", () => {
+		YAML.parse( "a: 'C:\\new\\table'\n" ).should.be.deepEqual( { a: "C:\\new\\table" } );
+	} );
+
+	it( "are replaced by doubled quotes in single-quoted strings", () => {
+		YAML.parse( "'it''s': 'isn''t'\nb: [ 'x''y' ]\nc: ''''\n" ).should.be.deepEqual( { "it's": "isn't", b: ["x'y"], c: "'" } );
+	} );
+
+	it( "are used to stringify control characters", () => {
+		const data = { a: "\u0001\r\n\"\\\u001b" };
+
+		YAML.stringify( data ).should.be.equal( 'a: "\\x01\\r\\n\\"\\\\\\x1b"\n' );
+		YAML.parse( YAML.stringify( data ) ).should.be.deepEqual( data );
+	} );
+} );
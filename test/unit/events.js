@@ -0,0 +1,170 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML } = require( "../../" );
+
+
+/**
+ * Creates event handlers recording every event in provided list.
+ *
+ * @param {Array[]} log list of recorded events
+ * @returns {object} event handlers
+ */
+function recorder( log ) {
+	const at = position => ( position.endLine ? [ position.line, position.column, position.endLine, position.endColumn ] : [ position.line, position.column ] );
+
+	return {
+		onMappingStart: position => log.push( [ "mapping", at( position ) ] ),
+		onSequenceStart: position => log.push( [ "sequence", at( position ) ] ),
+		onKey: ( name, range ) => log.push( [ "key", name, at( range ) ] ),
+		onScalar: ( value, range ) => log.push( [ "scalar", value, at( range ) ] ),
+		onEnd: position => log.push( [ "end", at( position ) ] ),
+	};
+}
+
+describe( "Option `events`", () => {
+	it( "is ignored by default", () => {
+		YAML.parse( "a: 1\n" ).should.be.deepEqual( { a: 1 } );
+	} );
+
+	it( "must map names of events into functions", () => {
+		( () => YAML.parse( "a: 1\n", { events: "onKey" } ) ).should.throw( TypeError );
+		( () => YAML.parse( "a: 1\n", { events: { onKey: true } } ) ).should.throw( TypeError );
+	} );
+
+	it( "may omit handlers of some events", () => {
+		const keys = [];
+
+		YAML.parse( "a: 1\nb:\n  - c\n", { events: { onKey: name => keys.push( name ) } } ).should.be.deepEqual( { a: 1, b: ["c"] } );
+
+		keys.should.be.deepEqual( [ "a", "b" ] );
+	} );
+
+	it( "describes block collections with positions", () => {
+		const log = [];
+
+		YAML.parse( "name: John\nlikes:\n  - bikes\n  - kind: car\n    count: 2\nempty:\n", { events: recorder( log ) } );
+
+		log.should.be.deepEqual( [
+			[ "mapping", [ 1, 1 ] ],
+			[ "key", "name", [ 1, 1, 1, 5 ] ],
+			[ "scalar", "John", [ 1, 7, 1, 11 ] ],
+			[ "key", "likes", [ 2, 1, 2, 6 ] ],
+			[ "sequence", [ 3, 3 ] ],
+			[ "scalar", "bikes", [ 3, 5, 3, 10 ] ],
+			[ "mapping", [ 4, 5 ] ],
+			[ "key", "kind", [ 4, 5, 4, 9 ] ],
+			[ "scalar", "car", [ 4, 11, 4, 14 ] ],
+			[ "key", "count", [ 5, 5, 5, 10 ] ],
+			[ "scalar", 2, [ 5, 12, 5, 13 ] ],
+			[ "end", [ 5, 13 ] ],
+			[ "end", [ 5, 13 ] ],
+			[ "key", "empty", [ 6, 1, 6, 6 ] ],
+			[ "mapping", [ 6, 6 ] ],
+			[ "end", [ 6, 6 ] ],
+			[ "end", [ 6, 6 ] ],
+		] );
+	} );
+
+	it( "describes flow collections with positions of their items", () => {
+		const log = [];
+
+		YAML.parse( "a: [ 1, { b: 'c' } ]\n", { events: recorder( log ) } );
+
+		log.should.be.deepEqual( [
+			[ "mapping", [ 1, 1 ] ],
+			[ "key", "a", [ 1, 1, 1, 2 ] ],
+			[ "sequence", [ 1, 4 ] ],
+			[ "scalar", 1, [ 1, 6, 1, 7 ] ],
+			[ "mapping", [ 1, 9 ] ],
+			[ "key", "b", [ 1, 11, 1, 12 ] ],
+			[ "scalar", "c", [ 1, 14, 1, 17 ] ],
+			[ "end", [ 1, 19 ] ],
+			[ "end", [ 1, 21 ] ],
+			[ "end", [ 1, 21 ] ],
+		] );
+	} );
+
+	it( "describes values of aliases and merged properties at position of alias", () => {
+		const log = [];
+
+		YAML.parse( "a: &x [1]\nb: &y {k: v}\nc:\n  <<: *y\n  d: *x\n", { events: recorder( log ) } );
+
+		log.slice( 10 ).should.be.deepEqual( [
+			[ "key", "c", [ 3, 1, 3, 2 ] ],
+			[ "mapping", [ 4, 3 ] ],
+			[ "key", "k", [ 4, 7, 4, 9 ] ],
+			[ "scalar", "v", [ 4, 7, 4, 9 ] ],
+			[ "key", "d", [ 5, 3, 5, 4 ] ],
+			[ "sequence", [ 5, 6 ] ],
+			[ "scalar", 1, [ 5, 6, 5, 8 ] ],
+			[ "end", [ 5, 8 ] ],
+			[ "end", [ 5, 8 ] ],
+			[ "end", [ 5, 8 ] ],
+		] );
+	} );
+
+	it( "describes every document of a stream", () => {
+		const log = [];
+
+		YAML.parseAll( "a: 1\n---\n- b\n", { events: recorder( log ) } );
+
+		log.should.be.deepEqual( [
+			[ "mapping", [ 1, 1 ] ],
+			[ "key", "a", [ 1, 1, 1, 2 ] ],
+			[ "scalar", 1, [ 1, 4, 1, 5 ] ],
+			[ "end", [ 1, 5 ] ],
+			[ "sequence", [ 3, 1 ] ],
+			[ "scalar", "b", [ 3, 3, 3, 4 ] ],
+			[ "end", [ 3, 4 ] ],
+		] );
+	} );
+
+	it( "is supported by incremental parser", () => {
+		const log = [];
+		const parser = YAML.createParser( { events: recorder( log ) } );
+
+		"a:\n  - 1\n".split( "" ).forEach( ch => parser.write( ch ) );
+		parser.end();
+
+		log.should.be.deepEqual( [
+			[ "mapping", [ 1, 1 ] ],
+			[ "key", "a", [ 1, 1, 1, 2 ] ],
+			[ "sequence", [ 2, 3 ] ],
+			[ "scalar", 1, [ 2, 5, 2, 6 ] ],
+			[ "end", [ 2, 6 ] ],
+			[ "end", [ 2, 6 ] ],
+		] );
+	} );
+} );
@@ -0,0 +1,108 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML } = require( "../../" );
+
+
+describe( "Flow collections", () => {
+	it( "are read as sequences and mappings", () => {
+		YAML.parse( "a: [1, two, 'three']\nb: {c: 1, \"d e\": f}\n" ).should.be.deepEqual( { a: [ 1, "two", "three" ], b: { c: 1, "d e": "f" } } );
+	} );
+
+	it( "may be empty", () => {
+		YAML.parse( "a: []\nb: {}\n" ).should.be.deepEqual( { a: [], b: {} } );
+	} );
+
+	it( "may be nested", () => {
+		YAML.parse( "a: [[1, 2], {b: [3]}, []]\n" ).should.be.deepEqual( { a: [ [ 1, 2 ], { b: [3] }, [] ] } );
+	} );
+
+	it( "may be nested deeply without tracking positions of nested items repeatedly", () => {
+		const depth = 20000;
+		const code = "a: " + "[".repeat( depth ) + "]".repeat( depth ) + "\n";
+		let data = YAML.parse( code, { maxDepth: Infinity } ).a;
+
+		for ( let i = 1; i < depth; i++ ) {
+			data.should.be.an.Array().which.has.length( 1 );
+			data = data[0];
+		}
+
+		data.should.be.deepEqual( [] );
+
+		const positions = {};
+
+		YAML.parse( "a: " + "[".repeat( 2000 ) + "]".repeat( 2000 ) + "\n", { maxDepth: Infinity, positions } );
+
+		positions.should.have.property( "/a" + "/0".repeat( 1999 ) ).which.has.properties( { line: 1, column: 2003 } );
+	} );
+
+	it( "may span multiple lines", () => {
+		YAML.parse( "a: [\n  1,\n  2, # comment\n  {b: c}\n]\n" ).should.be.deepEqual( { a: [ 1, 2, { b: "c" } ] } );
+	} );
+
+	it( "accept trailing comma", () => {
+		YAML.parse( "a: [1, 2,]\nb: {c: 1,}\n" ).should.be.deepEqual( { a: [ 1, 2 ], b: { c: 1 } } );
+	} );
+
+	it( "may be used as items of block sequences", () => {
+		YAML.parse( "- [1, 2]\n- {a: b}\n" ).should.be.deepEqual( [ [ 1, 2 ], { a: "b" } ] );
+	} );
+
+	it( "reject missing closing bracket at opening bracket", () => {
+		( () => YAML.parse( "a: [1, 2\n" ) ).should.throw( { code: "bracket", line: 1, column: 4 } );
+		( () => YAML.parse( "a: [1, 2" ) ).should.throw( { code: "bracket", line: 1, column: 4 } );
+		( () => YAML.parse( "a: {b: 1,\n  c: [2\n" ) ).should.throw( { code: "bracket", line: 2, column: 6 } );
+		( () => YAML.parse( "e: [1, 2\nf: ok\n" ) ).should.throw( { code: "bracket", line: 1, column: 4 } );
+		( () => YAML.parse( "e: {a: [1,\n  2\nf: ok\n" ) ).should.throw( { code: "bracket", line: 1, column: 8 } );
+	} );
+
+	it( "reject empty items", () => {
+		( () => YAML.parse( "a: [1,,2]\n" ) ).should.throw( { code: "character", line: 1, column: 7 } );
+		( () => YAML.parse( "a: [,1]\n" ) ).should.throw( { code: "character", line: 1, column: 5 } );
+		( () => YAML.parse( "a: {,b: 1}\n" ) ).should.throw( { code: "character", line: 1, column: 5 } );
+	} );
+
+	it( "reject superfluous closing bracket", () => {
+		( () => YAML.parse( "a: [1]]\n" ) ).should.throw( { code: "character", line: 1, column: 7 } );
+		( () => YAML.parse( "a: {b: 1}}\n" ) ).should.throw( { code: "character", line: 1, column: 10 } );
+		( () => YAML.parse( "a: [1}\n" ) ).should.throw( { code: "character", line: 1, column: 6 } );
+	} );
+
+	it( "reject content following closing bracket", () => {
+		( () => YAML.parse( "a: [1] x\n" ) ).should.throw( { code: "character", line: 1, column: 8 } );
+		( () => YAML.parse( "[1] x\n" ) ).should.throw( { code: "character", line: 1, column: 5 } );
+		YAML.parse( "a: [1] # comment\n" ).should.be.deepEqual( { a: [1] } );
+	} );
+} );
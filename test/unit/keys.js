@@ -0,0 +1,150 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML, YAMLSyntaxError } = require( "../../" );
+
+
+describe( "Names of properties", () => {
+	it( "may contain spaces", () => {
+		YAML.parse( "first name: John\nlast name : Doe\n" ).should.be.deepEqual( { "first name": "John", "last name": "Doe" } );
+		YAML.parse( "list:\n  - full name: Jane\n" ).should.be.deepEqual( { list: [{ "full name": "Jane" }] } );
+	} );
+
+	it( "may contain colons not followed by whitespace", () => {
+		YAML.parse( "http://example.com: home\na:b: c\n" ).should.be.deepEqual( { "http://example.com": "home", "a:b": "c" } );
+		YAML.parse( "url: http://example.com\n" ).should.be.deepEqual( { url: "http://example.com" } );
+		YAML.parse( "- a:b\n" ).should.be.deepEqual( ["a:b"] );
+	} );
+
+	it( "are split at first colon in lines lacking colon followed by whitespace", () => {
+		YAML.parse( "value:first\nlabel:First\n" ).should.be.deepEqual( { value: "first", label: "First" } );
+	} );
+
+	it( "may contain hashes not preceded by whitespace", () => {
+		YAML.parse( "a#b: 1\n" ).should.be.deepEqual( { "a#b": 1 } );
+		( () => YAML.parse( "a: 1\nb #c: 2\n" ) ).should.throw( /comment/ );
+	} );
+
+	it( "may start with dash not followed by whitespace", () => {
+		YAML.parse( "-x: 1\n" ).should.be.deepEqual( { "-x": 1 } );
+		YAML.parse( "a: b\n-c: 1\n" ).should.be.deepEqual( { a: "b", "-c": 1 } );
+		YAML.parse( "a:\n  b: 1\n  -x: 1\n" ).should.be.deepEqual( { a: { b: 1, "-x": 1 } } );
+	} );
+
+	it( "don't start with dash not followed by whitespace in a sequence", () => {
+		YAML.parse( "-first\n-x: 1\n" ).should.be.deepEqual( [ "first", { x: 1 } ] );
+		YAML.parse( "- a\n-x: 1\n" ).should.be.deepEqual( [ "a", { x: 1 } ] );
+	} );
+
+	it( "don't start with dash not followed by whitespace in first node below a key", () => {
+		YAML.parse( "a:\n  -x: 1\n   y: 2\n" ).should.be.deepEqual( { a: [{ x: 1, y: 2 }] } );
+		YAML.parse( "a:\n-x: 1\n" ).should.be.deepEqual( { a: [{ x: 1 }] } );
+	} );
+
+	it( "reject tags and anchors", () => {
+		( () => YAML.parse( "a: 1\n!!str 2: x\n" ) ).should.throw( YAMLSyntaxError, { code: "character", line: 2, column: 1 } );
+		( () => YAML.parse( "a: 1\n&a k: 1\n" ) ).should.throw( YAMLSyntaxError, { code: "character", line: 2, column: 1 } );
+		( () => YAML.parse( "&a k: 1\n" ) ).should.throw( YAMLSyntaxError, { code: "character", line: 1, column: 5 } );
+		( () => YAML.parse( "!!str 2: x\n" ) ).should.throw( YAMLSyntaxError, { code: "character", line: 1, column: 8 } );
+	} );
+} );
+
+describe( "Explicit keys", () => {
+	it( "are followed by value in separate line", () => {
+		YAML.parse( "? name\n: John\n" ).should.be.deepEqual( { name: "John" } );
+		YAML.parse( "? a key spanning\n  multiple lines\n: value\n" ).should.be.deepEqual( { "a key spanning multiple lines": "value" } );
+		YAML.parse( "? |\n  block\n: v\n" ).should.be.deepEqual( { "block\n": "v" } );
+	} );
+
+	it( "may be mixed with implicit keys", () => {
+		YAML.parse( "a: 1\n? b\n: 2\nc: 3\n" ).should.be.deepEqual( { a: 1, b: 2, c: 3 } );
+		YAML.parse( "m:\n  ? a\n  :\n    b: 1\n" ).should.be.deepEqual( { m: { a: { b: 1 } } } );
+	} );
+
+	it( "are named like implicit keys with same text", () => {
+		YAML.parse( "? y\n: 1\n" ).should.be.deepEqual( YAML.parse( "y: 1\n" ) ).and.be.deepEqual( { y: 1 } );
+		YAML.parse( "? 1.50\n: 1\n" ).should.be.deepEqual( { "1.50": 1 } );
+		YAML.parse( "? 0x10\n: 1\n" ).should.be.deepEqual( { "0x10": 1 } );
+		YAML.parse( "? !!int 0x10\n: 1\n" ).should.be.deepEqual( { 16: 1 } );
+	} );
+
+	it( "are null if lacking value", () => {
+		YAML.parse( "?\n: v\n" ).should.be.deepEqual( { null: "v" } );
+		YAML.parse( "?\n" ).should.be.deepEqual( { null: null } );
+		YAML.parse( "?\n: v\n", { maps: true } ).should.be.deepEqual( new Map( [[ null, "v" ]] ) );
+		YAML.parse( "?\n  - a\n: v\n" ).should.be.deepEqual( { "[ a ]": "v" } );
+	} );
+
+	it( "have null value unless followed by value", () => {
+		YAML.parse( "? a\n? b\nc: 1\n" ).should.be.deepEqual( { a: null, b: null, c: 1 } );
+		YAML.parse( "m:\n  ? a\nn: 1\n" ).should.be.deepEqual( { m: { a: null }, n: 1 } );
+		YAML.parse( "? a\n" ).should.be.deepEqual( { a: null } );
+	} );
+
+	it( "are converted into names of properties in flow style if keys are collections", () => {
+		YAML.parse( "? [a, b]\n: 1\n" ).should.be.deepEqual( { "[ a, b ]": 1 } );
+		YAML.parse( "? - a\n  - b\n: 1\n? x: 1\n: 2\n" ).should.be.deepEqual( { "[ a, b ]": 1, "{ x: 1 }": 2 } );
+		YAML.parse( "? 1.5\n: a\n" ).should.be.deepEqual( { 1.5: "a" } );
+	} );
+
+	it( "support values in compact notation", () => {
+		YAML.parse( "? a\n: - 1\n  - 2\n" ).should.be.deepEqual( { a: [ 1, 2 ] } );
+	} );
+
+	it( "are subject to policy on duplicate keys", () => {
+		( () => YAML.parse( "a: 1\n? a\n: 2\n", { duplicateKeys: "error" } ) ).should.throw( /line 3, column 1/ );
+		YAML.parse( "a: 1\n? a\n: 2\n", { duplicateKeys: "first" } ).should.be.deepEqual( { a: 1 } );
+	} );
+
+	it( "are described by events and positions", () => {
+		const events = [];
+		const positions = {};
+
+		YAML.parse( "? [a, b]\n: 1\n", {
+			positions,
+			events: {
+				onKey: name => events.push( "key " + name ),
+				onScalar: value => events.push( "scalar " + value ),
+			},
+		} );
+
+		events.should.be.deepEqual( [ "key [ a, b ]", "scalar 1" ] );
+		positions.should.have.property( "/[ a, b ]" ).which.has.property( "key" ).which.has.properties( { line: 1, column: 1 } );
+	} );
+
+	it( "reject value lacking explicit key", () => {
+		( () => YAML.parse( "a: 1\n: 2\n" ) ).should.throw( /line 2, column 1/ );
+	} );
+} );
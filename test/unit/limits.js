@@ -0,0 +1,185 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML, YAMLSyntaxError } = require( "../../" );
+
+
+/**
+ * Parses provided code expecting to fail due to exceeding a limit.
+ *
+ * @param {string} code YAML code to be parsed
+ * @param {object} options parser options
+ * @param {int} line expected line of error
+ * @param {int} column expected column of error
+ * @returns {void}
+ */
+function exceeds( code, options, line, column ) {
+	( () => YAML.parseAll( code, options ) ).should.throw( YAMLSyntaxError, { code: "limit", line, column } );
+}
+
+describe( "Limits", () => {
+	it( "must be positive integers or `Infinity`", () => {
+		[ "maxLength", "maxDepth", "maxKeys", "maxScalarLength" ].forEach( name => {
+			[ 0, -1, 2.5, "10", NaN, true ].forEach( value => {
+				( () => YAML.parse( "a: 1\n", { [name]: value } ) ).should.throw( TypeError );
+			} );
+
+			YAML.parse( "a: 1\n", { [name]: Infinity } ).should.be.deepEqual( { a: 1 } );
+		} );
+	} );
+
+	it( "are applied by default on parsing untrusted code", () => {
+		exceeds( "a: " + "[".repeat( 100 ) + "]".repeat( 100 ) + "\n", { untrusted: true }, 1, 103 );
+		exceeds( "a: '" + "x".repeat( ( 1024 * 1024 ) + 1 ) + "'\n", { untrusted: true }, 1, 4 );
+	} );
+
+	it( "are disabled by default except for `maxDepth`", () => {
+		YAML.parse( "a: " + "[".repeat( 98 ) + "]".repeat( 98 ) + "\n" ).a.should.be.an.Array();
+		YAML.parse( "a: '" + "x".repeat( ( 1024 * 1024 ) + 1 ) + "'\n" ).a.should.have.length( ( 1024 * 1024 ) + 1 );
+
+		exceeds( "a: " + "[".repeat( 100 ) + "]".repeat( 100 ) + "\n", {}, 1, 103 );
+	} );
+
+	it( "reject deeply nested code quickly by default", () => {
+		const start = Date.now();
+
+		exceeds( "a: " + "[".repeat( 20000 ) + "]".repeat( 20000 ) + "\n", {}, 1, 103 );
+
+		( Date.now() - start ).should.be.below( 1000 );
+	} );
+
+	it( "can be replaced individually on parsing untrusted code", () => {
+		YAML.parse( "a: [[1]]\n", { untrusted: true, maxDepth: 3 } ).should.be.deepEqual( { a: [[1]] } );
+
+		exceeds( "a: [[1]]\n", { untrusted: true, maxDepth: 2 }, 1, 5 );
+		exceeds( "a: '" + "x".repeat( ( 1024 * 1024 ) + 1 ) + "'\n", { untrusted: true, maxDepth: 2 }, 1, 4 );
+	} );
+
+	it( "don't apply to incremental parser by default", function() {
+		this.timeout( 10000 );
+
+		const parser = YAML.createParser();
+		const chunk = "- " + "x".repeat( 512 * 1024 ) + "\n";
+		let count = 0;
+
+		parser.on( "entry", () => count++ );
+
+		for ( let i = 0; i < 21; i++ ) {
+			parser.write( chunk );
+		}
+
+		parser.end();
+
+		count.should.be.equal( 21 );
+	} );
+
+	it( "apply to incremental parser on parsing untrusted code", function() {
+		this.timeout( 10000 );
+
+		const parser = YAML.createParser( { untrusted: true } );
+		const chunk = "- " + "x".repeat( 512 * 1024 ) + "\n";
+
+		( () => {
+			for ( let i = 0; i < 21; i++ ) {
+				parser.write( chunk );
+			}
+		} ).should.throw( YAMLSyntaxError, { code: "limit" } );
+	} );
+
+	it( "reject documents exceeding `maxLength`", () => {
+		YAML.parse( "a: 1\nb: 2\n", { maxLength: 10 } ).should.be.deepEqual( { a: 1, b: 2 } );
+
+		exceeds( "a: 1\nb: 2\n", { maxLength: 8 }, 2, 4 );
+		exceeds( "a: 1\nb: 2", { maxLength: 8 }, 2, 4 );
+	} );
+
+	it( "apply `maxLength` per document of a stream", () => {
+		YAML.parseAll( "a: 1\n---\nb: 2\n", { maxLength: 9 } ).should.be.deepEqual( [ { a: 1 }, { b: 2 } ] );
+
+		exceeds( "a: 1\n---\nb: 2\n", { maxLength: 8 }, 3, 5 );
+	} );
+
+	it( "reject long lines in incremental parser before scanning them", () => {
+		const parser = YAML.createParser( { maxLength: 20 } );
+
+		parser.write( "a: 1\nb: 2\nc: 3" );
+
+		( () => parser.write( "3".repeat( 20 ) ) ).should.throw( YAMLSyntaxError, { code: "limit", line: 3, column: 11, offset: 20 } );
+	} );
+
+	it( "reject collections nested deeper than `maxDepth`", () => {
+		YAML.parse( "a:\n  b: 1\n", { maxDepth: 2 } ).should.be.deepEqual( { a: { b: 1 } } );
+		YAML.parse( "a: [[1]]\n", { maxDepth: 3 } ).should.be.deepEqual( { a: [[1]] } );
+
+		exceeds( "a:\n  b:\n    c: 1\n", { maxDepth: 2 }, 2, 3 );
+		exceeds( "a: [[1]]\n", { maxDepth: 2 }, 1, 5 );
+		exceeds( "- - [1]\n", { maxDepth: 2 }, 1, 3 );
+	} );
+
+	it( "reject documents with more keys and items than `maxKeys`", () => {
+		YAML.parse( "a: 1\nb: [1, 2]\n", { maxKeys: 4 } ).should.be.deepEqual( { a: 1, b: [ 1, 2 ] } );
+
+		exceeds( "a: 1\nb: 2\nc: 3\n", { maxKeys: 2 }, 3, 1 );
+		exceeds( "a: 1\nb: [1, 2]\n", { maxKeys: 3 }, 2, 1 );
+	} );
+
+	it( "count keys and items of aliased collections on every alias", () => {
+		YAML.parse( "a: &x [1, 2]\nb: *x\n", { maxKeys: 6 } ).should.be.deepEqual( { a: [ 1, 2 ], b: [ 1, 2 ] } );
+
+		exceeds( "a: &x [1, 2]\nb: *x\n", { maxKeys: 5 }, 2, 4 );
+	} );
+
+	it( "reject exponential expansion of aliases on parsing untrusted code", () => {
+		const lines = ["a0: &a0 [x, x, x, x, x, x, x, x, x, x]"];
+
+		for ( let i = 1; i < 10; i++ ) {
+			lines.push( `a${i}: &a${i} [${new Array( 10 ).fill( `*a${i - 1}` ).join( ", " )}]` );
+		}
+
+		( () => YAML.parse( lines.join( "\n" ) + "\n", { untrusted: true } ) ).should.throw( YAMLSyntaxError, { code: "limit" } );
+	} );
+
+	it( "reject keys and values longer than `maxScalarLength`", () => {
+		YAML.parse( "abc: def\n", { maxScalarLength: 3 } ).should.be.deepEqual( { abc: "def" } );
+
+		exceeds( "abcd: 1\n", { maxScalarLength: 3 }, 1, 1 );
+		exceeds( "a: abcd\n", { maxScalarLength: 3 }, 1, 4 );
+		exceeds( "a: |\n  ab\n  cd\n", { maxScalarLength: 3 }, 1, 4 );
+		exceeds( "a: [abcd]\n", { maxScalarLength: 3 }, 1, 9 );
+	} );
+
+	it( "are enforced in recovery mode", () => {
+		exceeds( "a: 1\nb: 2\nc: 3\n", { maxKeys: 2, recover: true }, 3, 1 );
+	} );
+} );
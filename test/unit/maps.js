@@ -0,0 +1,155 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML } = require( "../../" );
+
+
+describe( "Option `maps`", () => {
+	it( "creates instance of Map for every mapping", () => {
+		const data = YAML.parse( "a:\n  b: 1\nc: [{ d: 2 }]\ne: { f: 3 }\n", { maps: true } );
+
+		data.should.be.instanceOf( Map );
+		data.get( "a" ).should.be.instanceOf( Map );
+		data.get( "a" ).get( "b" ).should.be.equal( 1 );
+		data.get( "c" )[0].should.be.instanceOf( Map );
+		data.get( "e" ).get( "f" ).should.be.equal( 3 );
+	} );
+
+	it( "keeps order of keys", () => {
+		const data = YAML.parse( "10: a\n2: b\n1: c\nx: d\n", { maps: true } );
+
+		Array.from( data.keys() ).should.be.deepEqual( [ 10, 2, 1, "x" ] );
+		Object.keys( YAML.parse( "10: a\n2: b\n1: c\nx: d\n" ) ).should.be.deepEqual( [ "1", "2", "10", "x" ] );
+	} );
+
+	it( "keeps type of non-quoted keys", () => {
+		const data = YAML.parse( "true: a\n1.5: b\nnull: c\n\"2\": d\n", { maps: true } );
+
+		Array.from( data.keys() ).should.be.deepEqual( [ true, 1.5, null, "2" ] );
+
+		const flow = YAML.parse( "{ 3: e, '4': f }\n", { maps: true } );
+
+		Array.from( flow.keys() ).should.be.deepEqual( [ 3, "4" ] );
+	} );
+
+	it( "uses values of explicit keys as keys", () => {
+		const data = YAML.parse( "? [a, b]\n: 1\n? - c\n: 2\n", { maps: true } );
+		const keys = Array.from( data.keys() );
+
+		keys.should.be.deepEqual( [ [ "a", "b" ], ["c"] ] );
+		data.get( keys[0] ).should.be.equal( 1 );
+	} );
+
+	it( "supports merge keys, aliases, tags and reviver", () => {
+		const data = YAML.parse( "base: &b { k: 1 }\nmerged:\n  <<: *b\n  z: 2\ncopy: *b\ntagged: !!map { t: 1 }\n", {
+			maps: true,
+			reviver: ( key, value ) => ( key === "z" ? value * 10 : value ),
+		} );
+
+		Array.from( data.get( "merged" ).entries() ).should.be.deepEqual( [ [ "k", 1 ], [ "z", 20 ] ] );
+		data.get( "copy" ).should.be.equal( data.get( "base" ) );
+		data.get( "tagged" ).get( "t" ).should.be.equal( 1 );
+	} );
+
+	it( "applies policy on duplicate keys", () => {
+		( () => YAML.parse( "a: 1\na: 2\n", { maps: true, duplicateKeys: "error" } ) ).should.throw( /line 2/ );
+		YAML.parse( "a: 1\na: 2\n", { maps: true, duplicateKeys: "first" } ).get( "a" ).should.be.equal( 1 );
+	} );
+
+	it( "considers type of keys on applying policy on duplicate keys", () => {
+		YAML.parse( "1: a\n\"1\": b\n", { maps: true, duplicateKeys: "first" } ).should.be.deepEqual( new Map( [ [ 1, "a" ], [ "1", "b" ] ] ) );
+		YAML.parse( "1: a\n\"1\": b\n", { maps: true, duplicateKeys: "error" } ).should.be.deepEqual( new Map( [ [ 1, "a" ], [ "1", "b" ] ] ) );
+		YAML.parse( "{1: a, \"1\": b}\n", { maps: true, duplicateKeys: "error" } ).should.be.deepEqual( new Map( [ [ 1, "a" ], [ "1", "b" ] ] ) );
+
+		( () => YAML.parse( "1: a\n0x1: b\n", { maps: true, duplicateKeys: "error" } ) ).should.throw( /line 2/ );
+	} );
+
+	it( "is rejected by documents", () => {
+		( () => YAML.parseDocument( "a: 1\n", { maps: true } ) ).should.throw( TypeError );
+	} );
+} );
+
+describe( "YAML.toObject()", () => {
+	it( "is a function", () => {
+		YAML.should.have.property( "toObject" ).which.is.a.Function();
+	} );
+
+	it( "deeply converts every Map into plain object", () => {
+		const data = YAML.parse( "10: ten\nlist:\n  - true: 1\n? [a, b]\n: x\n", { maps: true } );
+
+		YAML.toObject( data ).should.be.deepEqual( { 10: "ten", list: [{ true: 1 }], "[ a, b ]": "x" } );
+	} );
+
+	it( "uses names of keys as given in code", () => {
+		[
+			"y: 1\n0x10: 2\n1.0: 3\n",
+			"{y: 1, 0x10: 2, 1.0: 3}\n",
+			"- [0x10: 1]\n- {0x10, y}\n",
+			"a: &a\n  0x10: 1\nb: *a\nc:\n  <<: *a\n  y: 2\n",
+			"? y\n: 1\n? 1.50\n: 2\n",
+		].forEach( code => {
+			const data = YAML.toObject( YAML.parse( code, { maps: true } ) );
+			const expected = YAML.parse( code );
+
+			data.should.be.deepEqual( expected );
+			JSON.stringify( data ).should.be.equal( JSON.stringify( expected ) );
+		} );
+
+		YAML.toObject( YAML.parse( "a: &a\n  0x10: 1\nb: *a\n", { maps: true, cloneAliases: true } ) ).b.should.have.property( "0x10" );
+	} );
+
+	it( "passes other values as is", () => {
+		const date = new Date();
+
+		YAML.toObject( [ 1, "a", null, date ] ).should.be.deepEqual( [ 1, "a", null, date ] );
+		YAML.toObject( { a: { b: 1 } } ).should.be.deepEqual( { a: { b: 1 } } );
+	} );
+} );
+
+describe( "YAML.stringify() with instances of Map", () => {
+	it( "renders keys in order and quotes strings read as different type", () => {
+		const data = new Map( [ [ 10, "a" ], [ 2, "b" ], [ "3", "c" ], [ "x", new Map( [[ true, 1 ]] ) ] ] );
+
+		YAML.stringify( data ).should.be.equal( '10: a\n2: b\n"3": c\nx:\n  true: 1\n' );
+		YAML.stringify( { flow: [new Map( [[ 1, 2 ]] )] } ).should.be.equal( "flow:\n  - 1: 2\n" );
+	} );
+
+	it( "produces code parsed into equivalent data", () => {
+		const code = "10: a\n\"2\": b\nm: { 9: c, 1: d }\n";
+		const data = YAML.parse( code, { maps: true } );
+
+		YAML.parse( YAML.stringify( data ), { maps: true } ).should.be.deepEqual( data );
+	} );
+} );
@@ -0,0 +1,109 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML, YAMLSyntaxError } = require( "../../" );
+
+
+describe( "Multi-line scalars", () => {
+	it( "are supported in plain style", () => {
+		YAML.parse( "a: one\n  two\n  three\nb: 1\n" ).should.be.deepEqual( { a: "one two three", b: 1 } );
+		YAML.parse( "- one\n  two\n- three\n" ).should.be.deepEqual( [ "one two", "three" ] );
+		YAML.parse( "a:\n  b: one\n    two\n  c: 3\n" ).should.be.deepEqual( { a: { b: "one two", c: 3 } } );
+	} );
+
+	it( "may start in line below their key or item", () => {
+		YAML.parse( "help:\n  Long text\n  wrapped\nb: 1\n" ).should.be.deepEqual( { help: "Long text wrapped", b: 1 } );
+		YAML.parse( "a:\n  \"one\n  two\"\nb: 'x'\n" ).should.be.deepEqual( { a: "one two", b: "x" } );
+		YAML.parse( "a:\n  b:\n    one\n  c: [ 1,\n    2 ]\n" ).should.be.deepEqual( { a: { b: "one", c: [ 1, 2 ] } } );
+		YAML.parse( "-\n  one\n  two\n- three\n" ).should.be.deepEqual( [ "one two", "three" ] );
+		YAML.parse( "a: !!str\n  12\nb:\n  &x foo\nc: *x\n" ).should.be.deepEqual( { a: "12", b: "foo", c: "foo" } );
+
+		( () => YAML.parse( "a:\n  one\n  b: two\n" ) ).should.throw( YAMLSyntaxError, { code: "indentation", line: 3 } );
+
+		const positions = {};
+
+		YAML.parse( "a:\n  one\n  two\n", { positions } );
+
+		positions["/a"].should.have.properties( { line: 2, column: 3, endLine: 3, endColumn: 6 } );
+		positions["/a"].key.should.have.properties( { line: 1, column: 1 } );
+	} );
+
+	it( "are supported in double-quoted style", () => {
+		YAML.parse( "a: \"one\n  two\"\nb: 1\n" ).should.be.deepEqual( { a: "one two", b: 1 } );
+	} );
+
+	it( "are supported in single-quoted style", () => {
+		YAML.parse( "a: 'one\n  two'\nb: 1\n" ).should.be.deepEqual( { a: "one two", b: 1 } );
+	} );
+
+	it( "are supported as quoted items of flow collections", () => {
+		YAML.parse( "a: [ \"x\n  y\", 'p\n  q' ]\n" ).should.be.deepEqual( { a: [ "x y", "p q" ] } );
+	} );
+
+	it( "fold empty lines into line breaks", () => {
+		YAML.parse( "a: one\n  two\n\n  three\n" ).should.be.deepEqual( { a: "one two\nthree" } );
+		YAML.parse( "a: \"one\n\n\n  two\"\n" ).should.be.deepEqual( { a: "one\n\ntwo" } );
+	} );
+
+	it( "ignore varying indentation of continuation lines", () => {
+		YAML.parse( "a: one\n     two\n  three\n" ).should.be.deepEqual( { a: "one two three" } );
+	} );
+
+	it( "are terminated by comments", () => {
+		YAML.parse( "a: one\n  two # note\nb: 1\n" ).should.be.deepEqual( { a: "one two", b: 1 } );
+		YAML.parse( "a: one\n# note\nb: 1\n" ).should.be.deepEqual( { a: "one", b: 1 } );
+	} );
+
+	it( "support CRLF line breaks", () => {
+		YAML.parse( "a: one\r\n  two\r\nb: \"x\r\n  y\"\r\n" ).should.be.deepEqual( { a: "one two", b: "x y" } );
+	} );
+
+	it( "reject continuation lines which aren't indented deeper than containing node", () => {
+		( () => YAML.parse( "a: \"one\nb: 1\n" ) ).should.throw( YAMLSyntaxError, { code: "quote", line: 1, column: 4 } );
+		( () => YAML.parse( "a: [\"one\nb: 1\n" ) ).should.throw( YAMLSyntaxError, { code: "quote", line: 1, column: 5 } );
+	} );
+
+	it( "reject continuation lines looking like a mapping", () => {
+		( () => YAML.parse( "a: one\n  b: two\n" ) ).should.throw( YAMLSyntaxError, { code: "indentation", line: 2 } );
+	} );
+
+	it( "expose range of source code covering all lines", () => {
+		const positions = {};
+
+		YAML.parse( "a: one\n  two\n", { positions } );
+
+		positions["/a"].should.have.properties( { line: 1, column: 4, endLine: 2, endColumn: 6 } );
+	} );
+} );
@@ -0,0 +1,123 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML } = require( "../../" );
+
+
+describe( "Numeric scalars", () => {
+	it( "are read in decimal notation", () => {
+		YAML.parse( "- 12\n- -3\n- +4\n- 007\n- 1.5\n- 1.\n- .5\n- -.5\n" ).should.be.deepEqual( [ 12, -3, 4, 7, 1.5, 1, 0.5, -0.5 ] );
+	} );
+
+	it( "are read in exponential notation", () => {
+		YAML.parse( "- 1e3\n- 1.5E-2\n- -2e+2\n" ).should.be.deepEqual( [ 1000, 0.015, -200 ] );
+	} );
+
+	it( "are read as hexadecimal, octal or binary integers", () => {
+		YAML.parse( "- 0x1F\n- 0xff\n- 0o17\n- 0b101\n- -0x10\n" ).should.be.deepEqual( [ 31, 255, 15, 5, -16 ] );
+	} );
+
+	it( "may contain underscores for grouping digits", () => {
+		YAML.parse( "- 1_000\n- 1_000.000_5\n- 0xFF_FF\n- 0b1010_1010\n" ).should.be.deepEqual( [ 1000, 1000.0005, 65535, 170 ] );
+	} );
+
+	it( "support infinity and not-a-number", () => {
+		const data = YAML.parse( "- .inf\n- -.Inf\n- +.INF\n- .nan\n- .NaN\n- .NAN\n" );
+
+		data.slice( 0, 3 ).should.be.deepEqual( [ Infinity, -Infinity, Infinity ] );
+		data.slice( 3 ).forEach( value => value.should.be.NaN() );
+	} );
+
+	it( "are read in flow collections, too", () => {
+		YAML.parse( "a: [1e3, 0x1F, .inf]\n" ).should.be.deepEqual( { a: [ 1000, 31, Infinity ] } );
+	} );
+
+	it( "keep invalid literals as strings", () => {
+		YAML.parse( "- 1.2.3\n- 0x_1\n- 0o8\n- 0b2\n- _1\n- 1e\n- .infinity\n" ).should.be.deepEqual( [
+			"1.2.3", "0x_1", "0o8", "0b2", "_1", "1e", ".infinity",
+		] );
+	} );
+
+	it( "are quoted on rendering strings looking like numbers", () => {
+		YAML.stringify( [ "1e3", "0x1F", "1_000", ".nan" ] ).should.be.equal( '- "1e3"\n- "0x1F"\n- "1_000"\n- ".nan"\n' );
+	} );
+} );
+
+describe( "Option `unsafeIntegers`", () => {
+	const code = "a: 12345678901234567890\nb: -0x1234567890ABCDEF0\nc: [99999999999999999999]\nd: 42\n";
+
+	it( "converts unsafe integers to numbers by default", () => {
+		YAML.parse( code ).should.be.deepEqual( {
+			a: 12345678901234567890,
+			b: -0x1234567890ABCDEF0,
+			c: [99999999999999999999],
+			d: 42,
+		} );
+	} );
+
+	it( "optionally converts unsafe integers to BigInt", () => {
+		const data = YAML.parse( code, { unsafeIntegers: "bigint" } );
+
+		( typeof data.a ).should.be.equal( "bigint" );
+		data.a.toString().should.be.equal( "12345678901234567890" );
+		data.b.toString().should.be.equal( "-20988295476718395120" );
+		data.c[0].toString().should.be.equal( "99999999999999999999" );
+		data.d.should.be.equal( 42 );
+	} );
+
+	it( "optionally keeps unsafe integers as strings", () => {
+		YAML.parse( code, { unsafeIntegers: "string" } ).should.be.deepEqual( {
+			a: "12345678901234567890",
+			b: "-0x1234567890ABCDEF0",
+			c: ["99999999999999999999"],
+			d: 42,
+		} );
+	} );
+
+	it( "applies to every schema", () => {
+		YAML.parse( "a: 12345678901234567890\n", { schema: "core", unsafeIntegers: "string" } ).should.be.deepEqual( { a: "12345678901234567890" } );
+		YAML.parse( "a: 12345678901234567890\n", { schema: "json", unsafeIntegers: "string" } ).should.be.deepEqual( { a: "12345678901234567890" } );
+	} );
+
+	it( "produces BigInt values rendered as integers", () => {
+		YAML.stringify( YAML.parse( code, { unsafeIntegers: "bigint" } ) ).should.be.equal(
+			"a: 12345678901234567890\nb: -20988295476718395120\nc:\n  - 99999999999999999999\nd: 42\n"
+		);
+	} );
+
+	it( "rejects invalid modes", () => {
+		( () => YAML.parse( code, { unsafeIntegers: "float" } ) ).should.throw( TypeError );
+	} );
+} );
@@ -0,0 +1,149 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML } = require( "../../" );
+
+
+/**
+ * Creates description of a range in code.
+ *
+ * @param {int} line line of range's first character
+ * @param {int} column column of range's first character
+ * @param {int} endLine line of range's last character
+ * @param {int} endColumn column right after range's last character
+ * @param {object=} key range of related key
+ * @returns {object} description of range
+ */
+function range( line, column, endLine, endColumn, key ) {
+	const result = { line, column, endLine, endColumn };
+
+	if ( key ) {
+		result.key = key;
+	}
+
+	return result;
+}
+
+describe( "Option `positions`", () => {
+	it( "is ignored by default", () => {
+		YAML.parse( "a: 1\n" ).should.be.deepEqual( { a: 1 } );
+	} );
+
+	it( "collects ranges of keys and values in a mapping", () => {
+		const positions = {};
+
+		YAML.parse( "name: John\nage:  42   # years\n", { positions } ).should.be.deepEqual( { name: "John", age: 42 } );
+
+		positions.should.be.deepEqual( {
+			"": range( 1, 1, 2, 9 ),
+			"/name": range( 1, 7, 1, 11, range( 1, 1, 1, 5 ) ),
+			"/age": range( 2, 7, 2, 9, range( 2, 1, 2, 4 ) ),
+		} );
+	} );
+
+	it( "collects ranges of nested collections and their items", () => {
+		const positions = {};
+
+		YAML.parse( "list:\n  - a\n  - 'b c'\n  - x: 1\n", { positions } );
+
+		positions["/list"].should.be.deepEqual( range( 2, 3, 4, 9, range( 1, 1, 1, 5 ) ) );
+		positions["/list/0"].should.be.deepEqual( range( 2, 5, 2, 6 ) );
+		positions["/list/1"].should.be.deepEqual( range( 3, 5, 3, 10 ) );
+		positions["/list/2"].should.be.deepEqual( range( 4, 5, 4, 9 ) );
+		positions["/list/2/x"].should.be.deepEqual( range( 4, 8, 4, 9, range( 4, 5, 4, 6 ) ) );
+	} );
+
+	it( "covers all lines of folded values", () => {
+		const positions = {};
+
+		YAML.parse( "text: |\n  hello\n  world\n\nnext: 1\n", { positions } );
+
+		positions["/text"].should.be.deepEqual( range( 1, 7, 3, 8, range( 1, 1, 1, 5 ) ) );
+	} );
+
+	it( "collects ranges of items in flow collections", () => {
+		const positions = {};
+
+		YAML.parse( "a: {p: [1, 22], \"q\": x}\n", { positions } );
+
+		positions["/a"].should.be.deepEqual( range( 1, 4, 1, 24, range( 1, 1, 1, 2 ) ) );
+		positions["/a/p"].should.be.deepEqual( range( 1, 8, 1, 15, range( 1, 5, 1, 6 ) ) );
+		positions["/a/p/1"].should.be.deepEqual( range( 1, 12, 1, 14 ) );
+		positions["/a/q"].should.be.deepEqual( range( 1, 22, 1, 23, range( 1, 17, 1, 20 ) ) );
+	} );
+
+	it( "escapes names of properties in JSON pointers", () => {
+		const positions = {};
+
+		YAML.parse( "\"a/b~c\": 1\n", { positions } );
+
+		positions.should.have.property( "/a~1b~0c" );
+	} );
+
+	it( "prefixes pointers with index of document on parsing streams", () => {
+		const positions = {};
+
+		YAML.parseAll( "a: 1\n---\n- b\n", { positions } );
+
+		positions.should.have.properties( "/0", "/0/a", "/1", "/1/0" );
+		positions["/1/0"].should.be.deepEqual( range( 3, 3, 3, 4 ) );
+	} );
+
+	it( "locates items of aliased collections at the alias", () => {
+		const positions = {};
+
+		YAML.parse( "a: &x {p: 1, q: [2]}\nb: *x\nc: [*x]\n", { positions } );
+
+		positions["/b"].should.be.deepEqual( range( 2, 4, 2, 6, range( 2, 1, 2, 2 ) ) );
+		positions["/b/p"].should.be.deepEqual( range( 2, 4, 2, 6, range( 2, 4, 2, 6 ) ) );
+		positions["/b/q/0"].should.be.deepEqual( range( 2, 4, 2, 6 ) );
+		positions["/c/0/p"].should.be.deepEqual( range( 3, 5, 3, 7, range( 3, 5, 3, 7 ) ) );
+	} );
+
+	it( "locates merged properties at the merged value", () => {
+		const positions = {};
+
+		YAML.parse( "a: &x {p: 1}\nc:\n  <<: *x\n  r: 2\nd: {<<: *x}\n", { positions } );
+
+		positions["/c/p"].should.be.deepEqual( range( 3, 7, 3, 9, range( 3, 7, 3, 9 ) ) );
+		positions["/c/r"].should.be.deepEqual( range( 4, 6, 4, 7, range( 4, 3, 4, 4 ) ) );
+		positions["/d/p"].should.be.deepEqual( range( 5, 9, 5, 11, range( 5, 9, 5, 11 ) ) );
+	} );
+
+	it( "must be an object", () => {
+		( () => YAML.parse( "a: 1\n", { positions: 5 } ) ).should.throw( TypeError );
+		( () => YAML.parse( "a: 1\n", { positions: [] } ) ).should.throw( TypeError );
+	} );
+} );
@@ -0,0 +1,122 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+const Should = require( "should" );
+
+const { YAML, YAMLSyntaxError } = require( "../../" );
+
+
+describe( "Properties named `__proto__`", () => {
+	it( "are stored as own properties in block mappings", () => {
+		const data = YAML.parse( "__proto__:\n  polluted: true\na:\n  __proto__: 1\n" );
+
+		Object.getPrototypeOf( data ).should.be.equal( Object.prototype );
+		Object.keys( data ).should.be.deepEqual( [ "__proto__", "a" ] );
+		Should( data.polluted ).be.undefined();
+		data.__proto__.should.be.deepEqual( { polluted: true } ); // eslint-disable-line no-proto
+		data.a.__proto__.should.be.equal( 1 ); // eslint-disable-line no-proto
+	} );
+
+	it( "are stored as own properties in flow mappings", () => {
+		const data = YAML.parse( "a: {__proto__: {polluted: true}}\nb: [__proto__: 1]\nc: {__proto__}\n" );
+
+		Object.getPrototypeOf( data.a ).should.be.equal( Object.prototype );
+		Object.keys( data.a ).should.be.deepEqual( ["__proto__"] );
+		Should( data.a.polluted ).be.undefined();
+		Object.keys( data.b[0] ).should.be.deepEqual( ["__proto__"] );
+		Object.keys( data.c ).should.be.deepEqual( ["__proto__"] );
+	} );
+
+	it( "are stored as own properties on merging mappings", () => {
+		const data = YAML.parse( "a: &x {__proto__: {polluted: true}}\nb:\n  <<: *x\n" );
+
+		Object.getPrototypeOf( data.b ).should.be.equal( Object.prototype );
+		Object.keys( data.b ).should.be.deepEqual( ["__proto__"] );
+	} );
+
+	it( "are stored as own properties on cloning aliased data", () => {
+		const data = YAML.parse( "a: &x {__proto__: {polluted: true}}\nb: *x\n", { cloneAliases: true } );
+
+		Object.getPrototypeOf( data.b ).should.be.equal( Object.prototype );
+		Object.keys( data.b ).should.be.deepEqual( ["__proto__"] );
+	} );
+
+	it( "are rendered as properties", () => {
+		YAML.stringify( YAML.parse( "__proto__: 1\n" ) ).should.be.equal( "__proto__: 1\n" );
+	} );
+} );
+
+describe( "Names of anchors", () => {
+	it( "don't match properties of objects", () => {
+		( () => YAML.parse( "a: *constructor\n" ) ).should.throw( YAMLSyntaxError, { code: "alias" } );
+		( () => YAML.parse( "a: *__proto__\n" ) ).should.throw( YAMLSyntaxError, { code: "alias" } );
+	} );
+
+	it( "may be `__proto__`", () => {
+		YAML.parse( "a: &__proto__ 1\nb: *__proto__\n" ).should.be.deepEqual( { a: 1, b: 1 } );
+	} );
+} );
+
+describe( "Option `nullPrototype`", () => {
+	it( "creates all mappings without prototype", () => {
+		const data = YAML.parse( "a:\n  b: {c: 1}\n  d: [e: 1]\n", { nullPrototype: true } );
+
+		Should( Object.getPrototypeOf( data ) ).be.null();
+		Should( Object.getPrototypeOf( data.a ) ).be.null();
+		Should( Object.getPrototypeOf( data.a.b ) ).be.null();
+		Should( Object.getPrototypeOf( data.a.d[0] ) ).be.null();
+
+		JSON.stringify( data ).should.be.equal( '{"a":{"b":{"c":1},"d":[{"e":1}]}}' );
+	} );
+
+	it( "keeps mappings without prototype on cloning aliased data", () => {
+		const data = YAML.parse( "a: &x {b: 1}\nc: *x\n", { nullPrototype: true, cloneAliases: true } );
+
+		Should( Object.getPrototypeOf( data.c ) ).be.null();
+	} );
+} );
+
+describe( "Option `rejectUnsafeNames`", () => {
+	it( "rejects properties with unsafe names", () => {
+		[ "__proto__", "constructor", "prototype" ].forEach( name => {
+			( () => YAML.parse( `${name}: 1\n`, { rejectUnsafeNames: true } ) ).should.throw( YAMLSyntaxError, { code: "unsafe", line: 1, column: 1 } );
+			( () => YAML.parse( `a:\n  - ${name}:\n      b: 1\n`, { rejectUnsafeNames: true } ) ).should.throw( YAMLSyntaxError, { code: "unsafe", line: 2, column: 5 } );
+			( () => YAML.parse( `a: {b: 1, ${name}: 1}\n`, { rejectUnsafeNames: true } ) ).should.throw( YAMLSyntaxError, { code: "unsafe", line: 1, column: 11 } );
+			( () => YAML.parse( `a: [${name}: 1]\n`, { rejectUnsafeNames: true } ) ).should.throw( YAMLSyntaxError, { code: "unsafe", line: 1, column: 5 } );
+			( () => YAML.parse( `a: {${name}}\n`, { rejectUnsafeNames: true } ) ).should.throw( YAMLSyntaxError, { code: "unsafe", line: 1, column: 5 } );
+		} );
+	} );
+
+	it( "accepts unsafe names as values", () => {
+		YAML.parse( "a: constructor\nb: [__proto__]\n", { rejectUnsafeNames: true } ).should.be.deepEqual( { a: "constructor", b: ["__proto__"] } );
+	} );
+} );
@@ -0,0 +1,118 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML, YAMLSyntaxError } = require( "../../" );
+
+
+describe( "Recovering from errors", () => {
+	const code = "a: 1\n  b: 2\nc: [1, 2\nd: *x\ne:\n  f: \"open\n  g: 3\n";
+
+	it( "is not enabled by default", () => {
+		( () => YAML.parse( code ) ).should.throw( YAMLSyntaxError );
+	} );
+
+	it( "is enabled with option `recover`", () => {
+		( () => YAML.parse( code, { recover: true } ) ).should.not.throw();
+	} );
+
+	it( "collects all errors in optionally provided array", () => {
+		const errors = [];
+
+		YAML.parse( code, { recover: true, errors } );
+
+		errors.should.have.length( 4 );
+		errors.map( e => e.code ).should.be.deepEqual( [ "indentation", "bracket", "alias", "quote" ] );
+		errors.map( e => e.line ).should.be.deepEqual( [ 2, 3, 4, 6 ] );
+		errors.forEach( error => {
+			error.should.be.instanceOf( YAMLSyntaxError );
+			error.snippet.should.be.String();
+		} );
+	} );
+
+	it( "resumes parsing with next line providing best-effort data", () => {
+		YAML.parse( code, { recover: true } ).should.be.deepEqual( { a: 1, e: { g: 3 } } );
+	} );
+
+	it( "is available via YAML.validate()", () => {
+		YAML.should.have.property( "validate" ).which.is.a.Function();
+
+		const result = YAML.validate( code );
+
+		result.should.have.properties( "data", "errors", "warnings" );
+		result.data.should.be.deepEqual( { a: 1, e: { g: 3 } } );
+		result.errors.should.have.length( 4 );
+		result.warnings.should.be.an.Array();
+	} );
+
+	it( "resumes parsing with line following rejected node", () => {
+		YAML.validate( "- 1\nb: 2\n- 3\n- 4\n" ).data.should.be.deepEqual( [ 1, 3, 4 ] );
+		YAML.validate( "a: !foo x\nb: 2\n" ).data.should.be.deepEqual( { b: 2 } );
+		YAML.validate( "a: !!int x\nb: 2\n" ).data.should.be.deepEqual( { b: 2 } );
+		YAML.validate( "a: |\n  x\n- b\nc: 1\n" ).data.should.be.deepEqual( { a: "x\n", c: 1 } );
+	} );
+
+	it( "resumes parsing with line following rejected key", () => {
+		const duplicate = YAML.validate( "a: 1\na: 2\nb: 3\nc: 4\n", { duplicateKeys: "error" } );
+
+		duplicate.data.should.be.deepEqual( { a: 1, b: 3, c: 4 } );
+		duplicate.errors.map( e => e.line ).should.be.deepEqual( [2] );
+
+		YAML.validate( "__proto__: 1\nc: 3\n", { rejectUnsafeNames: true } ).data.should.be.deepEqual( { c: 3 } );
+	} );
+
+	it( "is applied by YAML.validate() with same options as YAML.parse()", () => {
+		const source = "%YAML 1.2\n---\na: yes\n";
+
+		YAML.validate( source ).data.should.be.deepEqual( YAML.parse( source ) ).and.be.deepEqual( { a: "yes" } );
+		YAML.validate( "a: yes\n" ).data.should.be.deepEqual( { a: true } );
+		YAML.validate( "a: yes\n", { schema: "core" } ).data.should.be.deepEqual( { a: "yes" } );
+
+		const options = { duplicateKeys: "error" };
+
+		YAML.validate( "a: 1\na: 2\n", options ).errors.should.have.length( 1 );
+		options.should.be.deepEqual( { duplicateKeys: "error" } );
+	} );
+
+	it( "reports no errors on valid code", () => {
+		YAML.validate( "a: 1\nb: [2]\n" ).should.be.deepEqual( { data: { a: 1, b: [2] }, errors: [], warnings: [] } );
+	} );
+
+	it( "collects errors in every document of a stream", () => {
+		const errors = [];
+
+		YAML.parseAll( "a: [\n---\nb: *x\n", { recover: true, errors } ).should.have.length( 2 );
+
+		errors.map( e => e.line ).should.be.deepEqual( [ 1, 3 ] );
+	} );
+} );
@@ -0,0 +1,140 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML } = require( "../../" );
+
+
+describe( "Option `reviver`", () => {
+	it( "must be a function", () => {
+		( () => YAML.parse( "a: 1\n", { reviver: {} } ) ).should.throw( TypeError );
+	} );
+
+	it( "replaces every value with the one returned from reviver", () => {
+		YAML.parse( "a: 1\nb:\n  - 2\n  - [3, {c: 4}]\n", {
+			reviver: ( key, value ) => ( typeof value === "number" ? value * 10 : value ),
+		} ).should.be.deepEqual( { a: 10, b: [ 20, [ 30, { c: 40 } ] ] } );
+	} );
+
+	it( "is invoked bottom-up with key, value and JSON pointer", () => {
+		const calls = [];
+
+		YAML.parse( "a: 1\nb:\n  - 2\n  - {c: [3]}\n", {
+			reviver: ( key, value, path ) => {
+				calls.push( [ key, path ] );
+				return value;
+			},
+		} );
+
+		calls.should.be.deepEqual( [
+			[ "a", "/a" ],
+			[ 0, "/b/0" ],
+			[ 0, "/b/1/c/0" ],
+			[ "c", "/b/1/c" ],
+			[ 1, "/b/1" ],
+			[ "b", "/b" ],
+			[ "", "" ],
+		] );
+	} );
+
+	it( "provides collection containing value as `this`", () => {
+		YAML.parse( "a:\n  b: 1\n", {
+			reviver: function( key, value ) {
+				if ( key === "b" ) {
+					this.should.be.an.Object().and.not.have.property( "b" );
+				}
+
+				return value;
+			},
+		} );
+	} );
+
+	it( "passes collections after their items have been revived", () => {
+		YAML.parse( "list:\n  - 1\n  - 2\n", {
+			reviver: ( key, value ) => {
+				if ( Array.isArray( value ) ) {
+					return value.reduce( ( sum, item ) => sum + item, 0 );
+				}
+
+				return typeof value === "number" ? value + 1 : value;
+			},
+		} ).should.be.deepEqual( { list: 5 } );
+	} );
+
+	it( "removes properties revived as `undefined`", () => {
+		YAML.parse( "a: 1\nb: drop\nc: [drop, 2]\n", {
+			reviver: ( key, value ) => ( value === "drop" ? undefined : value ),
+		} ).should.be.deepEqual( { a: 1, c: [ undefined, 2 ] } );
+	} );
+
+	it( "revives aliases without reviving items of aliased collections again", () => {
+		const paths = [];
+
+		YAML.parse( "a: &x [1]\nb: *x\nc: [*x]\n", {
+			reviver: ( key, value, path ) => {
+				paths.push( path );
+				return value;
+			},
+		} );
+
+		paths.should.be.deepEqual( [ "/a/0", "/a", "/b", "/c/0", "/c", "" ] );
+	} );
+
+	it( "provides JSON pointers matching collected positions", () => {
+		const positions = {};
+		const lines = {};
+
+		YAML.parse( "a:\n  b: 1\n", {
+			positions,
+			reviver: ( key, value, path ) => {
+				lines[path] = positions[path].line;
+				return value;
+			},
+		} );
+
+		lines.should.be.deepEqual( { "/a/b": 2, "/a": 2, "": 1 } );
+	} );
+
+	it( "prefixes JSON pointers with index of document in a stream", () => {
+		const paths = [];
+
+		YAML.parseAll( "a: 1\n---\n- 2\n", {
+			reviver: ( key, value, path ) => {
+				paths.push( path );
+				return value;
+			},
+		} );
+
+		paths.should.be.deepEqual( [ "/0/a", "/0", "/1/0", "/1" ] );
+	} );
+} );
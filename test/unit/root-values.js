@@ -0,0 +1,135 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML } = require( "../../" );
+
+
+describe( "Root of a document", () => {
+	it( "may be a plain scalar", () => {
+		YAML.parse( "hello\n" ).should.be.equal( "hello" );
+		YAML.parse( "42\n" ).should.be.equal( 42 );
+		YAML.parse( "some text\n  spanning lines\n" ).should.be.equal( "some text spanning lines" );
+		YAML.parse( "http://example.com\n" ).should.be.deepEqual( { http: "//example.com" } );
+	} );
+
+	it( "may be a quoted scalar", () => {
+		YAML.parse( '"quoted"\n' ).should.be.equal( "quoted" );
+		YAML.parse( "'single'\n" ).should.be.equal( "single" );
+		YAML.parse( '"yes"\n' ).should.be.equal( "yes" );
+	} );
+
+	it( "may be a block scalar", () => {
+		YAML.parse( "|\n  first\n  second\n" ).should.be.equal( "first\nsecond\n" );
+		YAML.parse( ">-\nfirst\nsecond\n" ).should.be.equal( "first second" );
+	} );
+
+	it( "ends block scalar on less indented line", () => {
+		YAML.parse( "|\n x\n# Comment\n" ).should.be.equal( "x\n" );
+		YAML.parse( "--- |\n x\n# c\n" ).should.be.equal( "x\n" );
+		YAML.parse( ">\n  x\n  y\n\n # c\n" ).should.be.equal( "x y\n" );
+		YAML.parse( "|\nx\n# c\n" ).should.be.equal( "x\n# c\n" );
+
+		( () => YAML.parse( "|\n x\ny\n" ) ).should.throw();
+	} );
+
+	it( "may be a flow collection", () => {
+		YAML.parse( "[1, 2]\n" ).should.be.deepEqual( [ 1, 2 ] );
+		YAML.parse( "{a: 1, b: [c]}\n" ).should.be.deepEqual( { a: 1, b: ["c"] } );
+		YAML.parse( "[\n  1,\n  2\n]\n" ).should.be.deepEqual( [ 1, 2 ] );
+	} );
+
+	it( "may have anchor and tag", () => {
+		YAML.parse( "!!str 42\n" ).should.be.equal( "42" );
+		YAML.parse( "&root value\n" ).should.be.equal( "value" );
+		YAML.parse( "--- !!map\na: 1\n" ).should.be.deepEqual( { a: 1 } );
+		( () => YAML.parse( "--- !!seq\na: 1\n" ) ).should.throw();
+	} );
+
+	it( "may start in line of document's start marker", () => {
+		YAML.parseAll( "--- hello\n--- |\n  text\n--- [1]\n" ).should.be.deepEqual( [ "hello", "text\n", [1] ] );
+		( () => YAML.parse( "--- a: 1\n" ) ).should.throw();
+		( () => YAML.parse( "--- - a\n" ) ).should.throw();
+	} );
+
+	it( "adopts type of collection established by first node", () => {
+		YAML.parse( "a: 1\n" ).should.be.deepEqual( { a: 1 } );
+		YAML.parse( "- a\n" ).should.be.deepEqual( ["a"] );
+		YAML.parse( "-1\n" ).should.be.deepEqual( [1] );
+	} );
+
+	it( "rejects further nodes following scalar value", () => {
+		( () => YAML.parse( '"text"\nb: 1\n' ) ).should.throw( /line 2, column 1/ );
+		( () => YAML.parse( "[1, 2]\n- 3\n" ) ).should.throw();
+	} );
+
+	it( "is null in an empty document", () => {
+		( YAML.parse( "" ) === null ).should.be.true();
+		( YAML.parse( "# just a comment\n" ) === null ).should.be.true();
+		YAML.parseAll( "---\n---\na: 1\n...\n---\n# empty\n" ).should.be.deepEqual( [ null, { a: 1 }, null ] );
+	} );
+
+	it( "is described by events and positions", () => {
+		const scalars = [];
+		const positions = {};
+
+		YAML.parseAll( "--- hello\n---\n", { events: { onScalar: value => scalars.push( value ) } } );
+		YAML.parse( '"quoted"\n', { positions } );
+
+		scalars.should.be.deepEqual( [ "hello", null ] );
+		positions.should.be.deepEqual( { "": { line: 1, column: 1, endLine: 1, endColumn: 9 } } );
+	} );
+
+	it( "is passed to reviver once", () => {
+		const keys = [];
+
+		YAML.parse( "[a, b]\n", {
+			reviver: ( key, value ) => {
+				keys.push( key );
+				return value;
+			},
+		} ).should.be.deepEqual( [ "a", "b" ] );
+
+		keys.should.be.deepEqual( [ 0, 1, "" ] );
+	} );
+
+	it( "is rendered by YAML.stringify() and read back", () => {
+		[ "text", 1.5, true, "line\nbreaks\n", {}, [], [ 1, 2 ] ].forEach( value => {
+			YAML.parse( YAML.stringify( value ) ).should.be.deepEqual( value );
+		} );
+
+		YAML.stringify( {} ).should.be.equal( "{}\n" );
+		( YAML.parse( YAML.stringify( null ) ) === null ).should.be.true();
+	} );
+} );
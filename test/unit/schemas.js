@@ -0,0 +1,102 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML } = require( "../../" );
+
+
+describe( "Option `schema`", () => {
+	it( "defaults to legacy rules", () => {
+		YAML.parse( "a: NO\nb: on\nc: 1.5\nd: null\n" ).should.be.deepEqual( { a: false, b: true, c: 1.5, d: null } );
+		YAML.parse( "a: NO\n", { schema: "legacy" } ).should.be.deepEqual( { a: false } );
+	} );
+
+	it( "supports YAML 1.2 core schema", () => {
+		YAML.parse( "a: NO\nb: yes\nc: TRUE\nd: False\ne: ~\nf: Null\n", { schema: "core" } ).should.be.deepEqual( {
+			a: "NO", b: "yes", c: true, d: false, e: null, f: null,
+		} );
+
+		YAML.parse( "- 12\n- -3\n- 0o17\n- 0x1F\n- 1.5e3\n- .5\n- -.inf\n- 0x1G\n", { schema: "core" } ).should.be.deepEqual( [
+			12, -3, 15, 31, 1500, 0.5, -Infinity, "0x1G",
+		] );
+
+		YAML.parse( "a: .nan\n", { schema: "core" } ).a.should.be.NaN();
+	} );
+
+	it( "supports YAML 1.2 JSON schema", () => {
+		YAML.parse( "a: null\nb: ~\nc: true\nd: True\ne: -1.5e3\nf: 012\n", { schema: "json" } ).should.be.deepEqual( {
+			a: null, b: "~", c: true, d: "True", e: -1500, f: "012",
+		} );
+	} );
+
+	it( "supports YAML 1.2 failsafe schema", () => {
+		YAML.parse( "a: 1\nb: [true, null]\n", { schema: "failsafe" } ).should.be.deepEqual( { a: "1", b: [ "true", "null" ] } );
+	} );
+
+	it( "never affects quoted scalars", () => {
+		YAML.parse( "a: '1'\nb: \"true\"\n", { schema: "core" } ).should.be.deepEqual( { a: "1", b: "true" } );
+	} );
+
+	it( "rejects unknown schemas", () => {
+		( () => YAML.parse( "a: 1\n", { schema: "yaml" } ) ).should.throw( TypeError );
+	} );
+} );
+
+describe( "Option `resolvers`", () => {
+	const date = { test: /^\d{4}-\d{2}-\d{2}$/, resolve: string => new Date( string ) };
+
+	it( "converts matching unquoted scalars", () => {
+		const data = YAML.parse( "a: 2019-06-01\nb: [2020-01-31]\nc: '2019-06-01'\n", { resolvers: [date] } );
+
+		data.a.should.be.instanceOf( Date );
+		data.a.toISOString().should.be.equal( "2019-06-01T00:00:00.000Z" );
+		data.b[0].should.be.instanceOf( Date );
+		data.c.should.be.equal( "2019-06-01" );
+	} );
+
+	it( "are tested in order prior to the schema", () => {
+		const resolvers = [
+			{ test: value => value === "yes", resolve: () => "affirmative" },
+			{ test: /^y/, resolve: () => "never" },
+		];
+
+		YAML.parse( "a: yes\nb: no\n", { resolvers } ).should.be.deepEqual( { a: "affirmative", b: false } );
+	} );
+
+	it( "must be valid", () => {
+		( () => YAML.parse( "a: 1\n", { resolvers: {} } ) ).should.throw( TypeError );
+		( () => YAML.parse( "a: 1\n", { resolvers: [{ test: "yes", resolve: () => true }] } ) ).should.throw( TypeError );
+		( () => YAML.parse( "a: 1\n", { resolvers: [{ test: /yes/ }] } ) ).should.throw( TypeError );
+	} );
+} );
@@ -0,0 +1,233 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML, YAMLSyntaxError } = require( "../../" );
+const createYAMLStream = require( "../../stream" );
+
+const Code = `name: demo
+fields:
+  - name: "a
+      b"
+    label: |
+      first
+
+      second
+# comment
+  - [ 1, 2 ]
+---
+- single
+- key: value
+  other: >
+    folded
+    text
+`;
+
+/**
+ * Parses provided code written to incremental parser in chunks of given size.
+ *
+ * @param {string} code YAML code to be parsed
+ * @param {int} size number of characters per written chunk
+ * @param {object} options parser options
+ * @returns {{entries: Array[], documents: Array[]}} collected events
+ */
+function parseChunked( code, size, options = {} ) {
+	const entries = [];
+	const documents = [];
+	const parser = YAML.createParser( options )
+		.on( "entry", ( value, key, index ) => entries.push( [ index, key, value ] ) )
+		.on( "document", ( data, index ) => documents.push( [ index, data ] ) );
+
+	for ( let i = 0; i < code.length; i += size ) {
+		parser.write( code.substr( i, size ) );
+	}
+
+	parser.end();
+
+	return { entries, documents };
+}
+
+
+describe( "YAML.createParser()", () => {
+	it( "is a function", () => {
+		YAML.should.have.property( "createParser" ).which.is.a.Function();
+	} );
+
+	it( "returns parser with methods for listening, writing and ending", () => {
+		const parser = YAML.createParser();
+
+		parser.should.have.property( "on" ).which.is.a.Function();
+		parser.should.have.property( "write" ).which.is.a.Function();
+		parser.should.have.property( "end" ).which.is.a.Function();
+	} );
+
+	it( "emits same documents as `YAML.parseAll()` regardless of chunk size", () => {
+		const expected = YAML.parseAll( Code );
+
+		for ( let size = 1; size <= Code.length; size++ ) {
+			parseChunked( Code, size ).documents.should.be.deepEqual( expected.map( ( data, index ) => [ index, data ] ) );
+		}
+	} );
+
+	it( "emits completed entries of every document's root collection", () => {
+		parseChunked( Code, 1 ).entries.should.be.deepEqual( [
+			[ 0, "name", "demo" ],
+			[ 0, "fields", [ { name: "a b", label: "first\n\nsecond\n" }, [ 1, 2 ] ] ],
+			[ 1, 0, "single" ],
+			[ 1, 1, { key: "value", other: "folded text\n" } ],
+		] );
+	} );
+
+	it( "emits entries as soon as following entry has been processed", () => {
+		const entries = [];
+		const parser = YAML.createParser().on( "entry", ( value, key ) => entries.push( key ) );
+
+		parser.write( "a: 1\nb:" );
+		entries.should.be.deepEqual( [] );
+
+		parser.write( " 2\nc: 3\n" );
+		entries.should.be.deepEqual( ["a"] );
+
+		parser.end();
+		entries.should.be.deepEqual( [ "a", "b", "c" ] );
+	} );
+
+	it( "supports chunks splitting CRLF line breaks and multi-byte characters", () => {
+		const code = "a: äöü\r\nb: \"😀\r\n  x\"\r\n";
+
+		for ( let size = 1; size <= code.length; size++ ) {
+			parseChunked( code, size ).documents.should.be.deepEqual( [[ 0, { a: "äöü", b: "😀 x" } ]] );
+		}
+	} );
+
+	it( "throws syntax errors describing position in whole code", () => {
+		const code = "a: 1\nb: 2\nc: 3\n  d: 4\n";
+
+		for ( let size = 1; size <= code.length; size++ ) {
+			try {
+				parseChunked( code, size );
+			} catch ( error ) {
+				error.should.be.instanceOf( YAMLSyntaxError );
+				error.code.should.be.equal( "indentation" );
+				error.line.should.be.equal( 4 );
+				error.column.should.be.equal( 3 );
+				error.offset.should.be.equal( 17 );
+				error.snippet.should.be.equal( "  d: 4\n  ^" );
+				continue;
+			}
+
+			throw new Error( "parsing invalid code succeeded" );
+		}
+	} );
+
+	it( "supports recovery mode", () => {
+		const errors = [];
+
+		parseChunked( "a: 1\n  b: 2\nc: 3\n", 2, { recover: true, errors } ).documents.should.be.deepEqual( [[ 0, { a: 1, c: 3 } ]] );
+
+		errors.should.have.length( 1 );
+		errors[0].line.should.be.equal( 2 );
+		errors[0].offset.should.be.equal( 7 );
+	} );
+
+	it( "rejects unknown events, invalid chunks and writing after end", () => {
+		const parser = YAML.createParser();
+
+		( () => parser.on( "unknown", () => {} ) ).should.throw( TypeError ); // eslint-disable-line no-empty-function
+		( () => parser.on( "entry", null ) ).should.throw( TypeError );
+		( () => parser.write( null ) ).should.throw( TypeError );
+
+		parser.end();
+
+		( () => parser.write( "a: 1\n" ) ).should.throw();
+	} );
+} );
+
+describe( "YAML stream", () => {
+	it( "emits root entries of documents piped into it", done => {
+		const stream = createYAMLStream();
+		const entries = [];
+
+		stream.on( "data", entry => entries.push( entry ) );
+		stream.on( "error", done );
+		stream.on( "end", () => {
+			entries.should.be.deepEqual( [
+				{ document: 0, key: "a", value: "äb" },
+				{ document: 0, key: "c", value: [ 1, 2 ] },
+				{ document: 1, key: 0, value: "d" },
+			] );
+
+			done();
+		} );
+
+		const code = Buffer.from( "a: äb\nc:\n  - 1\n  - 2\n---\n- d\n" );
+
+		for ( let i = 0; i < code.length; i += 3 ) {
+			stream.write( code.slice( i, i + 3 ) );
+		}
+
+		stream.end();
+	} );
+
+	it( "emits documents with root that isn't a block collection as a whole", done => {
+		const stream = createYAMLStream();
+		const entries = [];
+
+		stream.on( "data", entry => entries.push( entry ) );
+		stream.on( "error", done );
+		stream.on( "end", () => {
+			entries.should.be.deepEqual( [
+				{ document: 0, value: "just a scalar" },
+				{ document: 1, value: [ 1, 2 ] },
+				{ document: 2, key: "a", value: 1 },
+				{ document: 3, value: null },
+			] );
+
+			done();
+		} );
+
+		stream.end( "--- just a scalar\n--- [1, 2]\n---\na: 1\n---\n" );
+	} );
+
+	it( "emits syntax errors", done => {
+		const stream = createYAMLStream();
+
+		stream.on( "data", () => {} ); // eslint-disable-line no-empty-function
+		stream.on( "error", error => {
+			error.should.be.instanceOf( YAMLSyntaxError );
+			done();
+		} );
+
+		stream.end( "a: 1\n  b: 2\n" );
+	} );
+} );
@@ -0,0 +1,117 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML } = require( "../../" );
+
+
+describe( "YAML.stringify()", () => {
+	it( "is a function", () => {
+		YAML.should.have.property( "stringify" ).which.is.a.Function();
+	} );
+
+	it( "renders mappings and sequences in block style", () => {
+		YAML.stringify( { name: "John", likes: [ "bikes", { kind: "car", count: 2 } ] } ).should.be.equal(
+			"name: John\nlikes:\n  - bikes\n  - kind: car\n    count: 2\n"
+		);
+	} );
+
+	it( "uses compact notation for sequences in sequences", () => {
+		YAML.stringify( [ [ "a", "b" ], "c" ] ).should.be.equal( "- - a\n  - b\n- c\n" );
+	} );
+
+	it( "renders empty collections in flow style", () => {
+		YAML.stringify( { a: [], b: {}, c: [{}], d: [[]] } ).should.be.equal( "a: []\nb: {}\nc:\n  - {}\nd:\n  - []\n" );
+	} );
+
+	it( "quotes strings which would be read as different type of value", () => {
+		YAML.stringify( [ "yes", "n", "Off", "null", "1.5", "-3", "" ] ).should.be.equal(
+			'- "yes"\n- "n"\n- "Off"\n- "null"\n- "1.5"\n- "-3"\n- ""\n'
+		);
+	} );
+
+	it( "quotes strings containing special characters", () => {
+		YAML.stringify( { a: "b: c", b: "#tag", c: " padded ", d: '"hi" she said' } ).should.be.equal(
+			'a: "b: c"\nb: "#tag"\nc: " padded "\nd: "\\"hi\\" she said"\n'
+		);
+	} );
+
+	it( "quotes names of properties if required", () => {
+		YAML.stringify( { "first name": 1, "-x": 2 } ).should.be.equal( '"first name": 1\n"-x": 2\n' );
+	} );
+
+	it( "renders multi-line strings as literal blocks", () => {
+		YAML.stringify( { a: "x\ny\n", b: "x\ny", c: "x\n\n" } ).should.be.equal(
+			"a: |\n  x\n  y\nb: |-\n  x\n  y\nc: |+\n  x\n\n"
+		);
+	} );
+
+	it( "supports custom width of indentation", () => {
+		YAML.stringify( { a: { b: [ 1, { c: 2, d: 3 } ] } }, { indent: 4 } ).should.be.equal(
+			"a:\n    b:\n        - 1\n        -   c: 2\n            d: 3\n"
+		);
+	} );
+
+	it( "rejects invalid width of indentation", () => {
+		( () => YAML.stringify( {}, { indent: 0 } ) ).should.throw();
+		( () => YAML.stringify( {}, { indent: 2.5 } ) ).should.throw();
+		( () => YAML.stringify( {}, { indent: "2" } ) ).should.throw();
+	} );
+
+	it( "optionally sorts properties by name", () => {
+		YAML.stringify( { b: 1, a: 2 }, { sortKeys: true } ).should.be.equal( "a: 2\nb: 1\n" );
+		YAML.stringify( { a: 1, b: 2 }, { sortKeys: ( l, r ) => r.localeCompare( l ) } ).should.be.equal( "b: 2\na: 1\n" );
+	} );
+
+	it( "omits undefined properties and functions like JSON.stringify()", () => {
+		YAML.stringify( { a: undefined, b: () => 1, c: [undefined] } ).should.be.equal( "c:\n  - null\n" );
+	} );
+
+	it( "rejects circular structures", () => {
+		const data = { a: {} };
+		data.a.b = data;
+
+		( () => YAML.stringify( data ) ).should.throw( TypeError );
+	} );
+
+	it( "produces code parsed into equivalent data", () => {
+		const data = {
+			name: "sole",
+			fields: [ { name: "a", label: "A\nB\n", required: true }, { options: [ [ 1, 2 ], [], "x" ] } ],
+			empty: {},
+			"quoted name": "on",
+		};
+
+		YAML.parse( YAML.stringify( data ) ).should.be.deepEqual( data );
+	} );
+} );
@@ -0,0 +1,125 @@
+/**
+ * (c) 2019 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2019 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+
+
+"use strict";
+
+const { describe, it } = require( "mocha" );
+require( "should" );
+
+const { YAML, YAMLSyntaxError } = require( "../../" );
+
+
+describe( "Explicit tags", () => {
+	it( "force type of scalars", () => {
+		YAML.parse( "a: !!str 123\nb: !!int \"42\"\nc: !!float 1\nd: !!bool yes\ne: !!null\nf: !!null ~\ng: !!str yes\n" ).should.be.deepEqual( {
+			a: "123", b: 42, c: 1, d: true, e: null, f: null, g: "yes",
+		} );
+	} );
+
+	it( "are supported in flow collections", () => {
+		YAML.parse( "a: [!!str 1, !!int '2', !!str, b]\nc: {!!str 1: !!str true}\n" ).should.be.deepEqual( {
+			a: [ "1", 2, "", "b" ], c: { 1: "true" },
+		} );
+	} );
+
+	it( "decode base64-encoded binary data", () => {
+		const data = YAML.parse( "a: !!binary aGVsbG8=\nb: !!binary |\n  aGVsbG8g\n  d29ybGQ=\n" );
+
+		data.a.should.be.instanceOf( Uint8Array );
+		Buffer.from( data.a ).toString().should.be.equal( "hello" );
+		Buffer.from( data.b ).toString().should.be.equal( "hello world" );
+	} );
+
+	it( "validate type of collections", () => {
+		YAML.parse( "a: !!seq\n  - 1\nb: !!map\n  c: 2\nd: !!seq [3]\n" ).should.be.deepEqual( { a: [1], b: { c: 2 }, d: [3] } );
+
+		( () => YAML.parse( "a: !!seq\n  b: 1\n" ) ).should.throw( YAMLSyntaxError );
+	} );
+
+	it( "support verbatim and non-specific tags", () => {
+		YAML.parse( "a: !<tag:yaml.org,2002:str> 1\nb: [!<tag:yaml.org,2002:int> '2']\nc: ! 3\n" ).should.be.deepEqual( {
+			a: "1", b: [2], c: "3",
+		} );
+	} );
+
+	it( "can be combined with anchors", () => {
+		YAML.parse( "a: &x !!str 1\nb: !!str &y 2\nc: [*x, *y]\n" ).should.be.deepEqual( { a: "1", b: "2", c: [ "1", "2" ] } );
+	} );
+
+	it( "reject values not matching the tag", () => {
+		( () => YAML.parse( "a: !!int x\n" ) ).should.throw( /invalid value for tag in line 1, column 4/ );
+		( () => YAML.parse( "a: !!bool 3\n" ) ).should.throw( /invalid value for tag/ );
+		( () => YAML.parse( "a: !!binary abc\n" ) ).should.throw( /invalid value for tag/ );
+		( () => YAML.parse( "a: !!str\n  b: 1\n" ) ).should.throw( /invalid value for tag in line 1, column 4/ );
+	} );
+
+	it( "reject unknown tags", () => {
+		( () => YAML.parse( "a: !foo 1\n" ) ).should.throw( /unknown tag in line 1, column 4/ );
+		( () => YAML.parse( "a: [!foo 1]\n" ) ).should.throw( /unknown tag in line 1, column 5/ );
+	} );
+
+	it( "reject tagged aliases", () => {
+		( () => YAML.parse( "a: &x 1\nb: !!str *x\n" ) ).should.throw( /invalid character/ );
+	} );
+} );
+
+describe( "Option `tags`", () => {
+	const tags = {
+		"!expr": ( value, name ) => ( { expression: value, tag: name } ),
+		"!i18n": translations => translations.en,
+	};
+
+	it( "provides constructors for custom tags receiving raw scalar", () => {
+		YAML.parse( "a: !expr x + 1\nb: [!expr 'y']\nc: !expr |\n  z\n", { tags } ).should.be.deepEqual( {
+			a: { expression: "x + 1", tag: "!expr" },
+			b: [{ expression: "y", tag: "!expr" }],
+			c: { expression: "z\n", tag: "!expr" },
+		} );
+	} );
+
+	it( "provides constructors for custom tags receiving parsed collection", () => {
+		YAML.parse( "a: !i18n\n  en: Hello\n  de: Hallo\nb: !i18n {en: Hi}\n", { tags } ).should.be.deepEqual( {
+			a: "Hello",
+			b: "Hi",
+		} );
+	} );
+
+	it( "exposes constructed value via aliases", () => {
+		YAML.parse( "a: &x !i18n\n  en: Hello\nb: *x\n", { tags } ).should.be.deepEqual( { a: "Hello", b: "Hello" } );
+	} );
+
+	it( "may override standard tags", () => {
+		YAML.parse( "a: !!int 12\n", { tags: { "!!int": () => "twelve" } } ).should.be.deepEqual( { a: "twelve" } );
+	} );
+
+	it( "must provide functions", () => {
+		( () => YAML.parse( "a: 1\n", { tags: { "!expr": true } } ) ).should.throw( TypeError );
+	} );
+} );